@@ -3,13 +3,24 @@ import { App, Hook, ensureDir, writeJson } from 'adapt-authoring-core'
 import { parseObjectId } from 'adapt-authoring-mongodb'
 import { createWriteStream } from 'node:fs'
 import AdaptCli from 'adapt-cli'
-import { log, logDir, logMemory, copyFrameworkSource, generateLanguageManifest, applyBuildReplacements, computeVarsHash, getBundledPlugins, collectAssetRefs } from './utils.js'
-import BuildCache from './BuildCache.js'
+import { log, logDir, logMemory, clearBuildData, copyFrameworkSource, generateLanguageManifest, applyBuildReplacements, computeVarsHash, computeCourseHash, computeEnabledPluginHash, createContentManifest, createLanguagePickerConfig, getBundledPlugins, collectAssetRefs, abortable, generateScormManifest, generateCmi5Manifest, generateTincanManifest } from './utils.js'
 import fs from 'node:fs/promises'
 import path from 'upath'
 import semver from 'semver'
 import zipper from '@adapt-security/zipper'
 
+/**
+ * Supported publish targets, mapped to the tracking plugin each relies on and the package manifest written to the root of the output
+ */
+const PUBLISH_TARGETS = {
+  scorm12: { plugin: 'adapt-contrib-spoor', manifest: 'imsmanifest.xml', rootElement: 'manifest' },
+  'scorm2004-3rd': { plugin: 'adapt-contrib-spoor', manifest: 'imsmanifest.xml', rootElement: 'manifest' },
+  'scorm2004-4th': { plugin: 'adapt-contrib-spoor', manifest: 'imsmanifest.xml', rootElement: 'manifest' },
+  cmi5: { plugin: 'adapt-contrib-xapi', manifest: 'cmi5.xml', rootElement: 'courseStructure' },
+  xapi: { plugin: 'adapt-contrib-xapi', manifest: 'tincan.xml', rootElement: 'tincan' },
+  web: {}
+}
+
 /**
  * Encapsulates all behaviour needed to build a single Adapt course instance
  * @memberof adaptframework
@@ -39,14 +50,17 @@ class AdaptFrameworkBuild {
    * @property {String} action The type of build to execute
    * @property {String} courseId The course  to build
    * @property {String} userId The user executing the build
-   * @property {String} expiresAt When the build expires
+   * @property {String} expiresAt When the build expires. Defaults to the buildLifespan config, except for retained builds, which don't expire
    * @property {Boolean} compress Whether output files should be compressed into an archive file
    * @property {String} outputDir If set, uses this as the build root. If the directory already exists, only content data and assets are written (framework copy and compilation are skipped)
+   * @property {String} buildToken Progress correlation id
+   * @property {AbortSignal} signal Signal used to cancel the build
+   * @property {String} target Publish target: 'scorm12', 'scorm2004-3rd', 'scorm2004-4th', 'cmi5', 'xapi' or 'web'. If unset, the output is left as produced by the framework
    *
    * @constructor
    * @param {AdaptFrameworkBuildOptions} options
    */
-  constructor ({ action, courseId, userId, expiresAt, compress, outputDir, buildToken }) {
+  constructor ({ action, courseId, userId, expiresAt, compress, outputDir, buildToken, signal, target }) {
     /**
      * The MongoDB collection name
      * @type {String}
@@ -78,6 +92,16 @@ class AdaptFrameworkBuild {
      * @type {Boolean}
      */
     this.isExport = action === 'export'
+    /**
+     * The publish target. Only applies to publish builds
+     * @type {String}
+     */
+    this.target = target ?? null
+    /**
+     * Shorthand for checking if this build is packaged for a SCORM LMS
+     * @type {Boolean}
+     */
+    this.isScorm = this.isPublish && this.target?.startsWith('scorm') === true
     /**
      * Whether the final output directory should be compressed
      * @type {Boolean}
@@ -98,11 +122,21 @@ class AdaptFrameworkBuild {
      * @type {Object}
      */
     this.courseData = {}
+    /**
+     * The other language variants linked to this course, each built into its own language dir. Each entry holds the variant's language, direction, course document and (once loaded) courseData.
+     * @type {Array<Object>}
+     */
+    this.languageVariants = []
     /**
      * All metadata related to assets used in this course
      * @type {Object}
      */
     this.assetData = {}
+    /**
+     * Summary of the content and assets written by this build, used to compare builds (see createContentManifest)
+     * @type {Object}
+     */
+    this.contentManifest = undefined
     /**
      * Metadata describing this build attempt
      * @type {Object}
@@ -163,20 +197,49 @@ class AdaptFrameworkBuild {
      * @type {String}
      */
     this.outputDir = outputDir ?? null
+    /**
+     * Whether the build is kept as part of the course's build history (see the buildRetention config). Retained builds don't expire.
+     * @type {Boolean}
+     */
+    this.isRetained = !this.isPreview && !this.outputDir
+    /**
+     * Signal used to cancel the build. Checked between build phases.
+     * @type {AbortSignal}
+     */
+    this.signal = signal
+    /**
+     * The adapt-cli compile, if one has been started. Kept so that a cancelled build can wait for it to finish.
+     * @type {Promise|undefined}
+     */
+    this.compiling = undefined
   }
 
   /**
-  /**
-   * Runs the Adapt framework build tools to generate a course build
-   * @return {Promise} Resolves with the output directory
+   * Runs the Adapt framework build tools to generate a course build. If the build is cancelled, any partial output is removed.
+   * @return {Promise} Resolves with this AdaptFrameworkBuild instance
    */
   async build () {
-    if (!this.outputDir) {
+    try {
+      return await this.runBuild()
+    } catch (e) {
+      if (this.signal?.aborted) await this.onCancelled()
+      throw e
+    }
+  }
+
+  /**
+   * Performs the build steps
+   * @return {Promise} Resolves with this AdaptFrameworkBuild instance
+   */
+  async runBuild () {
+    // previews are replaced on rebuild; other builds are pruned once the new build has been recorded
+    if (!this.outputDir && this.isPreview) {
       await this.removeOldBuilds()
     }
 
     const framework = await App.instance.waitForModule('adaptframework')
-    if (!this.expiresAt) {
+    // retained builds are removed by removeOldBuilds rather than expiring
+    if (!this.expiresAt && !this.isRetained) {
       this.expiresAt = await AdaptFrameworkBuild.getBuildExpiry()
     }
     if (this.outputDir) {
@@ -204,41 +267,37 @@ class AdaptFrameworkBuild {
     logDir('buildDir', this.buildDir)
     logDir('cacheDir', this.cacheDir)
 
-    // best-effort per-phase progress to a subscribed client (no-op without a buildToken)
-    const reportPhase = (id, labelKey) => this.buildToken ? framework.buildProgressHook.invoke(this, { id, labelKey }) : null
+    // best-effort per-phase progress to a subscribed client (no-op without a buildToken); each phase is also a cancellation point
+    const reportPhase = (id, labelKey) => {
+      this.checkCancelled()
+      return this.buildToken ? framework.buildProgressHook.invoke(this, { id, labelKey }) : null
+    }
 
     await reportPhase('prepare', 'app.previewbuildstepprepare')
     await this.loadCourseData()
 
+    // previews and publishes share the prebuilt cache; exports don't compile so have nothing to cache
+    const useCache = (this.isPreview || this.isPublish) && !contentOnly
+    const cache = framework.getBuildCache()
     // must hash before preBuildHook/applySchemaDefaults mutate course.data
-    const varsHash = this.isPreview ? computeVarsHash(this.courseData.course.data) : null
-
-    // Check for cached preview build
-    if (this.isPreview && !contentOnly) {
-      const cache = new BuildCache(path.join(framework.getConfig('buildDir'), 'prebuilt-cache'))
-      const pluginHash = await framework.getPluginHash()
-      const theme = this.courseData.config.data._theme
-      const menu = this.courseData.config.data._menu
-
-      if (await cache.has(pluginHash, theme, menu, varsHash)) {
-        await cache.restore(pluginHash, theme, menu, varsHash, this.buildDir)
-        await this.applySchemaDefaults()
-        await this.copyAssets()
-        await this.preBuildHook.invoke(this)
-        await this.writeContentJson()
-        await this.writeLanguageManifest()
-        await applyBuildReplacements(this.buildDir, {
-          defaultLanguage: this.courseData.config.data._defaultLanguage ?? 'en',
-          defaultDirection: this.courseData.config.data._defaultDirection ?? 'ltr',
-          buildType: 'development',
-          timestamp: Date.now()
-        })
-        this.location = path.join(this.dir, 'build')
-        await this.postBuildHook.invoke(this)
-        await reportPhase('package', 'app.previewbuildsteppackage')
-        this.buildData = await this.recordBuildAttempt()
-        return this
-      }
+    const cacheKey = useCache ? await this.getCacheKey() : null
+
+    // Check for a cached build of the same plugins, theme, menu and vars
+    if (useCache && await cache.lookup(...cacheKey, { requiredPlugins: this.enabledPlugins })) {
+      await cache.restore(...cacheKey, this.buildDir)
+      await this.applySchemaDefaults()
+      if (this.isPublish && this.target) await this.applyPublishTarget()
+      await this.copyAssets()
+      await this.preBuildHook.invoke(this)
+      await this.writeContentJson()
+      await this.writeLanguageManifest()
+      await applyBuildReplacements(this.buildDir, {
+        defaultLanguage: this.courseData.config.data._defaultLanguage ?? 'en',
+        defaultDirection: this.courseData.config.data._defaultDirection ?? 'ltr',
+        buildType: this.isPreview ? 'development' : 'production',
+        timestamp: Date.now()
+      })
+      return this.finishBuild(reportPhase)
     }
 
     await reportPhase('assemble', 'app.previewbuildstepassemble')
@@ -257,6 +316,7 @@ class AdaptFrameworkBuild {
 
     await reportPhase('content', 'app.previewbuildstepcontent')
     await this.applySchemaDefaults()
+    if (this.isPublish && this.target) await this.applyPublishTarget()
     await this.writeContentJson()
 
     logDir('courseDir', this.courseDir)
@@ -265,33 +325,42 @@ class AdaptFrameworkBuild {
       try {
         logMemory()
         await reportPhase('compile', 'app.previewbuildstepcompile')
-        await AdaptCli.buildCourse({
+        // adapt-cli can't interrupt grunt, so a cancelled compile is left to finish before its output is removed (see onCancelled)
+        this.compiling = AdaptCli.buildCourse({
           cwd: this.dir,
           sourceMaps: !this.isPublish,
           outputDir: this.buildDir,
           cachePath: path.resolve(cacheDir, this.courseId),
           logger: { log: (...args) => App.instance.logger.log('debug', 'adapt-cli', ...args) }
         })
+        await abortable(this.compiling, this.signal)
         logMemory()
       } catch (e) {
         logMemory()
+        this.checkCancelled()
         throw App.instance.errors.FW_CLI_BUILD_FAILED
           .setData(e)
       }
     }
-    // Populate prebuilt cache after successful grunt build for preview
-    if (this.isPreview && !contentOnly) {
-      const cache = new BuildCache(path.join(framework.getConfig('buildDir'), 'prebuilt-cache'))
-      const pluginHash = await framework.getPluginHash()
-      const theme = this.courseData.config.data._theme
-      const menu = this.courseData.config.data._menu
+    // Populate prebuilt cache after successful grunt build
+    if (useCache) {
       try {
-        await cache.populate(this.buildDir, pluginHash, theme, menu, varsHash)
+        await cache.populate(this.buildDir, ...cacheKey, { plugins: getBundledPlugins(this.isPreview, this.enabledPlugins, this.disabledPlugins) })
       } catch (e) {
         log('warn', 'CACHE', `failed to populate prebuilt cache: ${e.message}`)
       }
     }
+    return this.finishBuild(reportPhase)
+  }
+
+  /**
+   * Packages and records the build once its output is in place
+   * @param {Function} reportPhase Reports a build phase to any subscribed client
+   * @return {Promise} Resolves with this AdaptFrameworkBuild instance
+   */
+  async finishBuild (reportPhase) {
     await reportPhase('package', 'app.previewbuildsteppackage')
+    if (this.isPublish && this.target) await this.writePackageManifest()
     if (this.compress) {
       this.location = await this.prepareZip()
     } else {
@@ -301,9 +370,67 @@ class AdaptFrameworkBuild {
 
     this.buildData = await this.recordBuildAttempt()
 
+    if (this.isRetained) {
+      await this.removeOldBuilds()
+    }
     return this
   }
 
+  /**
+   * Returns the key of this build's prebuilt cache entry ([pluginHash, theme, menu, varsHash]). For previews, varsHash covers the course's LESS inputs, so previews of different courses can share an entry. For publishes it covers the whole course and config, which grunt also writes into files outside the course directory (see computeCourseHash), so an entry is only reused by the same, unchanged course.
+   * @return {Promise<Array<String>>}
+   */
+  async getCacheKey () {
+    const { course, config } = this.courseData
+    const varsHash = this.isPublish
+      ? computeCourseHash({ config: config.data, courses: this.getLanguageData().map(d => d.course.data) })
+      : computeVarsHash(course.data)
+    return [await this.getCachePluginHash(), config.data._theme, config.data._menu, varsHash]
+  }
+
+  /**
+   * Returns the plugin hash used to key this build in the prebuilt cache. Previews bundle every installed plugin so share a single hash (lookups also check the entry bundled the course's enabled plugins), whereas publishes are keyed by the enabled plugins, the framework version and the source maps setting.
+   * @return {Promise<String>}
+   */
+  async getCachePluginHash () {
+    const framework = await App.instance.waitForModule('adaptframework')
+    if (this.isPreview) return framework.getPluginHash()
+    return computeEnabledPluginHash({
+      frameworkVersion: framework.version,
+      plugins: getBundledPlugins(this.isPreview, this.enabledPlugins, this.disabledPlugins),
+      sourceMaps: !this.isPublish
+    })
+  }
+
+  /**
+   * Throws if the build has been cancelled
+   * @throws {AdaptError} FW_BUILD_CANCELLED
+   */
+  checkCancelled () {
+    if (this.signal?.aborted) {
+      throw App.instance.errors.FW_BUILD_CANCELLED.setData({ buildToken: this.buildToken })
+    }
+  }
+
+  /**
+   * Reports the cancellation and removes any partial output of a cancelled build. An abandoned compile is still writing to the build directory, so this waits for it to finish first, which also keeps the build's place in the {@link BuildQueue} until then.
+   * @return {Promise}
+   */
+  async onCancelled () {
+    log('info', `${this.action} of course '${this.courseId}' cancelled`)
+    if (this.buildToken) {
+      const framework = await App.instance.waitForModule('adaptframework')
+      await framework.buildProgressHook.invoke(this, { id: 'cancelled', labelKey: 'app.previewbuildstepcancelled' })
+    }
+    await this.compiling?.catch(() => {})
+    if (this.dir && !this.outputDir) {
+      await Promise.all([
+        fs.rm(this.dir, { recursive: true, force: true }),
+        fs.rm(`${this.dir}.zip`, { force: true })
+      ])
+    }
+  }
+
   /**
    * Collects and caches all the DB data for the course being built
    * @return {Promise}
@@ -312,7 +439,8 @@ class AdaptFrameworkBuild {
     const content = await App.instance.waitForModule('content')
     const course = await content.findOne({ _id: this.courseId, _type: 'course' })
     const config = await content.findOne({ _courseId: this.courseId, _type: 'config' })
-    const langDir = path.join(this.courseDir, course._language ?? config._defaultLanguage ?? 'en')
+    const language = course._language ?? config._defaultLanguage ?? 'en'
+    const langDir = path.join(this.courseDir, language)
     this.courseData = {
       course: { dir: langDir, fileName: 'course.json', data: undefined },
       config: { dir: this.courseDir, fileName: 'config.json', data: undefined },
@@ -321,12 +449,81 @@ class AdaptFrameworkBuild {
       block: { dir: langDir, fileName: 'blocks.json', data: [] },
       component: { dir: langDir, fileName: 'components.json', data: [] }
     }
+    this.languageVariants = await this.findLanguageVariants(course, language)
     await this.loadAssetData()
     const contentItems = [course, ...await content.find({ _courseId: course._id })]
     this.createIdMap(contentItems)
     this.sortContentItems(contentItems)
     await this.cachePluginData()
     await this.transformContentItems(contentItems)
+
+    if (!this.languageVariants.length) return
+    for (const variant of this.languageVariants) await this.loadLanguageVariantData(variant)
+    const configData = this.courseData.config.data
+    configData._languagePicker = createLanguagePickerConfig(configData._languagePicker, [
+      { _language: language, _direction: configData._defaultDirection },
+      ...this.languageVariants.map(({ language, direction }) => ({ _language: language, _direction: direction }))
+    ])
+  }
+
+  /**
+   * Finds the other courses in this course's language group (see languagevariant schema). Variants without a language, or with a language already being built, are skipped.
+   * @param {Object} course The course being built
+   * @param {String} language The language of the course being built
+   * @return {Promise<Array<Object>>}
+   */
+  async findLanguageVariants (course, language) {
+    const content = await App.instance.waitForModule('content')
+    const groupId = course._languageGroupId ?? course._id
+    const courses = await content.find({ _type: 'course', $or: [{ _id: groupId }, { _languageGroupId: groupId }] })
+    const languages = [language]
+    const variants = []
+    for (const c of courses) {
+      if (c._id.toString() === course._id.toString()) continue
+      if (!c._language || languages.includes(c._language)) {
+        log('warn', `skipping language variant '${c._id}' of course '${this.courseId}', ${c._language ? `language '${c._language}' is already included` : 'no language set'}`)
+        continue
+      }
+      const variantConfig = await content.findOne({ _courseId: c._id, _type: 'config' }, { strict: false })
+      languages.push(c._language)
+      variants.push({ language: c._language, direction: variantConfig?._defaultDirection, course: c })
+    }
+    return variants
+  }
+
+  /**
+   * Loads and transforms the content of a language variant into its own language dir. The variant shares the primary course's config, plugins and assets.
+   * @param {Object} variant The language variant (see {@link AdaptFrameworkBuild#languageVariants})
+   * @return {Promise}
+   */
+  async loadLanguageVariantData (variant) {
+    const content = await App.instance.waitForModule('content')
+    const langDir = path.join(this.courseDir, variant.language)
+    const primaryData = this.courseData
+    this.courseData = {
+      course: { dir: langDir, fileName: 'course.json', data: undefined },
+      contentObject: { dir: langDir, fileName: 'contentObjects.json', data: [] },
+      article: { dir: langDir, fileName: 'articles.json', data: [] },
+      block: { dir: langDir, fileName: 'blocks.json', data: [] },
+      component: { dir: langDir, fileName: 'components.json', data: [] }
+    }
+    try {
+      const contentItems = [variant.course, ...(await content.find({ _courseId: variant.course._id })).filter(i => i._type !== 'config')]
+      this.createIdMap(contentItems)
+      this.sortContentItems(contentItems)
+      await this.transformContentItems(contentItems)
+      variant.courseData = this.courseData
+    } finally {
+      this.courseData = primaryData
+    }
+  }
+
+  /**
+   * Returns the courseData for every language being built, starting with the primary course
+   * @return {Array<Object>}
+   */
+  getLanguageData () {
+    return [this.courseData, ...this.languageVariants.map(v => v.courseData)]
   }
 
   /**
@@ -336,7 +533,9 @@ class AdaptFrameworkBuild {
   async loadAssetData () {
     const [assets, content, tags] = await App.instance.waitForModule('assets', 'content', 'tags')
 
-    const courseContent = await content.find({ _courseId: this.courseId }, { validate: false }, { projection: { _assetIds: 1, _type: 1 } })
+    const courseIds = [this.courseId, ...this.languageVariants.map(v => v.course._id)]
+    const courseQuery = { _courseId: courseIds.length > 1 ? { $in: courseIds } : this.courseId }
+    const courseContent = await content.find(courseQuery, { validate: false }, { projection: { _assetIds: 1, _type: 1 } })
     const { valid, invalid } = collectAssetRefs(courseContent, parseObjectId)
     invalid.forEach(({ id, contentId, contentType }) => log('warn', `skipping invalid asset reference '${id}' on ${contentType}~${contentId} in course '${this.courseId}'`))
     const uniqueAssetIds = new Set(valid)
@@ -491,11 +690,12 @@ class AdaptFrameworkBuild {
   }
 
   /**
-   * Outputs all course data to the required JSON files
+   * Outputs all course data to the required JSON files, recording a manifest of the written content (see {@link AdaptFrameworkBuild#contentManifest})
    * @return {Promise}
    */
   async writeContentJson () {
-    const data = Object.values(this.courseData)
+    this.contentManifest = createContentManifest({ courseData: this.courseData, assetData: this.assetData, courseDir: this.courseDir })
+    const data = this.getLanguageData().flatMap(d => Object.values(d))
     if (this.isExport && this.assetData.data.length) {
       this.assetData.data = this.assetData.data.map(d => {
         return {
@@ -534,7 +734,8 @@ class AdaptFrameworkBuild {
       getSchema('course'),
       getSchema('config')
     ])
-    courseSchema.compiledWithDefaults(this.courseData.course.data)
+    const languageData = this.getLanguageData()
+    languageData.forEach(d => courseSchema.compiledWithDefaults(d.course.data))
     configSchema.compiledWithDefaults(this.courseData.config.data)
 
     if (this.isPreview) await this.applyBundledGlobalsDefaults()
@@ -542,13 +743,13 @@ class AdaptFrameworkBuild {
     for (const type of ['contentObject', 'article', 'block']) {
       const schemaName = type === 'contentObject' ? 'contentobject' : type
       const schema = await getSchema(schemaName)
-      for (const item of this.courseData[type].data) {
+      for (const item of languageData.flatMap(d => d[type].data)) {
         schema.compiledWithDefaults(item)
       }
     }
 
     const componentSchemas = {}
-    for (const item of this.courseData.component.data) {
+    for (const item of languageData.flatMap(d => d.component.data)) {
       const schemaName = `${item._component}-component`
       if (!componentSchemas[schemaName]) {
         componentSchemas[schemaName] = await getSchema(schemaName)
@@ -572,9 +773,11 @@ class AdaptFrameworkBuild {
       .reduce((m, p) => [...m, ...contentplugin.getPluginSchemas(p.name)], [])
     const extensionFilter = s => contentplugin.isPluginSchema(s) ? bundledSchemas.includes(s) : true
     const courseSchema = await jsonschema.getSchema('course', { useCache: false, extensionFilter })
-    const clone = structuredClone(this.courseData.course.data)
-    courseSchema.compiledWithDefaults(clone)
-    this.courseData.course.data._globals = clone._globals
+    this.getLanguageData().forEach(({ course }) => {
+      const clone = structuredClone(course.data)
+      courseSchema.compiledWithDefaults(clone)
+      course.data._globals = clone._globals
+    })
   }
 
   /**
@@ -583,13 +786,103 @@ class AdaptFrameworkBuild {
    * @return {Promise}
    */
   async writeLanguageManifest () {
-    const langDir = this.courseData.course.dir
-    const fileNames = Object.values(this.courseData)
-      .filter(d => d.dir === langDir)
-      .map(d => d.fileName)
-    const manifest = generateLanguageManifest(fileNames)
-    await ensureDir(langDir)
-    await writeJson(path.join(langDir, 'language_data_manifest.js'), manifest)
+    return Promise.all(this.getLanguageData().map(async courseData => {
+      const langDir = courseData.course.dir
+      const fileNames = Object.values(courseData)
+        .filter(d => d.dir === langDir)
+        .map(d => d.fileName)
+      const manifest = generateLanguageManifest(fileNames)
+      await ensureDir(langDir)
+      await writeJson(path.join(langDir, 'language_data_manifest.js'), manifest)
+    }))
+  }
+
+  /**
+   * Configures the course's tracking plugins for the publish target. Only the plugin used by the target is left enabled.
+   * @return {Promise}
+   * @throws {AdaptError} FW_PUBLISH_TARGET_PLUGIN_REQUIRED if the course doesn't have the target's tracking plugin enabled
+   */
+  async applyPublishTarget () {
+    const { plugin } = PUBLISH_TARGETS[this.target]
+    const config = this.courseData.config.data
+    const isEnabled = name => this.enabledPlugins.some(p => p.name === name)
+    if (plugin && !isEnabled(plugin)) {
+      throw App.instance.errors.FW_PUBLISH_TARGET_PLUGIN_REQUIRED.setData({ courseId: this.courseId, target: this.target, plugin })
+    }
+    if (isEnabled('adapt-contrib-spoor')) _.set(config, '_spoor._isEnabled', plugin === 'adapt-contrib-spoor')
+    if (isEnabled('adapt-contrib-xapi')) _.set(config, '_xapi._isEnabled', plugin === 'adapt-contrib-xapi')
+
+    if (this.isScorm) {
+      _.set(config, '_spoor._advancedSettings._scormVersion', this.target === 'scorm12' ? '1.2' : '2004')
+    }
+    if (plugin === 'adapt-contrib-xapi') {
+      _.set(config, '_xapi._activityID', await this.getActivityIri())
+      _.set(config, '_xapi._specification', this.target === 'cmi5' ? 'cmi5' : 'xAPI')
+    }
+  }
+
+  /**
+   * Returns the xAPI activity IRI for the course, or for an item within it. IRIs use the _friendlyId where one is set (see {@link AdaptFrameworkBuild#createIdMap}) so they're stable across re-imports.
+   * @param {String} [id] _id (or _friendlyId) of a content item
+   * @return {Promise<String>}
+   */
+  async getActivityIri (id) {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const base = framework.getConfig('xapiActivityIriBase') || `${framework.rootRouter.url}/xapi/activities`
+    const courseIri = `${base.replace(/\/$/, '')}/${encodeURIComponent(this.idMap[this.courseId] || this.courseId)}`
+    return id ? `${courseIri}/${encodeURIComponent(this.idMap[id] || id)}` : courseIri
+  }
+
+  /**
+   * Writes the package manifest for the publish target to the root of the build. Any imsmanifest.xml produced by the framework is removed for non-SCORM targets.
+   * @return {Promise}
+   */
+  async writePackageManifest () {
+    const { manifest } = PUBLISH_TARGETS[this.target]
+    if (manifest !== 'imsmanifest.xml') {
+      await fs.rm(path.join(this.buildDir, 'imsmanifest.xml'), { force: true })
+    }
+    if (!manifest) return
+
+    const { course, config, contentObject } = this.courseData
+    const title = course.data.displayTitle || course.data.title
+    const description = course.data.description
+    const lang = course.data._language ?? config.data._defaultLanguage ?? 'en'
+    let xml
+    if (this.isScorm) {
+      xml = generateScormManifest({
+        target: this.target,
+        identifier: `course_${this.courseId}`,
+        title,
+        masteryScore: config.data._spoor?._advancedSettings?._masteryScore
+      })
+    } else if (this.target === 'cmi5') {
+      const id = await this.getActivityIri()
+      xml = generateCmi5Manifest({ id, title, description, lang, aus: [{ id: `${id}/au`, title, description, url: 'index.html' }] })
+    } else {
+      const activities = [{ id: await this.getActivityIri(), type: 'http://adlnet.gov/expapi/activities/course', name: title, description, launch: 'index.html' }]
+      for (const co of contentObject.data) {
+        activities.push({ id: await this.getActivityIri(co._id), type: 'http://adlnet.gov/expapi/activities/module', name: co.displayTitle || co.title })
+      }
+      xml = generateTincanManifest({ activities, lang })
+    }
+    const manifestPath = path.join(this.buildDir, manifest)
+    await fs.writeFile(manifestPath, xml)
+    log('verbose', 'WRITE', manifestPath)
+  }
+
+  /**
+   * Checks that the publish target's package manifest exists at the root of the directory being zipped
+   * @param {String} dir The directory to check
+   * @return {Promise}
+   * @throws {AdaptError} FW_PUBLISH_MANIFEST_INVALID
+   */
+  async validatePackageManifest (dir) {
+    const { manifest, rootElement } = PUBLISH_TARGETS[this.target]
+    const xml = await fs.readFile(path.join(dir, manifest), 'utf8').catch(() => '')
+    if (!new RegExp(`<${rootElement}[\\s>]`).test(xml)) {
+      throw App.instance.errors.FW_PUBLISH_MANIFEST_INVALID.setData({ courseId: this.courseId, target: this.target, manifest })
+    }
   }
 
   /**
@@ -598,6 +891,7 @@ class AdaptFrameworkBuild {
    */
   async prepareZip () {
     const zipPath = path.join(this.dir, this.isPublish ? 'build' : '')
+    if (this.isPublish && PUBLISH_TARGETS[this.target]?.manifest) await this.validatePackageManifest(zipPath)
     const outputPath = `${this.dir}.zip`
     await zipper.zip(zipPath, outputPath, { removeSource: true })
     return outputPath
@@ -610,27 +904,42 @@ class AdaptFrameworkBuild {
   async recordBuildAttempt () {
     const [framework, jsonschema, mongodb] = await App.instance.waitForModule('adaptframework', 'jsonschema', 'mongodb')
     const schema = await jsonschema.getSchema('adaptbuild')
+    const stats = await fs.stat(this.location).catch(() => undefined)
     const validatedData = schema.validate({
       action: this.action,
       courseId: this.courseId,
+      target: this.target ?? undefined,
       location: this.location,
+      size: stats?.isFile() ? stats.size : undefined,
       expiresAt: this.expiresAt,
       createdBy: this.userId,
+      createdAt: new Date().toISOString(),
       versions: this.enabledPlugins.reduce((m, p) => {
         return { ...m, [p.name]: p.version }
-      }, { adapt_framework: framework.version })
+      }, { adapt_framework: framework.version }),
+      contentManifest: this.contentManifest
     })
     return mongodb.insert(this.collectionName, validatedData)
   }
 
   /**
-   * Removes all previous builds of this.action type
+   * Removes old builds. Previews remove all of the user's previous previews, other actions keep the most recent builds of the course (see the buildRetention config). Pinned builds are never removed.
    * @return {Promise}
    */
   async removeOldBuilds () {
-    const mongodb = await App.instance.waitForModule('mongodb')
-    const query = { action: this.action, createdBy: this.userId }
-    const oldBuilds = await mongodb.find(this.collectionName, query)
+    const [framework, mongodb] = await App.instance.waitForModule('adaptframework', 'mongodb')
+    let query
+    let oldBuilds
+    if (this.isPreview) {
+      query = { action: this.action, createdBy: this.userId, pinned: { $ne: true } }
+      oldBuilds = await mongodb.find(this.collectionName, query)
+    } else {
+      // only retained builds count towards the retention limit, expiring ones (e.g. those written to an outputDir) are left to purgeBuilds
+      const builds = await mongodb.find(this.collectionName, { action: this.action, courseId: this.courseId, expiresAt: null, pinned: { $ne: true } }, { sort: { _id: -1 } })
+      oldBuilds = builds.slice(framework.getConfig('buildRetention'))
+      if (!oldBuilds.length) return
+      query = { _id: { $in: oldBuilds.map(b => b._id) } }
+    }
     await Promise.all(oldBuilds.map(async b => {
       try {
         await fs.rm(b.location, { recursive: true })
@@ -638,7 +947,8 @@ class AdaptFrameworkBuild {
         if (e.code !== 'ENOENT') throw e
       }
     }))
-    return mongodb.deleteMany(this.collectionName, query)
+    await mongodb.deleteMany(this.collectionName, query)
+    clearBuildData(oldBuilds.map(b => b._id))
   }
 }
 
@@ -0,0 +1,319 @@
+import { App } from 'adapt-authoring-core'
+import fs from 'node:fs/promises'
+import path from 'upath'
+import ImportJournal from './ImportJournal.js'
+import { log } from './utils/log.js'
+
+/**
+ * Imports many courses in one batch, running a limited number of imports at once. Plugin installs are shared across the batch: the plugin stage of each import runs one at a time, so a plugin installed for one course is already installed for the next. Plugins installed or updated by a failed import are only rolled back once the batch has finished, and only if no successful import in the batch uses them. The same plugins are kept in a journal for the batch, so they're also rolled back if the batch is interrupted by a shutdown (see {@link ImportJournal}).
+ * @memberof adaptframework
+ */
+class AdaptFrameworkBulkImport {
+  /**
+   * @param {Object} options
+   * @param {Array<String>} options.importPaths Paths of the course zips (or unzipped directories) to import. A directory containing only zips (i.e. an unzipped zip-of-zips) is expanded into its zips.
+   * @param {String} options.userId The user running the import
+   * @param {Number} [options.concurrency] Maximum number of imports to run at once
+   * @param {String} [options.importToken] Correlation id for progress reporting and cancellation. Each course import is given its own token of the form `<importToken>-<index>`.
+   * @param {AbortSignal} [options.signal] Signal used to cancel the batch. Running imports are rolled back, and any not yet started are skipped.
+   * @param {AdaptFrameworkImportOptions} [options.importOptions] Options passed to every course import
+   * @param {Function} options.runImport Runs a single import, resolving with the AdaptFrameworkImport instance (see {@link AdaptFrameworkModule#importCourse})
+   * @param {Function} [options.reportProgress] Called with batch-level progress after each import finishes
+   */
+  constructor ({ importPaths, userId, concurrency, importToken, signal, importOptions, runImport, reportProgress }) {
+    if (!importPaths?.length) throw App.instance.errors.INVALID_PARAMS.setData({ params: ['importPaths'] })
+    /**
+     * Paths to import, as passed in
+     * @type {Array<String>}
+     */
+    this.importPaths = importPaths
+    /**
+     * The user running the import
+     * @type {String}
+     */
+    this.userId = userId
+    /**
+     * Maximum number of imports to run at once
+     * @type {Number}
+     */
+    this.concurrency = Math.max(1, concurrency ?? 1)
+    /**
+     * Correlation id for the batch
+     * @type {String}
+     */
+    this.importToken = importToken
+    /**
+     * Signal used to cancel the batch
+     * @type {AbortSignal}
+     */
+    this.signal = signal
+    /**
+     * Options passed to every course import
+     * @type {Object}
+     */
+    this.importOptions = importOptions ?? {}
+    /**
+     * Runs a single course import
+     * @type {Function}
+     */
+    this.runImport = runImport
+    /**
+     * Reports batch-level progress
+     * @type {Function}
+     */
+    this.reportProgress = reportProgress ?? (() => {})
+    /**
+     * Directories of expanded zip-of-zips, removed once the batch has finished
+     * @type {Array<String>}
+     */
+    this.containerDirs = []
+    /**
+     * The outcome of each course import, in input order
+     * @type {Array<Object>}
+     */
+    this.results = []
+    /**
+     * Imports (other than dry runs) which have reached the plugin stage, in the order they ran it
+     * @type {Array<AdaptFrameworkImport>}
+     */
+    this.pluginImporters = []
+    /**
+     * Imports which completed successfully
+     * @type {Set<AdaptFrameworkImport>}
+     */
+    this.succeeded = new Set()
+    /**
+     * Resolves once the current plugin stage has finished
+     * @type {Promise}
+     */
+    this.pluginStage = Promise.resolve()
+    /**
+     * The import currently running its plugin stage
+     * @type {AdaptFrameworkImport}
+     */
+    this.pluginStageOwner = undefined
+    /**
+     * Names of the plugins installed during the batch
+     * @type {Set<String>}
+     */
+    this.installedPlugins = new Set()
+    /**
+     * Names of the plugins updated during the batch
+     * @type {Set<String>}
+     */
+    this.updatedPlugins = new Set()
+    /**
+     * Plugins uninstalled or restored to their previous version after the batch finished
+     * @type {Array<String>}
+     */
+    this.rolledBackPlugins = []
+    /**
+     * Journal of the plugins installed or updated during the batch and not yet used by a successful import. Not set for dry runs.
+     * @type {ImportJournal}
+     */
+    this.journal = undefined
+    /**
+     * Aggregated report for the batch, set once the batch has finished
+     * @type {Object}
+     */
+    this.report = undefined
+  }
+
+  /**
+   * Runs every import in the batch
+   * @return {Promise<AdaptFrameworkBulkImport>}
+   */
+  async import () {
+    try {
+      if (!this.importOptions.isDryRun) this.journal = await ImportJournal.create({ userId: this.userId, importToken: this.importToken })
+      const queue = (await this.resolveImportPaths()).map((importPath, index) => ({ importPath, index }))
+      this.results = queue.map(({ importPath }) => ({ source: path.basename(importPath), status: 'pending' }))
+      const worker = async () => {
+        while (queue.length) {
+          const { importPath, index } = queue.shift()
+          await this.importOne(importPath, index)
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker))
+      await this.rollbackPlugins()
+    } finally {
+      await this.journal?.remove()
+      await Promise.all(this.containerDirs.map(d => fs.rm(d, { recursive: true, force: true })))
+    }
+    this.report = this.generateReport()
+    return this
+  }
+
+  /**
+   * Expands any zip-of-zips in the input into the zips they contain
+   * @return {Promise<Array<String>>}
+   */
+  async resolveImportPaths () {
+    const resolved = []
+    for (const importPath of this.importPaths) {
+      const entries = await fs.readdir(importPath, { withFileTypes: true }).catch(() => undefined)
+      const isContainer = entries?.length > 0 && entries.every(e => e.isFile() && e.name.endsWith('.zip'))
+      if (!isContainer) {
+        resolved.push(importPath)
+        continue
+      }
+      resolved.push(...entries.map(e => path.join(importPath, e.name)).sort())
+      this.containerDirs.push(importPath)
+    }
+    return resolved
+  }
+
+  /**
+   * Imports a single course, recording the outcome
+   * @param {String} importPath
+   * @param {Number} index Position of the course in the batch
+   * @return {Promise}
+   */
+  async importOne (importPath, index) {
+    const result = this.results[index]
+    if (this.signal?.aborted) {
+      result.status = 'cancelled'
+    } else {
+      result.status = 'running'
+      try {
+        const importer = await this.runImport({
+          ...this.importOptions,
+          importPath,
+          userId: this.userId,
+          importToken: this.importToken ? `${this.importToken}-${index}` : undefined,
+          signal: this.signal,
+          bulkImport: this
+        })
+        this.succeeded.add(importer)
+        await this.discardPluginsInUse()
+        Object.assign(result, { status: 'imported', summary: importer.summary })
+      } catch (e) {
+        const isCancelled = e.code === 'FW_IMPORT_CANCELLED'
+        if (!isCancelled) log('error', `bulk import of '${result.source}' failed, ${e.message}`)
+        Object.assign(result, {
+          status: isCancelled ? 'cancelled' : 'failed',
+          rolledBack: true,
+          error: { code: e.code, statusCode: e.statusCode, message: e.message }
+        })
+      }
+    }
+    try {
+      await this.reportProgress(this.getProgress())
+    } catch (e) {
+      log('warn', `failed to report bulk import progress, ${e.message}`)
+    }
+  }
+
+  /**
+   * Runs the plugin stage of an import once any other import's plugin stage has finished
+   * @param {AdaptFrameworkImport} importer The import
+   * @param {Function} fn Performs the plugin stage
+   * @return {Promise}
+   */
+  runPluginStage (importer, fn) {
+    const stage = this.pluginStage.then(async () => {
+      this.pluginStageOwner = importer
+      try {
+        if (importer.settings.isDryRun) return await fn()
+        this.pluginImporters.push(importer)
+        await fn()
+        Object.keys(importer.newContentPlugins).forEach(name => this.installedPlugins.add(name))
+        Object.keys(importer.updatedContentPlugins).forEach(name => this.updatedPlugins.add(name))
+        await this.discardPluginsInUse()
+      } finally {
+        this.pluginStageOwner = undefined
+      }
+    })
+    this.pluginStage = stage.catch(() => {})
+    return stage
+  }
+
+  /**
+   * Returns the names of the plugins used by the successful imports
+   * @return {Set<String>}
+   */
+  getPluginsInUse () {
+    return new Set([...this.succeeded].flatMap(i => Object.values(i.usedContentPlugins).map(p => p.name)))
+  }
+
+  /**
+   * Removes the plugins used by a successful import from the journal, so they're kept if the batch is interrupted. Errors are logged rather than thrown, as they don't affect the imports themselves.
+   * @return {Promise}
+   */
+  async discardPluginsInUse () {
+    if (!this.journal) return
+    const inUse = this.getPluginsInUse()
+    const installed = this.pluginImporters.flatMap(i => Object.values(i.newContentPlugins)).filter(p => inUse.has(p.name))
+    try {
+      await this.journal.discard('plugins', installed.map(p => p._id))
+      await this.journal.discard('updatedPlugins', [...this.updatedPlugins].filter(name => inUse.has(name)))
+    } catch (e) {
+      log('warn', `failed to update bulk import journal ${this.journal._id}, ${e.message}`)
+    }
+  }
+
+  /**
+   * Rolls back the plugin changes made by failed imports, except for plugins used by a successful import. Changes are undone in reverse order.
+   * @return {Promise}
+   */
+  async rollbackPlugins () {
+    const failed = this.pluginImporters.filter(i => !this.succeeded.has(i)).reverse()
+    if (!failed.length) return
+    const inUse = this.getPluginsInUse()
+    for (const importer of failed) {
+      for (const p of Object.values(importer.newContentPlugins).filter(p => !inUse.has(p.name))) {
+        try {
+          await importer.contentplugin.delete({ _id: p._id })
+          this.rolledBackPlugins.push(p.name)
+        } catch (e) {
+          log('warn', `failed to uninstall plugin '${p.name}'`, e)
+        }
+      }
+      importer.updatedContentPlugins = Object.fromEntries(Object.entries(importer.updatedContentPlugins).filter(([name]) => !inUse.has(name)))
+      await importer.restoreUpdatedPlugins()
+      this.rolledBackPlugins.push(...Object.keys(importer.updatedContentPlugins))
+    }
+  }
+
+  /**
+   * Returns the current progress of the batch
+   * @return {Object}
+   */
+  getProgress () {
+    const count = status => this.results.filter(r => r.status === status).length
+    const finished = this.results.filter(r => !['pending', 'running'].includes(r.status)).length
+    return {
+      id: 'bulk',
+      labelKey: 'app.importstepbulk',
+      total: this.results.length,
+      finished,
+      imported: count('imported'),
+      failed: count('failed'),
+      cancelled: count('cancelled')
+    }
+  }
+
+  /**
+   * Generates the aggregated report for the batch
+   * @return {Object}
+   */
+  generateReport () {
+    const { total, imported, failed, cancelled } = this.getProgress()
+    const rolledBack = [...new Set(this.rolledBackPlugins)].sort()
+    const kept = names => [...names].filter(name => !rolledBack.includes(name)).sort()
+    return {
+      total,
+      imported,
+      failed,
+      cancelled,
+      courses: this.results,
+      plugins: {
+        installed: kept(this.installedPlugins),
+        updated: kept(this.updatedPlugins),
+        rolledBack
+      }
+    }
+  }
+}
+
+export default AdaptFrameworkBulkImport
@@ -1,48 +1,48 @@
 import { App, Hook, readJson, writeJson } from 'adapt-authoring-core'
 import { isValidObjectId, parseObjectId } from 'adapt-authoring-mongodb'
 import fs from 'node:fs/promises'
+import { createReadStream } from 'node:fs'
 import { glob } from 'glob'
 import path from 'upath'
 import semver from 'semver'
 import { unzip } from '@adapt-security/zipper'
-import { log, logDir, getImportSummary, getImportContentCounts, readFrameworkPluginVersions, collectMigrationScripts, runContentMigration, reconcileAssetTags, resolvePluginAction, resolvePluginUpdatePolicy } from './utils.js'
-
-import ComponentTransform from './migrations/component.js'
-import ConfigTransform from './migrations/config.js'
-import GraphicSrcTransform from './migrations/graphic-src.js'
-import NavOrderTransform from './migrations/nav-order.js'
-import ParentIdTransform from './migrations/parent-id.js'
-import RemoveUndefTransform from './migrations/remove-undef.js'
-import VanillaBackgroundStylesTransform from './migrations/vanilla-background-styles.js'
-import StartPageTransform from './migrations/start-page.js'
-import ThemeUndefTransform from './migrations/theme-undef.js'
-
-const ContentMigrations = [
-  ComponentTransform,
-  ConfigTransform,
-  GraphicSrcTransform,
-  NavOrderTransform,
-  ParentIdTransform,
-  RemoveUndefTransform,
-  StartPageTransform,
-  ThemeUndefTransform,
-  VanillaBackgroundStylesTransform
-]
+import ImportJournal from './ImportJournal.js'
+import ZipReader from './ZipReader.js'
+import { log, logDir, getImportSummary, getImportContentCounts, readFrameworkPluginVersions, collectMigrationScripts, runContentMigration, reconcileAssetTags, resolvePluginAction, resolvePluginUpdatePolicy, hasContentChanges, formatSchemaErrors, parseJsonStream } from './utils.js'
 
 const PROGRESS_STAGES = {
   prepare: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
   loadAssetData: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
   loadPluginData: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
   preImport: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
+  startJournal: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
+  loadExistingCourse: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
   importTags: { id: 'unpacking', labelKey: 'app.importstepunpacking' },
   importCourseAssets: { id: 'assets', labelKey: 'app.importstepassets' },
   importCoursePlugins: { id: 'plugins', labelKey: 'app.importstepplugins' },
   loadCourseData: { id: 'structure', labelKey: 'app.importstepstructure' },
   migrateCourseData: { id: 'migrate', labelKey: 'app.importstepmigrating' },
+  resolveIdConflicts: { id: 'structure', labelKey: 'app.importstepstructure' },
+  validateCourseData: { id: 'validate', labelKey: 'app.importstepvalidating' },
   importCourseData: { id: 'content', labelKey: 'app.importstepcontent' },
-  generateSummary: { id: 'finish', labelKey: 'app.importstepfinishing' }
+  importLanguageVariants: { id: 'content', labelKey: 'app.importstepcontent' },
+  generateSummary: { id: 'finish', labelKey: 'app.importstepfinishing' },
+  cancelled: { id: 'cancelled', labelKey: 'app.importstepcancelled' }
 }
 
+/**
+ * Stands in for the ObjectIds a dry run doesn't create (e.g. parent and asset _ids) when validating content
+ * @type {String}
+ */
+const PLACEHOLDER_ID = '000000000000000000000000'
+
+/**
+ * Checks whether a schema field holds an asset reference
+ * @param {Object} field The schema field
+ * @return {Boolean}
+ */
+const isAssetField = field => field?._backboneForms?.type === 'Asset' || field?._backboneForms === 'Asset'
+
 /**
  * Handles the Adapt framework import process
  * @memberof adaptframework
@@ -89,14 +89,21 @@ class AdaptFrameworkImport {
    * @property {String} pluginUpdatePolicy Which installed plugins may be updated to a newer version found in the import: 'none' (update nothing), 'custom' (custom/local plugins only — default), 'all' (custom + managed)
    * @property {Boolean} removeSource Whether import files should be removed after the process has completed (default: true)
    * @property {String} importToken Opaque correlation id passed through to importProgressHook observers, so a consumer can attribute progress to this import
+   * @property {AbortSignal} signal Signal used to cancel the import. A cancelled import is rolled back.
+   * @property {String} updateCourseId _id of an existing course to update with the imported content, rather than creating a new course
+   * @property {Boolean} importAllLanguages Whether every language in the course should be imported, each as a linked course (default: false). The language option sets the primary language.
+   * @property {Boolean} preserveTrackingIds Whether incoming _trackingId values are kept rather than regenerated (default: false). The import fails if any are duplicated, and blocks without one are numbered after the highest incoming value.
+   * @property {Boolean} renumberFriendlyIds Whether duplicate _friendlyId values are renumbered, and generated start page _friendlyIds avoid those already in use (default: false)
+   * @property {AdaptFrameworkBulkImport} bulkImport The bulk import this import is part of, if any. The bulk import serialises plugin installs across the batch and rolls back plugin changes itself.
    *
    * @constructor
    * @param {AdaptFrameworkImportOptions} options
    */
-  constructor ({ importPath, userId, language, assetFolders, tags, isDryRun = false, importContent = true, importPlugins = true, migrateContent = true, updatePlugins, pluginUpdatePolicy, removeSource = true, importToken }) {
+  constructor ({ importPath, userId, language, assetFolders, tags, isDryRun = false, importContent = true, importPlugins = true, migrateContent = true, updatePlugins, pluginUpdatePolicy, removeSource = true, importToken, signal, updateCourseId, importAllLanguages = false, preserveTrackingIds = false, renumberFriendlyIds = false, bulkImport }) {
     const e = App.instance.errors.INVALID_PARAMS
     if (!importPath) throw e.setData({ params: ['importPath'] })
     if (!userId) throw e.setData({ params: ['userId'] })
+    if (updateCourseId && importAllLanguages) throw e.setData({ params: ['updateCourseId', 'importAllLanguages'] })
     /**
      * Reference to the package.json data
      * @type {Object}
@@ -122,6 +129,16 @@ class AdaptFrameworkImport {
      * @type {Array}
      */
     this.assetData = []
+    /**
+     * The source archive, when it is too large to unzip up front (see the importStreamingThreshold config option)
+     * @type {ZipReader}
+     */
+    this.zip = undefined
+    /**
+     * Asset files which are left in the source archive until they are imported, mapped from the path they would have been unzipped to to their archive entry
+     * @type {Map<String,Object>}
+     */
+    this.archivedAssets = new Map()
     /**
      * List of tags to apply to the course
      * @type {Array<String>}
@@ -137,6 +154,16 @@ class AdaptFrameworkImport {
      * @type {String}
      */
     this.langPath = undefined
+    /**
+     * Language directories found in the course folder, and which of them are imported or skipped
+     * @type {Object}
+     */
+    this.languages = { found: [], imported: [], skipped: [] }
+    /**
+     * The _ids of the courses created for each language other than the primary language (see the importAllLanguages option)
+     * @type {Object}
+     */
+    this.languageCourseIds = {}
     /**
      * A cache of the import's content JSON file data (note this is not the DB data used by the application)
      * @type {Object}
@@ -185,6 +212,21 @@ class AdaptFrameworkImport {
      * @type {String}
      */
     this.importToken = importToken
+    /**
+     * Signal used to cancel the import. Checked between import stages.
+     * @type {AbortSignal}
+     */
+    this.signal = signal
+    /**
+     * The bulk import this import is part of
+     * @type {AdaptFrameworkBulkImport}
+     */
+    this.bulkImport = bulkImport
+    /**
+     * Persistent record of everything created by the import, so an import interrupted by a shutdown can be rolled back on restart. Not used on dry runs.
+     * @type {ImportJournal}
+     */
+    this.journal = undefined
     /**
      * Array of tag IDs created during import for rollback
      * @type {Array<String>}
@@ -200,6 +242,16 @@ class AdaptFrameworkImport {
      * @type {Array<String>}
      */
     this.reusedAssetIds = []
+    /**
+     * The existing course content when updating a course (see the updateCourseId option), used to match incoming items and to roll back
+     * @type {Object}
+     */
+    this.existingContent = undefined
+    /**
+     * Counts of content items created, updated, left unchanged and deleted by the import, by _type
+     * @type {Object}
+     */
+    this.contentChanges = { created: {}, updated: {}, unchanged: {}, deleted: {} }
     /**
      * Contains non-fatal infomation messages regarding import status which can be return as response data. Fatal errors are thrown in the usual way.
      * @type {Object}
@@ -209,6 +261,11 @@ class AdaptFrameworkImport {
       warn: [],
       error: []
     }
+    /**
+     * Results of validating the course content on a dry run: the number of items validated, the items which failed validation (each with its errors) and the items which couldn't be validated
+     * @type {Object}
+     */
+    this.validation = undefined
     /**
      * Summary information for the import run
      * @type {AdaptFrameworkImportSummary}
@@ -224,7 +281,11 @@ class AdaptFrameworkImport {
       importPlugins,
       migrateContent,
       pluginUpdatePolicy: resolvePluginUpdatePolicy(pluginUpdatePolicy, updatePlugins),
-      removeSource
+      removeSource,
+      updateCourseId,
+      importAllLanguages,
+      preserveTrackingIds,
+      renumberFriendlyIds
     }
     /**
      * Invoked before the import process has started
@@ -289,25 +350,31 @@ class AdaptFrameworkImport {
       log('debug', 'IMPORT_USER', this.userId)
       log('debug', 'IMPORT_SETTINGS', JSON.stringify(this.settings, null, 2))
 
-      const { isDryRun, importContent, importPlugins, migrateContent } = this.settings
+      const { isDryRun, importContent, importPlugins, migrateContent, updateCourseId, importAllLanguages } = this.settings
       const tasks = [
         [this.prepare],
         [this.loadAssetData],
         [this.loadPluginData],
         [() => this.preImportHook.invoke(this)],
+        [this.startJournal, !isDryRun],
+        [this.loadExistingCourse, updateCourseId && importContent],
         [this.importTags, importContent],
         [this.importCourseAssets, importContent],
         [this.importCoursePlugins, isDryRun && importPlugins],
         [this.importCoursePlugins, !isDryRun && importContent],
         [this.loadCourseData, importContent],
-        [this.migrateCourseData, !isDryRun && migrateContent],
+        [this.migrateCourseData, migrateContent && (!isDryRun || importContent)],
+        [this.resolveIdConflicts, importContent],
+        [this.validateCourseData, isDryRun && importContent],
         [this.importCourseData, !isDryRun && importContent],
+        [this.importLanguageVariants, !isDryRun && importContent && importAllLanguages],
         [this.generateSummary]
       ]
       const enabled = tasks.filter(task => task.length < 2 || task[1])
       for (let i = 0; i < enabled.length; i++) {
         const fn = enabled[i][0]
         const stage = PROGRESS_STAGES[fn.name || 'preImport']
+        this.checkCancelled()
         if (stage) await this.importProgressHook.invoke(this, stage)
         await fn.call(this)
       }
@@ -316,17 +383,34 @@ class AdaptFrameworkImport {
       error = e
     }
     await this.cleanUp(error)
-    if (error) throw error
+    if (error) {
+      if (this.signal?.aborted) await this.importProgressHook.invoke(this, PROGRESS_STAGES.cancelled)
+      throw error
+    }
     return this
   }
 
+  /**
+   * Throws if the import has been cancelled
+   * @throws {AdaptError} FW_IMPORT_CANCELLED
+   */
+  checkCancelled () {
+    if (this.signal?.aborted) {
+      throw App.instance.errors.FW_IMPORT_CANCELLED.setData({ importToken: this.importToken })
+    }
+  }
+
   /**
    * Performs preliminary checks to confirm that a course is suitable for import
    * @return {Promise}
    */
   async prepare () {
-    if (this.path.endsWith('.zip')) {
-      this.path = await unzip(this.path, `${this.path}_unzip`, { removeSource: true })
+    if (this.path.endsWith('.zip') || await ZipReader.isZip(this.path)) {
+      const threshold = this.framework.getConfig('importStreamingThreshold')
+      const { size } = await fs.stat(this.path)
+      this.path = threshold && size >= threshold
+        ? await this.extractArchive()
+        : await unzip(this.path, `${this.path}_unzip`, { removeSource: true })
     }
     try { // if it's a nested zip, move everything up a level
       const files = await fs.readdir(this.path)
@@ -357,6 +441,7 @@ class AdaptFrameworkImport {
       this.language = this.language ?? this.contentJson.config._defaultLanguage
       this.langPath = `${this.coursePath}/${this.language}`
       await fs.readdir(this.langPath)
+      await this.discoverLanguages()
     } catch (e) {
       this.framework.log('error', e)
       throw (e?.statusCode ? e : App.instance.errors.FW_IMPORT_INVALID_COURSE.setData({ reason: e.message }))
@@ -384,6 +469,74 @@ class AdaptFrameworkImport {
     log('debug', 'preparation tasks completed successfully')
   }
 
+  /**
+   * Extracts a large source archive one entry at a time, leaving the course assets in the archive to be extracted individually as they're imported. This keeps the disk space needed to a minimum, and avoids the memory overhead of unzipping the whole archive at once.
+   * @return {Promise<String>} Resolves with the path of the extracted course
+   * @throws {AdaptError} FW_IMPORT_INVALID
+   */
+  async extractArchive () {
+    const dest = `${this.path}_unzip`
+    try {
+      this.zip = await ZipReader.open(this.path)
+    } catch (e) {
+      throw App.instance.errors.FW_IMPORT_INVALID.setData({ reason: e.message })
+    }
+    log('debug', 'STREAM_IMPORT', this.path, `${this.zip.entries.length} entries`)
+    // if everything is in a single folder alongside a package.json, treat that folder as the root
+    const [root] = this.zip.entries[0]?.name.split('/') ?? []
+    const prefix = this.zip.entries.every(e => e.name.startsWith(`${root}/`)) && this.zip.getEntry(`${root}/package.json`)
+      ? `${root}/`
+      : ''
+    for (const entry of this.zip.entries) {
+      const name = entry.name.slice(prefix.length)
+      const filePath = path.join(dest, name)
+      if (!name || !filePath.startsWith(`${dest}/`)) {
+        if (name) throw App.instance.errors.FW_IMPORT_INVALID.setData({ reason: `invalid archive entry path '${entry.name}'` })
+        continue
+      }
+      if (!entry.isDirectory && /^[^/]+\/course\/[^/]+\/[^/]+\/[^/]+$/.test(name)) {
+        this.archivedAssets.set(filePath, entry)
+        continue
+      }
+      try {
+        await this.zip.extract(entry, filePath)
+      } catch (e) {
+        throw App.instance.errors.FW_IMPORT_INVALID.setData({ reason: e.message })
+      }
+    }
+    return dest
+  }
+
+  /**
+   * Returns the paths of any asset files left in the source archive for a language
+   * @param {String} langPath The language folder
+   * @return {Array<String>}
+   */
+  getArchivedAssets (langPath) {
+    return [...this.archivedAssets.keys()].filter(f => path.dirname(path.dirname(f)) === langPath)
+  }
+
+  /**
+   * Finds the language directories in the course folder, and works out which will be imported. Only the primary language is imported unless the importAllLanguages option is set, in which case every directory containing a course.json is imported.
+   * @return {Promise}
+   */
+  async discoverLanguages () {
+    const found = (await fs.readdir(this.coursePath, { withFileTypes: true }))
+      .filter(d => d.isDirectory())
+      .map(d => d.name)
+      .sort()
+    const imported = [this.language]
+    if (this.settings.importAllLanguages) {
+      const hasCourse = await Promise.all(found.map(l => fs.access(`${this.coursePath}/${l}/course.json`).then(() => true, () => false)))
+      imported.push(...found.filter((l, i) => hasCourse[i] && l !== this.language))
+    }
+    this.languages = { found, imported, skipped: found.filter(l => !imported.includes(l)) }
+    this.statusReport.info.push({ code: 'LANGUAGES_FOUND', data: this.languages })
+    if (this.languages.skipped.length) {
+      this.statusReport.warn.push({ code: 'LANGUAGES_SKIPPED', data: this.languages.skipped })
+    }
+  }
+
   /**
    * Reads 2-customStyles.less (if present) and injects its contents as customStyle on the in-memory course, so migrations and the DB write see it. Existing customStyle on the course takes precedence.
    */
@@ -420,17 +573,25 @@ class AdaptFrameworkImport {
    */
   async loadAssetData () {
     this.assetData = []
-    const metaFiles = await glob('assets.json', { cwd: this.langPath, absolute: true, posix: true })
-    if (metaFiles.length) { // process included asset metadata
-      log('debug', 'processing metadata files', metaFiles)
-      await Promise.all(metaFiles.map(async f => {
-        const metaJson = await readJson(f)
-        Object.entries(metaJson).forEach(([filename, metadata]) => this.assetData.push({ filename, ...metadata }))
-      }))
-    } else { // process the file metadata manually
-      const assetFiles = await glob('*/*', { cwd: this.langPath, absolute: true, posix: true })
-      log('debug', 'processing asset files manually', assetFiles.length)
-      this.assetData.push(...assetFiles.map(f => Object.assign({}, { title: path.basename(f), filepath: f })))
+    const langPaths = this.settings?.importAllLanguages
+      ? this.languages.imported.map(l => `${this.coursePath}/${l}`)
+      : [this.langPath]
+    for (const langPath of langPaths) {
+      const metaFiles = await glob('assets.json', { cwd: langPath, absolute: true, posix: true })
+      if (metaFiles.length) { // process included asset metadata
+        log('debug', 'processing metadata files', metaFiles)
+        await Promise.all(metaFiles.map(async f => {
+          const metaJson = await readJson(f)
+          Object.entries(metaJson).forEach(([filename, metadata]) => this.assetData.push({ filename, langPath, ...metadata }))
+        }))
+      } else { // process the file metadata manually
+        const assetFiles = [
+          ...await glob('*/*', { cwd: langPath, absolute: true, posix: true }),
+          ...(this.zip ? this.getArchivedAssets(langPath) : [])
+        ]
+        log('debug', 'processing asset files manually', assetFiles.length)
+        this.assetData.push(...assetFiles.map(f => Object.assign({}, { title: path.basename(f), filepath: f, langPath })))
+      }
     }
     const hasGlobalTags = !!this.tags.length
     this.assetData.forEach(a => {
@@ -461,6 +622,68 @@ class AdaptFrameworkImport {
     this.contentJson.config._enabledPlugins = Object.keys(this.usedContentPlugins)
   }
 
+  /**
+   * Creates the journal used to roll back the import if it's interrupted by a shutdown (see {@link ImportJournal})
+   * @return {Promise}
+   */
+  async startJournal () {
+    this.journal = await ImportJournal.create({
+      userId: this.userId,
+      importToken: this.importToken,
+      updateCourseId: this.settings.updateCourseId
+    })
+  }
+
+  /**
+   * Loads the content of the course being updated (see the updateCourseId option)
+   * @return {Promise}
+   */
+  async loadExistingCourse () {
+    const courseId = this.settings.updateCourseId
+    const [course] = await this.content.find({ _id: courseId, _type: 'course' })
+    if (!course) {
+      throw App.instance.errors.NOT_FOUND.setData({ type: 'course', id: courseId })
+    }
+    const items = (await this.content.find({ _courseId: course._id })).filter(i => i._type !== 'course')
+    this.existingContent = {
+      course,
+      config: items.find(i => i._type === 'config'),
+      items: items.filter(i => i._type !== 'config'),
+      matchedIds: new Set()
+    }
+    this.idMap.course = course._id.toString()
+    log('debug', `updating course '${courseId}' (${this.existingContent.items.length} existing items)`)
+  }
+
+  /**
+   * Finds the existing content item matching an incoming one when updating a course. Items are matched by the _id they were imported with (see _importSourceId), by _friendlyId, or by the _id they were exported with. Each existing item is only matched once.
+   * @param {Object} item The incoming content item
+   * @return {Object|undefined} The matching item
+   */
+  findExistingContent (item) {
+    if (!this.existingContent) return
+    const { items, matchedIds } = this.existingContent
+    const unmatched = items.filter(i => !matchedIds.has(i._id.toString()))
+    const match = [
+      i => item._id && i._importSourceId === item._id,
+      ...[item._friendlyId, item._id].filter(Boolean).map(id => i => i._friendlyId === id || i._id.toString() === id)
+    ]
+      .map(isMatch => unmatched.find(isMatch))
+      .find(Boolean)
+    if (match) matchedIds.add(match._id.toString())
+    return match
+  }
+
+  /**
+   * Increments the count of content changes of a given kind
+   * @param {String} change The kind of change (created, updated, unchanged or deleted)
+   * @param {String} type The content _type
+   */
+  recordContentChange (change, type) {
+    const counts = this.contentChanges[change]
+    counts[type] = (counts[type] ?? 0) + 1
+  }
+
   /**
    * Loads and caches all course content
    * @return {Promise}
@@ -468,6 +691,7 @@ class AdaptFrameworkImport {
   async loadCourseData () {
     const files = await glob('**/*.json', { cwd: this.langPath, absolute: true, ignore: { ignored: p => p.name === 'assets.json' } })
     const mapped = await Promise.all(files.map(f => this.loadContentFile(f)))
+    if (this.settings.importAllLanguages) this.contentJson.course._language = this.language
     this.statusReport.info.push({ code: 'CONTENT_IMPORTED', data: getImportContentCounts(this.contentJson) })
     log('info', 'loaded course data successfully')
     return mapped
@@ -480,7 +704,7 @@ class AdaptFrameworkImport {
   async loadContentFile (filePath) {
     let contents
     try {
-      contents = await readJson(filePath)
+      contents = this.zip ? await parseJsonStream(createReadStream(filePath)) : await readJson(filePath)
     } catch (e) {
       if (e.constructor.name === 'SyntaxError') {
         throw App.instance.errors.FILE_SYNTAX_ERROR.setData({ path: filePath.replace(this.path, ''), message: e.message })
@@ -595,6 +819,7 @@ class AdaptFrameworkImport {
       const { _id } = await tags.insert({ title: n })
       existingTagMap[n] = _id.toString()
       this.newTagIds.push(_id.toString())
+      await this.journal?.record('tags', [_id])
     }))
     // every currently-valid tag _id, used to prune stale refs on re-imported assets (#212)
     this.validTagIds = new Set(Object.values(existingTagMap))
@@ -615,60 +840,87 @@ class AdaptFrameworkImport {
    */
   async importCourseAssets () {
     let imagesImported = this.settings.isDryRun ? this.assetData.length : 0
-    await Promise.all(this.assetData.map(async data => {
-      const filepath = data.filepath ?? (await glob(`*/${data.filename}`, { cwd: this.langPath, absolute: true, posix: true }))[0]
-      // remove unused filepath to avoid possible issues
+    const importAsset = async data => {
+      // skip rather than throw, so assets already in flight are settled (and recorded for rollback) before cancelling
+      if (this.signal?.aborted) return
+      const langPath = data.langPath ?? this.langPath
+      const filepath = data.filepath ??
+        (this.zip && this.getArchivedAssets(langPath).find(f => path.basename(f) === data.filename)) ??
+        (await glob(`*/${data.filename}`, { cwd: langPath, absolute: true, posix: true }))[0]
+      // remove unused filepath and langPath to avoid possible issues
       delete data.filepath
-      const stats = await fs.stat(filepath)
-      if (this.settings.isDryRun) {
+      delete data.langPath
+      // assets left in a streamed archive are extracted as they're imported, then removed
+      const entry = this.zip && this.archivedAssets.get(filepath)
+      if (entry) await this.zip.extract(entry, filepath)
+      try {
+        const stats = await fs.stat(filepath)
+        if (this.settings.isDryRun) {
+          try {
+            await this.assets.checkDuplicate(filepath, stats.size)
+          } catch (e) {
+            if (e.code === 'DUPLICATE_ASSET') this.reusedAssetIds.push(e.data.assetId)
+          }
+          return
+        }
         try {
-          await this.assets.checkDuplicate(filepath, stats.size)
+          const asset = await this.assets.insert({
+            ...data,
+            createdBy: this.userId,
+            file: {
+              filepath,
+              originalFilename: filepath,
+              size: stats.size
+            },
+            tags: data.tags
+          })
+          // store the asset _id so we can map it to the old path later
+          const resolved = path.relative(`${this.coursePath}/..`, filepath)
+          const assetId = asset._id.toString()
+          this.assetMap[resolved] = assetId
+          this.newAssetIds.push(assetId)
+          await this.journal?.record('assets', [assetId])
         } catch (e) {
-          if (e.code === 'DUPLICATE_ASSET') this.reusedAssetIds.push(e.data.assetId)
+          if (e.code === 'DUPLICATE_ASSET') {
+            const resolved = path.relative(`${this.coursePath}/..`, filepath)
+            this.assetMap[resolved] = e.data.assetId
+            this.reusedAssetIds.push(e.data.assetId)
+            // existing asset persisted by content hash: prune its stale tag refs, merge this import's (#212)
+            const [existing] = await this.assets.find({ _id: e.data.assetId })
+            const tags = reconcileAssetTags(existing?.tags, data.tags, this.validTagIds)
+            await this.assets.update({ _id: e.data.assetId }, { tags })
+          } else {
+            log('error', `asset import failed for '${filepath}'`, e)
+            this.statusReport.warn.push({ code: 'ASSET_IMPORT_FAILED', data: { filepath, reason: e?.message ?? String(e) } })
+          }
         }
-        return
+        imagesImported++
+      } finally {
+        if (entry) await fs.rm(filepath, { force: true })
       }
-      try {
-        const asset = await this.assets.insert({
-          ...data,
-          createdBy: this.userId,
-          file: {
-            filepath,
-            originalFilename: filepath,
-            size: stats.size
-          },
-          tags: data.tags
-        })
-        // store the asset _id so we can map it to the old path later
-        const resolved = path.relative(`${this.coursePath}/..`, filepath)
-        const assetId = asset._id.toString()
-        this.assetMap[resolved] = assetId
-        this.newAssetIds.push(assetId)
-      } catch (e) {
-        if (e.code === 'DUPLICATE_ASSET') {
-          const resolved = path.relative(`${this.coursePath}/..`, filepath)
-          this.assetMap[resolved] = e.data.assetId
-          this.reusedAssetIds.push(e.data.assetId)
-          // existing asset persisted by content hash: prune its stale tag refs, merge this import's (#212)
-          const [existing] = await this.assets.find({ _id: e.data.assetId })
-          const tags = reconcileAssetTags(existing?.tags, data.tags, this.validTagIds)
-          await this.assets.update({ _id: e.data.assetId }, { tags })
-        } else {
-          log('error', `asset import failed for '${filepath}'`, e)
-          this.statusReport.warn.push({ code: 'ASSET_IMPORT_FAILED', data: { filepath, reason: e?.message ?? String(e) } })
-        }
+    }
+    // languages are imported one at a time, so identical files in each language resolve to a single shared asset
+    const byLanguage = this.assetData.reduce((m, a) => Object.assign(m, { [a.langPath]: [...(m[a.langPath] ?? []), a] }), {})
+    for (const assetData of Object.values(byLanguage)) {
+      if (this.zip) { // streamed assets are imported one at a time, so only one is ever extracted
+        for (const data of assetData) await importAsset(data)
+      } else {
+        await Promise.all(assetData.map(importAsset))
       }
-      imagesImported++
-    }))
+    }
+    this.checkCancelled()
     log('debug', 'imported course assets successfully')
     this.statusReport.info.push({ code: 'ASSETS_IMPORTED_SUCCESSFULLY', data: { count: imagesImported } })
   }
 
   /**
-   * Imports course content plugins
+   * Imports course content plugins. As part of a bulk import, this waits for any other import in the batch to finish its plugin stage first.
    * @return {Promise}
    */
   async importCoursePlugins () {
+    if (this.bulkImport && this.bulkImport.pluginStageOwner !== this) {
+      return this.bulkImport.runPluginStage(this, () => this.importCoursePlugins())
+    }
     this.installedPlugins = (await this.contentplugin.find({})).reduce((m, p) => Object.assign(m, { [p.name]: p }), {})
     const missingFromBoth = this.configEnabledPlugins.filter(p =>
       !this.usedContentPlugins[p] && !this.installedPlugins[p]
@@ -771,6 +1023,9 @@ class AdaptFrameworkImport {
         this.statusReport.info.push({ code: 'INSTALL_PLUGIN', data: { name: p, version: bowerJson.version } })
       }
       if (!this.settings.isDryRun) {
+        // a bulk import journals plugins for the whole batch, as they may be shared with other imports in the batch
+        const journal = this.bulkImport ? this.bulkImport.journal : this.journal
+        await journal?.record('updatedPlugins', Object.keys(this.updatedContentPlugins))
         try {
           const installed = await this.contentplugin.installPlugins(
             allPlugins.map(p => [p, this.usedContentPlugins[p].path]),
@@ -781,6 +1036,7 @@ class AdaptFrameworkImport {
               this.newContentPlugins[pluginData.name] = pluginData
             }
           })
+          await journal?.record('plugins', Object.values(this.newContentPlugins).map(p => p._id))
         } catch (e) {
           const errors = e.data?.errors?.map(err => ({
             plugin: err.data?.name ?? 'unknown',
@@ -816,6 +1072,119 @@ class AdaptFrameworkImport {
     }
   }
 
+  /**
+   * Checks the incoming content for conflicting ids: _trackingId values are checked for duplicates if they're being kept (see the preserveTrackingIds option), and duplicate _friendlyId values are renumbered (see the renumberFriendlyIds option)
+   */
+  resolveIdConflicts () {
+    if (this.settings.preserveTrackingIds) this.checkTrackingIds()
+    if (this.settings.renumberFriendlyIds) this.renumberDuplicateFriendlyIds()
+  }
+
+  /**
+   * Checks that the incoming _trackingId values are unique within the course, and numbers any blocks without one after the highest incoming value. Duplicates fail the import, or are reported on a dry run.
+   */
+  checkTrackingIds () {
+    const items = Object.values(this.contentJson.contentObjects)
+    const counts = items
+      .filter(c => c._trackingId !== undefined)
+      .reduce((m, c) => m.set(c._trackingId, (m.get(c._trackingId) ?? 0) + 1), new Map())
+    const duplicates = [...counts].filter(([, count]) => count > 1).map(([id]) => id)
+    if (duplicates.length) {
+      if (!this.settings.isDryRun) {
+        throw App.instance.errors.FW_IMPORT_DUPLICATE_TRACKING_IDS.setData({ ids: duplicates.join(', ') })
+      }
+      this.statusReport.error.push({ code: 'DUPLICATE_TRACKING_IDS', data: duplicates })
+    }
+    const missing = items.filter(c => c._type === 'block' && c._trackingId === undefined)
+    let next = [...counts.keys()].reduce((max, id) => Number.isInteger(id) ? Math.max(max, id) : max, 0) + 1
+    missing.forEach(c => { c._trackingId = next++ })
+    if (missing.length) this.statusReport.info.push({ code: 'TRACKING_IDS_ASSIGNED', data: { count: missing.length } })
+  }
+
+  /**
+   * Renumbers any incoming _friendlyId already used by an earlier item in the course, adding a statusReport warning for each. The first item with a _friendlyId keeps it, so references to it are unaffected.
+   */
+  renumberDuplicateFriendlyIds () {
+    const items = [this.contentJson.course, ...Object.values(this.contentJson.contentObjects)].filter(i => i?._friendlyId)
+    const used = new Set(items.map(i => i._friendlyId))
+    const seen = new Set()
+    for (const item of items) {
+      const from = item._friendlyId
+      if (!seen.has(from)) {
+        seen.add(from)
+        continue
+      }
+      let n = 2
+      while (used.has(`${from}-${n}`)) n++
+      item._friendlyId = `${from}-${n}`
+      used.add(item._friendlyId)
+      seen.add(item._friendlyId)
+      this.statusReport.warn.push({ code: 'FRIENDLY_ID_RENUMBERED', data: { _id: item._id, from, to: item._friendlyId } })
+    }
+  }
+
+  /**
+   * Validates all course content data against its schemas without writing anything. Used by dry runs in place of importCourseData, so invalid content is reported before a real import is attempted.
+   * @return {Promise}
+   */
+  async validateCourseData () {
+    const items = this.flattenContentJson()
+    const idMap = this.idMap
+    // nothing is inserted, so every reference to another item is mapped to a placeholder
+    this.idMap = items.reduce((m, i) => Object.assign(m, { [i._id]: PLACEHOLDER_ID }), { course: PLACEHOLDER_ID })
+    this.validation = { validated: 0, errors: [], skipped: [] }
+    try {
+      for (const item of items) {
+        this.checkCancelled()
+        const result = await this.validateContentObject(item)
+        if (result?.reason) this.validation.skipped.push(result)
+        else if (result) this.validation.errors.push(result)
+        else this.validation.validated++
+      }
+    } finally {
+      this.idMap = idMap
+    }
+    const { errors, skipped } = this.validation
+    if (errors.length) this.statusReport.error.push({ code: 'CONTENT_VALIDATION_FAILED', data: { count: errors.length } })
+    if (skipped.length) this.statusReport.warn.push({ code: 'CONTENT_VALIDATION_SKIPPED', data: { count: skipped.length } })
+    log('debug', `validated course data, ${errors.length} invalid item(s)`)
+  }
+
+  /**
+   * Validates a single content item against its schema without writing anything. The item is transformed as it would be on import first.
+   * @param {Object} data The content item
+   * @return {Promise<Object|undefined>} Resolves with undefined if the item is valid. Otherwise resolves with the item's _id, _type and _component, plus either its errors (each with a JSON pointer path) or the reason it couldn't be validated.
+   */
+  async validateContentObject (data) {
+    const item = { _id: data._id, _type: data._type, _component: data._component }
+    let validateData
+    let schema
+    try {
+      validateData = await this.transformData({
+        ...structuredClone(data),
+        _id: undefined,
+        _assetIds: undefined,
+        _trackingId: this.settings.preserveTrackingIds ? data._trackingId : undefined,
+        _courseId: this.idMap.course,
+        createdBy: this.userId,
+        ...(data.tags && { tags: data.tags.map(() => PLACEHOLDER_ID) })
+      })
+      // the course doesn't exist, so the schema is loaded without the course's plugin settings
+      schema = await this.content.getSchema(AdaptFrameworkImport.typeToSchema(validateData), { ...validateData, _courseId: undefined })
+    } catch (e) {
+      // e.g. a component whose plugin isn't installed yet
+      return { ...item, reason: e.message }
+    }
+    // assets aren't imported on a dry run, so asset references are assumed to resolve
+    schema.walk(validateData, isAssetField).forEach(({ data: parent, key, value }) => {
+      if (value) parent[key] = PLACEHOLDER_ID
+      else delete parent[key]
+    })
+    validateData = schema.sanitise(validateData)
+    if (schema.compiledWithDefaults(validateData)) return
+    return { ...item, errors: formatSchemaErrors(schema.compiledWithDefaults.errors) }
+  }
+
   /**
    * Imports all course content data
    * @return {Promise}
@@ -834,11 +1203,11 @@ class AdaptFrameworkImport {
      * - Everything else requires course + config to exist
      */
     try {
-      const course = await this.importContentObject({ ...this.contentJson.course, tags: this.tags })
-      /*  config  */ await this.importContentObject(this.contentJson.config)
+      const course = await this.importContentObject({ ...this.contentJson.course, tags: this.tags }, { existing: this.existingContent?.course })
+      /*  config  */ await this.importContentObject(this.contentJson.config, { existing: this.existingContent?.config })
       // we need to run an update with the same data to make sure all extension schema settings are applied;
       // ignoreRequired because some plugins declare top-level required properties with no default that Ajv can't materialise (e.g. adapt-contrib-glossary)
-      await this.importContentObject({ ...this.contentJson.course, _id: course._id }, { isUpdate: true, ignoreRequired: true })
+      await this.importContentObject({ ...this.contentJson.course, _id: course._id }, { isUpdate: true, ignoreRequired: true, existing: this.existingContent && course })
     } catch (e) {
       throw App.instance.errors.FW_IMPORT_CONTENT_FAILED.setData({ errors: [formatError(e)] })
     }
@@ -847,23 +1216,68 @@ class AdaptFrameworkImport {
 
     for (const ids of sorted) {
       for (const _id of ids) {
+        this.checkCancelled()
         try {
           const itemJson = this.contentJson.contentObjects[_id]
           await this.importContentObject({
             ...itemJson,
             _sortOrder: hierarchy[itemJson._parentId].indexOf(_id) + 1 // trust the hierarchy: per-insert updateSortOrder is disabled, so we can't rely on bad export values being normalised later
-          })
+          }, { existing: this.findExistingContent(itemJson) })
         } catch (e) {
           errors.push(formatError(e))
         }
       }
     }
     if (errors.length) throw App.instance.errors.FW_IMPORT_CONTENT_FAILED.setData({ errors })
+    if (this.existingContent) await this.deleteRemovedContent()
     // single-pass sweep now all content is in place; per-insert sweep was disabled to avoid O(n²) work
     await this.content.updateEnabledPlugins({ _courseId: this.idMap.course }, { forceUpdate: true })
     log('debug', 'imported course data successfully')
   }
 
+  /**
+   * Imports each language other than the primary language as a new course (see the importAllLanguages option). The courses are linked to the primary course by _languageGroupId, and share its assets and plugins.
+   * @return {Promise}
+   */
+  async importLanguageVariants () {
+    const primary = { language: this.language, langPath: this.langPath, contentJson: this.contentJson, idMap: this.idMap }
+    try {
+      for (const language of this.languages.imported.filter(l => l !== primary.language)) {
+        this.checkCancelled()
+        this.language = language
+        this.langPath = `${this.coursePath}/${language}`
+        this.idMap = {}
+        this.contentJson = { course: {}, contentObjects: [] }
+        await this.loadContentFile(`${this.coursePath}/config.json`)
+        this.contentJson.config._enabledPlugins = Object.keys(this.usedContentPlugins)
+        await this.loadCourseData()
+        this.contentJson.course._languageGroupId = primary.idMap.course
+        if (this.settings.migrateContent) await this.migrateCourseData()
+        this.resolveIdConflicts()
+        try {
+          await this.importCourseData()
+        } finally {
+          if (this.idMap.course) this.languageCourseIds[language] = this.idMap.course
+        }
+        log('debug', `imported language '${language}' as course ${this.idMap.course}`)
+      }
+    } finally {
+      Object.assign(this, primary)
+    }
+  }
+
+  /**
+   * Deletes any content from the course being updated which wasn't matched by an incoming item
+   * @return {Promise}
+   */
+  async deleteRemovedContent () {
+    const { items, matchedIds } = this.existingContent
+    const removed = items.filter(i => !matchedIds.has(i._id.toString()))
+    if (!removed.length) return
+    await this.content.deleteMany({ _id: { $in: removed.map(i => i._id) } })
+    removed.forEach(i => this.recordContentChange('deleted', i._type))
+  }
+
   /**
    * Sorts the import content objects into a 2D array separating each 'level' of siblings to allow processing without the need to work out whether the parent object exists.
    * @returns {Array<Array<String>>} The sorted list
@@ -892,17 +1306,26 @@ class AdaptFrameworkImport {
 
   /**
    * Imports a single content object
-   * @return {Object} The data to be imported
-   * @return {Promise} Resolves with the created document
+   * @param {Object} data The data to be imported
+   * @param {Object} [options]
+   * @param {Object} [options.existing] An existing content item to update rather than creating a new one. Its _trackingId, createdBy and _access are kept, and it's left alone if nothing has changed.
+   * @param {Boolean} [options.isUpdate] Whether to update the item with data._id (used to re-apply the course data)
+   * @param {Boolean} [options.ignoreRequired] Whether to skip validation of required properties
+   * @return {Promise} Resolves with the created/updated document
    */
   async importContentObject (data, options = {}) {
+    const { existing } = options
     let insertData = await this.transformData({
       ...data,
       _id: undefined,
       _assetIds: undefined, // recompute from resolved asset references; export ships paths, not ObjectIds
-      _trackingId: undefined, // regenerate sequentially per course; export values may be missing or duplicated
+      // regenerate sequentially per course unless kept (see the preserveTrackingIds option); export values may be missing or duplicated
+      _trackingId: this.settings.preserveTrackingIds ? data._trackingId ?? existing?._trackingId : existing?._trackingId,
       _courseId: this.idMap.course,
-      createdBy: this.userId
+      // kept so the item can be matched if the same course is imported again as an update, whichever server it was exported from
+      ...(!options.isUpdate && { _importSourceId: data._id }),
+      createdBy: existing?.createdBy?.toString() ?? this.userId,
+      ...(existing?._access && { _access: existing._access })
     })
     const schemaName = AdaptFrameworkImport.typeToSchema(data)
     const schema = await this.content.getSchema(schemaName, insertData)
@@ -916,23 +1339,29 @@ class AdaptFrameworkImport {
     const opts = { schemaName, validate: true, useCache: false, updateEnabledPlugins: false, updateSortOrder: false, ignoreRequired: options.ignoreRequired }
     if (options.isUpdate) {
       doc = await this.content.update({ _id: data._id }, insertData, opts)
+    } else if (existing) {
+      this.idMap[data._id] = existing._id.toString()
+      const isChanged = hasContentChanges(existing, insertData)
+      doc = isChanged ? await this.content.update({ _id: existing._id }, insertData, opts) : existing
+      this.recordContentChange(isChanged ? 'updated' : 'unchanged', existing._type)
     } else {
       doc = await this.content.insert(insertData, opts)
       this.idMap[data._id] = doc._id.toString()
       if (doc._type === 'course') this.idMap.course = this.idMap[data._id]
+      // new courses are rolled back as a whole, so only items added to an existing course are recorded individually
+      if (doc._type === 'course' || this.existingContent) await this.journal?.record(doc._type === 'course' ? 'courses' : 'content', [doc._id])
+      this.recordContentChange('created', doc._type)
     }
     return doc
   }
 
   /**
-   * Performs custom data transforms prior to import
+   * Performs custom data transforms prior to import (see {@link ImportMigrationRegistry})
    * @param {Object} data Data to transform
    * @return {Promise} Resolves with the transformed data
    */
   async transformData (data) {
-    const migrations = [...ContentMigrations, ...this.framework.contentMigrations]
-    for (const Migration of migrations) await Migration(data, this)
-    return data
+    return this.framework.contentMigrations.run(data, this)
   }
 
   /**
@@ -942,9 +1371,7 @@ class AdaptFrameworkImport {
    */
   resolveAssets (schema, data) {
     if (!schema) return
-    schema.walk(data, field =>
-      field?._backboneForms?.type === 'Asset' || field?._backboneForms === 'Asset'
-    ).forEach(({ data: parent, key, value }) => {
+    schema.walk(data, isAssetField).forEach(({ data: parent, key, value }) => {
       if (!value) return delete parent[key]
       const mapped = this.assetMap[value]
       if (mapped) return (parent[key] = mapped)
@@ -973,11 +1400,15 @@ class AdaptFrameworkImport {
     if (error) {
       await this.rollback()
     }
+    await this.journal?.remove()
     if (this.settings.removeSource) {
       try {
         await fs.rm(this.path, { recursive: true })
       } catch (e) {} // ignore source removal errors
     }
+    if (this.zip) { // unzipped archives are always removed, so do the same here
+      await fs.rm(this.zip.path, { force: true })
+    }
   }
 
   /**
@@ -987,15 +1418,15 @@ class AdaptFrameworkImport {
   async rollback () {
     log('info', 'rolling back failed import')
     const tasks = []
-    // Uninstall newly installed plugins
-    if (this.contentplugin) {
+    // Uninstall newly installed plugins (a bulk import rolls back plugins once the whole batch has finished)
+    if (this.contentplugin && !this.bulkImport) {
       tasks.push(...Object.values(this.newContentPlugins).map(p =>
         this.contentplugin.delete({ _id: p._id })
           .catch(e => log('warn', `failed to uninstall plugin '${p.name}'`, e))
       ))
     }
     // Restore updated plugins to their original versions
-    if (Object.keys(this.updatedContentPlugins).length) {
+    if (Object.keys(this.updatedContentPlugins).length && !this.bulkImport) {
       tasks.push(this.restoreUpdatedPlugins())
     }
     // Delete newly created assets (skip de-duplicated assets which point to pre-existing records)
@@ -1017,8 +1448,12 @@ class AdaptFrameworkImport {
         log('warn', 'failed to load tags module for rollback', e)
       }
     }
+    // Restore the content of an updated course
+    if (this.content && this.existingContent) {
+      tasks.push(this.restoreExistingContent()
+        .catch(e => log('warn', 'failed to restore course content', e)))
     // Delete course content and course assets
-    if (this.content) {
+    } else if (this.content) {
       try {
         const _courseId = parseObjectId(this.idMap[this.contentJson.course._id])
         tasks.push(
@@ -1027,10 +1462,29 @@ class AdaptFrameworkImport {
         )
       } catch (e) {} // courseId not available, no content to roll back
     }
+    // Delete the courses created for other languages
+    if (this.content) {
+      tasks.push(...Object.values(this.languageCourseIds ?? {}).map(id =>
+        this.content.deleteMany({ _courseId: parseObjectId(id) })
+          .catch(e => log('warn', `failed to delete course content for course '${id}'`, e))
+      ))
+    }
     await Promise.allSettled(tasks)
     log('info', 'rollback complete')
   }
 
+  /**
+   * Restores the course being updated to its state before the import, removing any newly created content
+   * @return {Promise}
+   */
+  async restoreExistingContent () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const { course, config, items } = this.existingContent
+    const originals = [course, config, ...items].filter(Boolean)
+    await this.content.deleteMany({ _courseId: course._id, _id: { $nin: originals.map(i => i._id) } })
+    await Promise.all(originals.map(doc => mongodb.replace(this.content.collectionName, { _id: doc._id }, doc, { upsert: true })))
+  }
+
   /**
    * Restores plugins that were updated during import to their original versions
    * Uses ContentPluginModule's restorePluginFromBackup to restore from cached backups
@@ -1,14 +1,34 @@
-import { AbstractModule, Hook, readJson } from 'adapt-authoring-core'
+import { AbstractModule, Hook, readJson, writeJson } from 'adapt-authoring-core'
 import AdaptFrameworkBuild from './AdaptFrameworkBuild.js'
 import AdaptFrameworkImport from './AdaptFrameworkImport.js'
+import AdaptFrameworkBulkImport from './AdaptFrameworkBulkImport.js'
+import BuildQueue from './BuildQueue.js'
+import ImportJournal from './ImportJournal.js'
+import ImportMigrationRegistry from './ImportMigrationRegistry.js'
+import ImportUpload from './ImportUpload.js'
+import MigrationHistory from './MigrationHistory.js'
+import MigrationJob from './MigrationJob.js'
 import fs from 'node:fs/promises'
-import { getHandler, postHandler, importHandler, postUpdateHandler, getUpdateHandler } from './handlers.js'
+import { randomUUID } from 'node:crypto'
+import { getHandler, postHandler, getJobHandler, cancelBuildHandler, getBuildsHandler, patchBuildHandler, diffBuildsHandler, getCacheStatsHandler, importHandler, bulkImportHandler, cancelImportHandler, createImportUploadHandler, getImportUploadHandler, patchImportUploadHandler, deleteImportUploadHandler, postUpdateHandler, postUpdateRollbackHandler, getUpdateHandler, getCourseMigrationsHandler, revertCourseMigrationHandler } from './handlers.js'
 import { loadRouteConfig, registerRoutes } from 'adapt-authoring-server'
-import { applyContentAccessFilter, courseAccessGranted, runCliCommand, readFrameworkPluginVersions, migrateExistingCourses, computePluginHash, prebuildCache } from './utils.js'
+import { applyContentAccessFilter, courseAccessGranted, retrieveBuildData, clearBuildData, runCliCommand, readFrameworkPluginVersions, migrateExistingCourses, computeEnabledPluginHash, diffBuilds, diffPluginVersions, prebuildCache, getPathSize, findOrphanedTempDirs, resolveAllowedPath, checkoutRepository, getMigrationCacheDir } from './utils.js'
 import BuildCache from './BuildCache.js'
 import path from 'node:path'
 import semver from 'semver'
 
+/**
+ * Name of the file in the framework backup which records the last update, and the content it migrated
+ * @type {String}
+ */
+const UPDATE_SNAPSHOT_FILE = '.adapt-authoring-update.json'
+
+/**
+ * Name of the file in the framework backup which holds the original of each content item migrated by the last update, one JSON item per line. Items are appended as they are migrated.
+ * @type {String}
+ */
+const UPDATE_CONTENT_FILE = '.adapt-authoring-update-content.jsonl'
+
 /**
  * Module to handle the interface with the Adapt framework
  * @memberof adaptframework
@@ -17,6 +37,11 @@ import semver from 'semver'
 class AdaptFrameworkModule extends AbstractModule {
   /** @override */
   async init () {
+    /**
+     * When the module started. Only imports started before this are rolled back by {@link AdaptFrameworkModule#recoverImports}.
+     * @type {Date}
+     */
+    this.startedAt = new Date()
     /**
      * Location of the local Adapt framework files
      * @type {String}
@@ -76,10 +101,48 @@ class AdaptFrameworkModule extends AbstractModule {
      */
     this.buildHook = new Hook({ type: Hook.Types.Middleware })
     /**
-     * Content migration functions to be run on import
-     * @type {Array}
+     * Invoked after each purge of expired builds. Observers receive a summary object ({ builds, orphans, bytes }) giving the number of builds and orphaned temp directories removed, and the bytes reclaimed.
+     * @type {Hook}
+     */
+    this.buildPurgeHook = new Hook()
+    /**
+     * Invoked as the background migration of existing courses progresses, once each course is done, and again when the migration finishes. Observers receive the status of the job (see {@link MigrationJob#getStatus}).
+     * @type {Hook}
      */
-    this.contentMigrations = []
+    this.migrationProgressHook = new Hook()
+    /**
+     * Content migrations to be run on import
+     * @type {ImportMigrationRegistry}
+     */
+    this.contentMigrations = new ImportMigrationRegistry({ disabled: this.getConfig('disabledImportMigrations') })
+    /**
+     * Queue which limits the number of concurrent course builds
+     * @type {BuildQueue}
+     */
+    this.buildQueue = new BuildQueue({
+      concurrency: this.getConfig('buildConcurrency'),
+      runJob: job => this.buildCourse({ action: job.action, courseId: job.courseId, userId: job.createdBy.toString(), buildToken: job.buildToken, target: job.target })
+    })
+    /**
+     * In-flight builds which can be cancelled, mapping buildToken to { controller, userId }
+     * @type {Map<String, Object>}
+     */
+    this.activeBuilds = new Map()
+    /**
+     * In-flight imports which can be cancelled, mapping importToken to { controller, userId }
+     * @type {Map<String, Object>}
+     */
+    this.activeImports = new Map()
+    /**
+     * The course migration currently running in the background, if any
+     * @type {MigrationJob|undefined}
+     */
+    this.activeMigration = undefined
+    /**
+     * Course migrations waiting for the active migration to finish, each with the job and a function resolving the promise returned by {@link AdaptFrameworkModule#runMigrationJob}
+     * @type {Array<Object>}
+     */
+    this.queuedMigrations = []
 
     const meta = await readJson(path.resolve(this.rootDir, 'adapt-authoring.json'))
     /**
@@ -96,9 +159,9 @@ class AdaptFrameworkModule extends AbstractModule {
     await this.installFramework()
 
     this.app.waitForModule('contentplugin').then(contentplugin => {
-      contentplugin.postInsertHook.tap(() => this.invalidatePrebuiltCache())
-      contentplugin.postUpdateHook.tap(() => this.invalidatePrebuiltCache())
-      contentplugin.postDeleteHook.tap(() => this.invalidatePrebuiltCache())
+      contentplugin.postInsertHook.tap(doc => this.invalidatePrebuiltCache(doc?.name))
+      contentplugin.postUpdateHook.tap((originalDoc, doc) => this.invalidatePrebuiltCache(doc?.name ?? originalDoc?.name))
+      contentplugin.postDeleteHook.tap(doc => this.invalidatePrebuiltCache(doc?.name))
     })
     this.postUpdateHook.tap(() => this.invalidatePrebuiltCache())
 
@@ -114,10 +177,49 @@ class AdaptFrameworkModule extends AbstractModule {
     this._version = await this.runCliCommand('getCurrentFrameworkVersion')
 
     await Promise.all([this.loadSchemas(), this.initRoutes()])
+    // restored builds shouldn't start until every module has loaded
+    this.app.onReady()
+      .then(() => this.buildQueue.restore())
+      .catch(e => this.log('error', `failed to restore build queue, ${e.message}`))
+    // rolling back needs modules which wait for this one
+    this.app.onReady().then(() => this.recoverImports())
+    // not awaited, as the migration runs in the background
+    this.resumeMigrations()
 
+    this.schedulePurge()
     this.logStatus()
   }
 
+  /**
+   * Rolls back any imports on this server interrupted by the last shutdown (see {@link ImportJournal})
+   * @return {Promise}
+   */
+  async recoverImports () {
+    try {
+      const count = await ImportJournal.recover({ startedBefore: this.startedAt })
+      if (count) this.log('info', `rolled back ${count} interrupted import(s)`)
+    } catch (e) {
+      this.log('error', `failed to roll back interrupted imports, ${e.message}`)
+    }
+  }
+
+  /**
+   * Resumes any course migrations interrupted by the last shutdown (see {@link MigrationJob})
+   * @return {Promise}
+   */
+  async resumeMigrations () {
+    try {
+      const scheduled = [this.activeMigration, ...this.queuedMigrations.map(q => q.job)].filter(Boolean).map(j => j._id.toString())
+      const jobs = (await MigrationJob.findUnfinished()).filter(j => !scheduled.includes(j._id.toString()))
+      for (const job of jobs) {
+        this.log('info', `resuming course migration ${job._id}`)
+        await this.runMigrationJob(job)
+      }
+    } catch (e) {
+      this.log('error', `failed to resume course migrations, ${e.message}`)
+    }
+  }
+
   /**
    * Reference to runCliCommand utility
    */
@@ -227,12 +329,18 @@ class AdaptFrameworkModule extends AbstractModule {
   }
 
   /**
-   * Updates the local copy of the Adapt framework
+   * Updates the local copy of the Adapt framework. The update is installed into a sibling directory before being swapped in, so a failed install leaves frameworkDir untouched. Existing courses are then migrated by a background job (see {@link AdaptFrameworkModule#runMigrationJob}). The previous framework is kept (along with the original content of every item the migration changes), so the update can be undone with {@link AdaptFrameworkModule#rollbackFrameworkUpdate}.
    * @param {string} version The version to update to
-   * @return {Promise}
+   * @return {Promise<Object>} Resolves with the status of the migration job (see {@link MigrationJob#getStatus})
+   * @throws {AdaptError} FW_MIGRATION_IN_PROGRESS if the migration from the last update hasn't finished
    */
   async updateFramework (version) {
-    let migrationResult
+    this.checkMigrationNotRunning()
+    const nextPath = `${this.path}_next`
+    const snapshotPath = path.join(this.path, UPDATE_SNAPSHOT_FILE)
+    const runId = randomUUID()
+    let job
+    let isSwapped = false
     try {
       if (version) {
         this.checkVersionCompatibility(version)
@@ -241,38 +349,257 @@ class AdaptFrameworkModule extends AbstractModule {
         version = await this.getLatestVersion()
       }
       const fromPlugins = await readFrameworkPluginVersions(this.path)
-      await this.runCliCommand('updateFramework', { version })
+      await fs.rm(nextPath, { recursive: true, force: true })
+      await fs.cp(this.path, nextPath, { recursive: true, verbatimSymlinks: true })
+      await this.runCliCommand('updateFramework', { version, cwd: nextPath })
+      const toPlugins = await readFrameworkPluginVersions(nextPath)
+      // the snapshot is written to the current framework, so it ends up in the backup
+      await writeJson(snapshotPath, {
+        from: await this.runCliCommand('getCurrentFrameworkVersion'),
+        to: await this.runCliCommand('getCurrentFrameworkVersion', { cwd: nextPath }),
+        updatedAt: new Date().toISOString(),
+        runId
+      })
+      await fs.writeFile(path.join(this.path, UPDATE_CONTENT_FILE), '')
+      job = await MigrationJob.create({ runId, fromPlugins, toPlugins, frameworkDir: this.path })
+      await this.swapFrameworkDir(nextPath, `${this.path}_previous`)
+      isSwapped = true
+      // the job is only started once the update is in place, so it isn't resumed after an interrupted update
+      await job.start()
       this._version = await this.runCliCommand('getCurrentFrameworkVersion')
-      const toPlugins = await readFrameworkPluginVersions(this.path)
-      migrationResult = await migrateExistingCourses({ fromPlugins, toPlugins, frameworkDir: this.path })
     } catch (e) {
       this.log('error', `failed to update framework, ${e.message}`)
+      // put the previous framework back, so the update is cleaned up below
+      if (isSwapped) await this.swapFrameworkDir(`${this.path}_previous`, nextPath)
+      await job?.remove()
+      await Promise.all([nextPath, snapshotPath, path.join(this.path, UPDATE_CONTENT_FILE)].map(p => fs.rm(p, { recursive: true, force: true })))
       throw e.statusCode ? e : this.app.errors.FW_UPDATE_FAILED.setData({ reason: e.message })
     }
     await this.postUpdateHook.invoke()
-    return migrationResult
+    // not awaited, progress is reported by migrationProgressHook
+    this.runMigrationJob(job)
+    return job.getStatus()
   }
 
   /**
-   * Returns a cached plugin hash, computing it on first call
+   * Runs a course migration job, keeping the original of each item it changes in the framework backup so the update can be rolled back. Only one job runs at a time, so a job started while another is running is queued until it has finished. Never rejects.
+   * @param {MigrationJob} job The job to run
+   * @return {Promise<Object|undefined>} Resolves with the final status of the job
+   */
+  async runMigrationJob (job) {
+    if (this.activeMigration) {
+      this.log('info', `course migration ${this.activeMigration._id} already running, queueing ${job._id}`)
+      return new Promise(resolve => this.queuedMigrations.push({ job, resolve }))
+    }
+    this.activeMigration = job
+    const contentPath = path.join(`${this.path}_previous`, UPDATE_CONTENT_FILE)
+    let cacheDir
+    try {
+      cacheDir = path.join(await getMigrationCacheDir(), job.doc.runId)
+      const status = await job.run({
+        concurrency: this.getConfig('migrationConcurrency'),
+        cacheDir,
+        onUpdate: item => fs.appendFile(contentPath, `${JSON.stringify(item)}\n`),
+        onProgress: status => this.migrationProgressHook.invoke(status)
+      })
+      if (status.failed) {
+        this.log('warn', `migration failed for ${status.failed} course(s), ${status.errors.map(e => `${e.courseId}: ${e.error}`).join('; ')}`)
+      }
+      return status
+    } catch (e) {
+      this.log('error', `course migration ${job._id} failed, ${e.message}`)
+    } finally {
+      if (cacheDir) await fs.rm(cacheDir, { recursive: true, force: true })
+      this.activeMigration = undefined
+      const next = this.queuedMigrations.shift()
+      if (next) next.resolve(this.runMigrationJob(next.job))
+    }
+  }
+
+  /**
+   * Returns the status of the most recent course migration
+   * @return {Promise<Object|undefined>} Resolves with the status of the job (see {@link MigrationJob#getStatus})
+   */
+  async getMigrationStatus () {
+    return this.activeMigration?.getStatus() ?? (await MigrationJob.getLatest())?.getStatus()
+  }
+
+  /**
+   * Checks that no course migration is running
+   * @throws {AdaptError} FW_MIGRATION_IN_PROGRESS
+   */
+  checkMigrationNotRunning () {
+    if (this.activeMigration) {
+      throw this.app.errors.FW_MIGRATION_IN_PROGRESS.setData({ _id: this.activeMigration._id })
+    }
+  }
+
+  /**
+   * Undoes the last framework update, restoring the previous framework and the original content of every item the update's migrations changed. Any edits made to those items since the update are lost.
+   * @return {Promise<Object>} Resolves with { from, to, restored }, giving the versions rolled back from and to, and the number of content items restored
+   * @throws {AdaptError} FW_UPDATE_NO_BACKUP if there is no update to roll back
+   * @throws {AdaptError} FW_MIGRATION_IN_PROGRESS if the update's migration hasn't finished
+   * @throws {AdaptError} FW_UPDATE_ROLLBACK_FAILED
+   */
+  async rollbackFrameworkUpdate () {
+    this.checkMigrationNotRunning()
+    const backupPath = `${this.path}_previous`
+    let snapshot
+    try {
+      snapshot = await readJson(path.join(backupPath, UPDATE_SNAPSHOT_FILE))
+    } catch (e) {
+      throw this.app.errors.FW_UPDATE_NO_BACKUP
+    }
+    this.log('info', `rolling back framework update from ${snapshot.to} to ${snapshot.from}`)
+    let items
+    try {
+      // backups made before migrations ran in the background hold the content in the snapshot
+      items = snapshot.content ?? await this.readMigratedContent(backupPath)
+      const replacedPath = `${this.path}_next`
+      await fs.rm(replacedPath, { recursive: true, force: true })
+      // the framework is swapped back first, so a failed swap leaves the content untouched
+      await this.swapFrameworkDir(backupPath, replacedPath)
+      try {
+        await this.restoreMigratedContent(items)
+      } catch (e) {
+        // put the updated framework back so the rollback can be retried, restoring an item twice is harmless
+        await this.swapFrameworkDir(replacedPath, backupPath)
+        throw e
+      }
+      if (snapshot.runId) await MigrationHistory.markRunReverted(snapshot.runId)
+      await Promise.all([
+        fs.rm(replacedPath, { recursive: true, force: true }),
+        ...[UPDATE_SNAPSHOT_FILE, UPDATE_CONTENT_FILE].map(f => fs.rm(path.join(this.path, f), { force: true }))
+      ])
+      this._version = await this.runCliCommand('getCurrentFrameworkVersion')
+    } catch (e) {
+      this.log('error', `failed to roll back framework update, ${e.message}`)
+      throw this.app.errors.FW_UPDATE_ROLLBACK_FAILED.setData({ reason: e.message })
+    }
+    await this.postUpdateHook.invoke()
+    return { from: snapshot.to, to: snapshot.from, restored: items.length }
+  }
+
+  /**
+   * Reads the original content items kept in a framework backup by {@link AdaptFrameworkModule#runMigrationJob}. Where an item was migrated more than once (e.g. by a resumed job), the first original is kept.
+   * @param {String} backupPath The framework backup
+   * @return {Promise<Array<Object>>}
+   */
+  async readMigratedContent (backupPath) {
+    const lines = (await fs.readFile(path.join(backupPath, UPDATE_CONTENT_FILE), 'utf8')).split('\n')
+    const items = new Map()
+    for (const line of lines) {
+      // a line left incomplete by a shutdown is ignored, as its item hadn't been migrated
+      let item
+      try {
+        item = JSON.parse(line)
+      } catch (e) {
+        continue
+      }
+      if (!items.has(item._id)) items.set(item._id, item)
+    }
+    return [...items.values()]
+  }
+
+  /**
+   * Replaces frameworkDir with another directory. Both directories must be on the same filesystem, so the swap is made by renaming.
+   * @param {String} newPath The directory to move into frameworkDir
+   * @param {String} oldPath Where the current frameworkDir is moved to. Anything already there is removed.
+   * @return {Promise}
+   */
+  async swapFrameworkDir (newPath, oldPath) {
+    await fs.rm(oldPath, { recursive: true, force: true })
+    await fs.rename(this.path, oldPath)
+    try {
+      await fs.rename(newPath, this.path)
+    } catch (e) {
+      await fs.rename(oldPath, this.path)
+      throw e
+    }
+  }
+
+  /**
+   * Writes back the original versions of content items changed by a course migration
+   * @param {Array<Object>} items The original content items
+   * @return {Promise}
+   */
+  async restoreMigratedContent (items) {
+    if (!items.length) return
+    const content = await this.app.waitForModule('content')
+    for (const item of items) {
+      await content.update({ _id: item._id }, item)
+    }
+    this.log('info', `restored ${items.length} migrated content item(s)`)
+  }
+
+  /**
+   * Previews a framework update without applying it. The update is run on a scratch copy of the framework, and the course migrations are run in memory, so nothing is written to the database or frameworkDir.
+   * @param {string} version The version to update to
+   * @return {Promise<Object>} Resolves with { from, to, plugins, migration }. plugins lists the plugins which would be added, removed and changed (see diffPluginVersions), and migration is the dry-run result of migrateExistingCourses, listing the items which would change in each course and any courses whose migration would fail.
+   */
+  async previewFrameworkUpdate (version) {
+    const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(4, '0')
+    // the _fwupdate suffix lets purgeBuilds clean up copies left behind by a crash
+    const dir = path.join(this.app.getConfig('tempDir'), 'framework-updates', `${Date.now()}_${randomSuffix}_fwupdate`)
+    try {
+      if (version) {
+        this.checkVersionCompatibility(version)
+      }
+      if (!version && this.targetVersionRange) {
+        version = await this.getLatestVersion()
+      }
+      this.log('info', `previewing framework update${version ? ` to ${version}` : ''}`)
+      await fs.cp(this.path, dir, { recursive: true, verbatimSymlinks: true })
+      await this.runCliCommand('updateFramework', { version, cwd: dir })
+      const fromPlugins = await readFrameworkPluginVersions(this.path)
+      const toPlugins = await readFrameworkPluginVersions(dir)
+      return {
+        from: this.version,
+        to: await this.runCliCommand('getCurrentFrameworkVersion', { cwd: dir }),
+        plugins: diffPluginVersions(fromPlugins, toPlugins),
+        migration: await migrateExistingCourses({ fromPlugins, toPlugins, frameworkDir: dir, dryRun: true })
+      }
+    } catch (e) {
+      this.log('error', `failed to preview framework update, ${e.message}`)
+      throw e.statusCode ? e : this.app.errors.FW_UPDATE_FAILED.setData({ reason: e.message })
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Returns the plugin hash used to key preview builds in the prebuilt cache, computing it on first call. Previews bundle every installed plugin, but cache entries record the plugins they bundled and are invalidated per plugin, so only the framework version is hashed.
    * @return {Promise<String>}
    */
   async getPluginHash () {
     if (!this._pluginHash) {
-      this._pluginHash = await computePluginHash(this.path)
+      this._pluginHash = computeEnabledPluginHash({ frameworkVersion: this.version, plugins: [], sourceMaps: true })
     }
     return this._pluginHash
   }
 
   /**
-   * Invalidates the prebuilt compilation cache and optionally
-   * triggers an eager rebuild of the shared cache in the background
+   * Returns the prebuilt compilation cache
+   * @return {BuildCache}
    */
-  async invalidatePrebuiltCache () {
-    this._pluginHash = null
+  getBuildCache () {
+    return new BuildCache(path.join(this.getConfig('buildDir'), 'prebuilt-cache'), { maxSize: this.getConfig('prebuiltCacheMaxSize') })
+  }
 
+  /**
+   * Invalidates the prebuilt compilation cache and optionally
+   * triggers an eager rebuild of the shared cache in the background.
+   * If a plugin is specified, only the cache entries which bundled it are removed.
+   * @param {String} [pluginName] Name of the content plugin which has changed
+   */
+  async invalidatePrebuiltCache (pluginName) {
     try {
-      await new BuildCache(path.join(this.getConfig('buildDir'), 'prebuilt-cache')).invalidate()
+      if (pluginName) {
+        await this.getBuildCache().invalidatePlugins([pluginName])
+      } else {
+        this._pluginHash = null
+        await this.getBuildCache().invalidate()
+      }
     } catch (e) {
       this.log('warn', `failed to invalidate prebuilt cache: ${e.message}`)
     }
@@ -293,10 +620,11 @@ class AdaptFrameworkModule extends AbstractModule {
     if (this._eagerBuildPromise) {
       return this._eagerBuildPromise
     }
-    this._eagerBuildPromise = prebuildCache({
+    this._eagerBuildPromise = this.getPluginHash().then(pluginHash => prebuildCache({
       buildDir: this.getConfig('buildDir'),
-      frameworkDir: this.path
-    }).catch(e => {
+      pluginHash,
+      maxSize: this.getConfig('prebuiltCacheMaxSize')
+    })).catch(e => {
       this.log('warn', `eager prebuild failed: ${e.message}`)
       if (e.cmd) this.log('warn', `cmd: ${e.cmd}`)
       if (e.raw) this.log('warn', `output: ${e.raw}`)
@@ -307,6 +635,78 @@ class AdaptFrameworkModule extends AbstractModule {
     return this._eagerBuildPromise
   }
 
+  /**
+   * Starts the background purge of expired builds (see the buildPurgeInterval config)
+   */
+  schedulePurge () {
+    const interval = this.getConfig('buildPurgeInterval')
+    if (!interval) return
+    const purge = () => Promise.all([
+      this.purgeBuilds().catch(e => this.log('warn', `failed to purge builds, ${e.message}`)),
+      this.purgeImportUploads().catch(e => this.log('warn', `failed to purge import uploads, ${e.message}`))
+    ])
+    purge()
+    /**
+     * Timer for the background build purge
+     * @type {NodeJS.Timeout}
+     */
+    this._purgeTimer = setInterval(purge, interval).unref()
+  }
+
+  /**
+   * Removes expired builds from disk and the database, along with any orphaned temporary directories. Pinned builds are never removed, and only output inside the buildDir is deleted.
+   * @return {Promise<Object>} Resolves with a summary ({ builds, orphans, bytes })
+   */
+  async purgeBuilds () {
+    if (this._purgePromise) {
+      return this._purgePromise
+    }
+    this._purgePromise = (async () => {
+      const mongodb = await this.app.waitForModule('mongodb')
+      const buildDir = path.resolve(this.getConfig('buildDir'))
+      // the top-level entry in buildDir holds everything belonging to a build (e.g. the whole build directory of a preview). Output outside buildDir (e.g. a build's outputDir) belongs to whoever asked for it, so is left in place.
+      const getBuildRoot = location => {
+        const rel = path.relative(buildDir, path.resolve(location))
+        if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return
+        return path.join(buildDir, rel.split(path.sep)[0])
+      }
+      const expired = await mongodb.find('adaptbuilds', { expiresAt: { $lt: new Date() }, pinned: { $ne: true } })
+      const orphans = await findOrphanedTempDirs([buildDir, this.app.getConfig('tempDir')], {
+        minAge: Math.max(this.getConfig('buildPurgeInterval'), 86400000),
+        includeEagerCache: !this._eagerBuildPromise
+      })
+      const toRemove = [...new Set([...expired.map(b => getBuildRoot(b.location)), ...orphans])].filter(Boolean)
+      const sizes = await Promise.all(toRemove.map(async p => {
+        const size = await getPathSize(p)
+        await fs.rm(p, { recursive: true, force: true })
+        return size
+      }))
+      if (expired.length) {
+        await mongodb.deleteMany('adaptbuilds', { _id: { $in: expired.map(b => b._id) } })
+        clearBuildData(expired.map(b => b._id))
+      }
+      const summary = { builds: expired.length, orphans: orphans.length, bytes: sizes.reduce((t, s) => t + s, 0) }
+      if (summary.builds || summary.orphans) {
+        this.log('info', `purged ${summary.builds} expired build(s) and ${summary.orphans} orphaned temp dir(s), reclaimed ${summary.bytes} bytes`)
+      }
+      await this.buildPurgeHook.invoke(summary)
+      return summary
+    })().finally(() => {
+      this._purgePromise = null
+    })
+    return this._purgePromise
+  }
+
+  /**
+   * Removes any resumable import uploads which have expired (see the importUploadLifespan config)
+   * @return {Promise<Number>} Resolves with the number of uploads removed
+   */
+  async purgeImportUploads () {
+    const count = await ImportUpload.purgeExpired()
+    if (count) this.log('info', `purged ${count} expired import upload(s)`)
+    return count
+  }
+
   /**
    * Logs relevant framework status messages
    */
@@ -389,17 +789,22 @@ class AdaptFrameworkModule extends AbstractModule {
      * @type {Router}
      */
     const config = await loadRouteConfig(this.rootDir, this, {
-      handlerAliases: { getHandler, postHandler, importHandler, postUpdateHandler, getUpdateHandler }
+      handlerAliases: { getHandler, postHandler, getJobHandler, cancelBuildHandler, getBuildsHandler, patchBuildHandler, diffBuildsHandler, getCacheStatsHandler, importHandler, bulkImportHandler, cancelImportHandler, createImportUploadHandler, getImportUploadHandler, patchImportUploadHandler, deleteImportUploadHandler, postUpdateHandler, postUpdateRollbackHandler, getUpdateHandler, getCourseMigrationsHandler, revertCourseMigrationHandler }
     })
     this.apiRouter = server.api.createChildRouter(config.root)
     registerRoutes(this.apiRouter, config.routes, auth)
   }
 
+  /**
+   * Registers a content migration to be run on import (see {@link ImportMigrationRegistry#register}). Invalid migrations are logged and ignored.
+   * @param {ImportMigration|Function} migration The migration
+   */
   registerImportContentMigration (migration) {
-    if (typeof migration !== 'function') {
-      return this.log('warn', `Cannot register content migration, unexpected type (${typeof migration})`)
+    try {
+      this.contentMigrations.register(migration)
+    } catch (e) {
+      this.log('warn', `Cannot register content migration '${e.data?.name}', ${e.data?.reason ?? e.message}`)
     }
-    this.contentMigrations.push(migration)
   }
 
   /**
@@ -415,34 +820,297 @@ class AdaptFrameworkModule extends AbstractModule {
   }
 
   /**
-   * Builds a single Adapt framework course
+   * Adds a course build to the build queue. The build runs once a slot is free (see the buildConcurrency config).
+   * @param {Object} options
+   * @param {String} options.action The type of build to execute
+   * @param {String} options.courseId The course to build
+   * @param {String} options.userId The user executing the build
+   * @param {String} [options.buildToken] Progress correlation id
+   * @param {String} [options.target] Publish target (see {@link AdaptFrameworkBuildOptions})
+   * @return {Promise<Object>} Resolves with the queued job document
+   * @throws {AdaptError} FW_BUILD_TARGET_NOT_SUPPORTED if a target is set for anything other than a publish
+   */
+  async queueBuild (options) {
+    if (options.target && options.action !== 'publish') {
+      throw this.app.errors.FW_BUILD_TARGET_NOT_SUPPORTED.setData({ action: options.action, target: options.target })
+    }
+    return this.buildQueue.add(options)
+  }
+
+  /**
+   * Builds a single Adapt framework course. Builds with a buildToken can be cancelled with {@link AdaptFrameworkModule#cancelBuild}.
    * @param {AdaptFrameworkBuildOptions} options
    * @return {AdaptFrameworkBuild}
    */
   async buildCourse (options) {
-    const builder = new AdaptFrameworkBuild(options)
+    const controller = this.trackActive(this.activeBuilds, options.buildToken, options.userId)
+    const builder = new AdaptFrameworkBuild({ ...options, signal: controller?.signal })
     builder.preBuildHook.tap(() => this.preBuildHook.invoke(builder))
     builder.postBuildHook.tap(() => this.postBuildHook.invoke(builder))
-    if (this.buildHook.hasObservers) {
-      return this.buildHook.invoke(async () => builder.build(), builder)
+    try {
+      if (this.buildHook.hasObservers) {
+        return await this.buildHook.invoke(async () => builder.build(), builder)
+      }
+      return await builder.build()
+    } finally {
+      if (this.activeBuilds.get(options.buildToken)?.controller === controller) this.activeBuilds.delete(options.buildToken)
+    }
+  }
+
+  /**
+   * Cancels a build, whether it's queued or in progress
+   * @param {String} buildToken The buildToken passed when the build was requested
+   * @param {String} userId The user requesting the cancellation; must match the user who requested the build
+   * @return {Promise}
+   * @throws {AdaptError} FW_BUILD_NOT_ACTIVE if there is no matching build to cancel
+   */
+  async cancelBuild (buildToken, userId) {
+    const active = this.activeBuilds.get(buildToken)
+    if (active?.userId === userId) {
+      this.log('info', `cancelling build ${buildToken}`)
+      return active.controller.abort()
     }
-    return builder.build()
+    if (!active && await this.buildQueue.cancel(buildToken, userId)) {
+      return this.log('info', `cancelled queued build ${buildToken}`)
+    }
+    throw this.app.errors.FW_BUILD_NOT_ACTIVE.setData({ buildToken })
+  }
+
+  /**
+   * Retrieves the retained builds of a course, newest first
+   * @param {String} courseId The course _id
+   * @param {Object} [query] Additional query to filter the builds (e.g. by action)
+   * @return {Promise<Array<Object>>}
+   */
+  async getBuilds (courseId, query = {}) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    return mongodb.find('adaptbuilds', { ...query, courseId }, { sort: { _id: -1 }, projection: { contentManifest: 0 } })
+  }
+
+  /**
+   * Compares two builds, listing the plugin, framework, content and asset changes between them
+   * @param {String} fromId The _id of the build to compare from
+   * @param {String} toId The _id of the build to compare to
+   * @return {Promise<Object>} Resolves with the diff (see diffBuilds)
+   */
+  async diffBuilds (fromId, toId) {
+    const builds = await Promise.all([fromId, toId].map(async id => {
+      const build = await retrieveBuildData(id)
+      if (!build) throw this.app.errors.FW_BUILD_NOT_FOUND.setData({ _id: id })
+      if (!build.contentManifest) throw this.app.errors.FW_BUILD_DIFF_UNAVAILABLE.setData({ _id: id })
+      return build
+    }))
+    return diffBuilds(...builds)
+  }
+
+  /**
+   * Pins or unpins a build. Pinned builds are exempt from retention and expiry.
+   * @param {String} id The build _id
+   * @param {Boolean} pinned
+   * @return {Promise<Object>} Resolves with the updated build
+   */
+  async setBuildPinned (id, pinned) {
+    const mongodb = await this.app.waitForModule('mongodb')
+    await mongodb.update('adaptbuilds', { _id: id }, { $set: { pinned } })
+    return retrieveBuildData(id, { refresh: true })
+  }
+
+  /**
+   * Lists the content migrations run against a course, newest first (see {@link MigrationHistory})
+   * @param {String} courseId The course _id
+   * @return {Promise<Array<Object>>}
+   */
+  async getCourseMigrations (courseId) {
+    return MigrationHistory.find(courseId)
   }
 
   /**
-   * Imports a single Adapt framework course
+   * Reverts a single content migration of a course
+   * @param {String} courseId The course _id
+   * @param {String} migrationId The _id of the migration record
+   * @return {Promise<Object>} Resolves with { reverted, skipped }
+   * @throws {AdaptError} FW_MIGRATION_NOT_FOUND
+   * @throws {AdaptError} FW_MIGRATION_ALREADY_REVERTED
+   */
+  async revertCourseMigration (courseId, migrationId) {
+    this.log('info', `reverting migration ${migrationId} of course ${courseId}`)
+    return MigrationHistory.revert(courseId, migrationId)
+  }
+
+  /**
+   * Imports a single Adapt framework course. Imports with an importToken can be cancelled with {@link AdaptFrameworkModule#cancelImport}.
    * @param {AdaptFrameworkImportOptions} options
    * @return {AdaptFrameworkImportSummary}
    */
   async importCourse (options) {
-    const importer = new AdaptFrameworkImport(options)
+    const controller = this.trackActive(this.activeImports, options.importToken, options.userId)
+    const signals = [controller?.signal, options.signal].filter(Boolean)
+    const importer = new AdaptFrameworkImport({ ...options, signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0] })
     importer.preImportHook.tap(() => this.preImportHook.invoke(importer))
     importer.postImportHook.tap(() => this.postImportHook.invoke(importer))
     importer.importProgressHook.tap((_, progress) => this.importProgressHook.invoke(importer, progress))
-    if (this.importHook.hasObservers) {
-      return this.importHook.invoke(async () => importer.import(), importer)
+    try {
+      if (this.importHook.hasObservers) {
+        return await this.importHook.invoke(async () => importer.import(), importer)
+      }
+      return await importer.import()
+    } finally {
+      if (this.activeImports.get(options.importToken)?.controller === controller) this.activeImports.delete(options.importToken)
+    }
+  }
+
+  /**
+   * Imports a batch of courses, running up to `importConcurrency` imports at once (see {@link AdaptFrameworkBulkImport}). Batch progress is reported through importProgressHook, with the AdaptFrameworkBulkImport instance in place of the importer. A bulk import with an importToken can be cancelled as a whole with {@link AdaptFrameworkModule#cancelImport}.
+   * @param {Object} options
+   * @param {Array<String>} options.importPaths Paths of the course zips to import
+   * @param {String} options.userId The user running the import
+   * @param {String} [options.importToken] Correlation id for the batch
+   * @param {AdaptFrameworkImportOptions} [options.importOptions] Options passed to every course import
+   * @return {Promise<AdaptFrameworkBulkImport>}
+   */
+  async bulkImportCourses ({ importPaths, userId, importToken, importOptions }) {
+    const controller = this.trackActive(this.activeImports, importToken, userId)
+    const bulkImport = new AdaptFrameworkBulkImport({
+      importPaths,
+      userId,
+      importToken,
+      importOptions,
+      concurrency: this.getConfig('importConcurrency'),
+      signal: controller?.signal,
+      runImport: options => this.importCourse(options),
+      reportProgress: progress => this.importProgressHook.invoke(bulkImport, progress)
+    })
+    try {
+      return await bulkImport.import()
+    } finally {
+      if (this.activeImports.get(importToken)?.controller === controller) this.activeImports.delete(importToken)
+    }
+  }
+
+  /**
+   * Creates a working copy of a course source for import, either by checking out a git repository from one of the `importRepositoryAllowList` hosts or by copying a course directory (or zip) from one of the `importPathAllowList` directories. The import runs on the copy and removes it when done, so the original source is never modified. Symlinks can't be used to import other files on the server: a repository's symlinks are checked out as plain files, and a copied directory's symlinks are left out unless they point inside an allowed directory.
+   * @param {Object} options
+   * @param {String} [options.repository] URL of a git repository containing the course source
+   * @param {String} [options.ref] Branch, tag or commit to check out. Defaults to the repository's default branch.
+   * @param {String} [options.importPath] Path to a course directory or zip on the server
+   * @return {Promise<String>} Resolves with the path to pass to {@link AdaptFrameworkModule#importCourse}
+   * @throws {AdaptError} FW_IMPORT_PATH_NOT_ALLOWED if importPath isn't in an allowed directory, FW_IMPORT_REPOSITORY_NOT_ALLOWED if repository isn't on an allowed host
+   */
+  async prepareImportSource ({ repository, ref, importPath }) {
+    if (!repository && !importPath) {
+      throw this.app.errors.INVALID_PARAMS.setData({ params: ['importPath'] })
+    }
+    const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(4, '0')
+    // the _unzip suffix lets purgeBuilds clean up copies left behind by a crash
+    const dir = path.join(this.app.getConfig('tempDir'), 'framework-imports', `${Date.now()}_${randomSuffix}_unzip`)
+    await fs.mkdir(path.dirname(dir), { recursive: true })
+    if (repository) {
+      this.log('info', `checking out ${repository}${ref ? `#${ref}` : ''} for import`)
+      try {
+        await checkoutRepository({ url: repository, ref, dir, allowList: this.getConfig('importRepositoryAllowList'), timeout: this.getConfig('importCheckoutTimeout') })
+      } catch (e) {
+        await fs.rm(dir, { recursive: true, force: true })
+        throw e
+      }
+      return dir
+    }
+    const allowList = this.getConfig('importPathAllowList')
+    const sourcePath = await resolveAllowedPath(importPath, allowList)
+    if (!sourcePath) {
+      throw this.app.errors.FW_IMPORT_PATH_NOT_ALLOWED.setData({ importPath })
+    }
+    const isZip = (await fs.stat(sourcePath)).isFile()
+    const dest = isZip ? `${dir}.zip` : dir
+    // symlinks are only copied if they point inside an allowed directory, so they can't expose other files on the server
+    const filter = async src => {
+      if (['.git', 'node_modules'].includes(path.basename(src))) return false
+      return !(await fs.lstat(src)).isSymbolicLink() || Boolean(await resolveAllowedPath(src, allowList))
+    }
+    await fs.cp(sourcePath, dest, { recursive: true, filter })
+    return dest
+  }
+
+  /**
+   * Starts a resumable, chunked upload of a course zip (see {@link ImportUpload}). Once all of its data has been received, the upload is imported by passing its _id to {@link AdaptFrameworkModule#completeImportUpload}.
+   * @param {Object} options
+   * @param {String} options.userId The user uploading the course
+   * @param {Number} options.size Total size of the upload in bytes
+   * @param {String} [options.filename] Original name of the file being uploaded
+   * @return {Promise<ImportUpload>}
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_TOO_LARGE if size is over importMaxFileSize
+   */
+  async createImportUpload ({ userId, size, filename }) {
+    if (!Number.isInteger(size) || size < 1) {
+      throw this.app.errors.INVALID_PARAMS.setData({ params: ['size'] })
+    }
+    const maxSize = this.getConfig('importMaxFileSize')
+    if (size > maxSize) {
+      throw this.app.errors.FW_IMPORT_UPLOAD_TOO_LARGE.setData({ size, maxSize })
+    }
+    return ImportUpload.create({
+      userId,
+      size,
+      filename,
+      dir: path.join(this.app.getConfig('tempDir'), 'framework-uploads'),
+      lifespan: this.getConfig('importUploadLifespan')
+    })
+  }
+
+  /**
+   * Retrieves a user's resumable import upload
+   * @param {String} uploadId The upload _id
+   * @param {String} userId The user requesting the upload
+   * @return {Promise<ImportUpload>}
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_NOT_FOUND
+   */
+  async getImportUpload (uploadId, userId) {
+    return ImportUpload.get(uploadId, userId)
+  }
+
+  /**
+   * Ends a completed import upload, returning its path for import. The upload can't be resumed afterwards, and its data is removed by the import.
+   * @param {String} uploadId The upload _id
+   * @param {String} userId The user requesting the import
+   * @return {Promise<String>} Resolves with the path to pass to {@link AdaptFrameworkModule#importCourse}
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_NOT_FOUND
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_INCOMPLETE
+   */
+  async completeImportUpload (uploadId, userId) {
+    const upload = await ImportUpload.get(uploadId, userId)
+    return upload.complete()
+  }
+
+  /**
+   * Cancels an in-progress import. The import is rolled back.
+   * @param {String} importToken The importToken passed when the import was requested
+   * @param {String} userId The user requesting the cancellation; must match the user running the import
+   * @throws {AdaptError} FW_IMPORT_NOT_ACTIVE if there is no matching import to cancel
+   */
+  cancelImport (importToken, userId) {
+    const active = this.activeImports.get(importToken)
+    if (active?.userId !== userId) {
+      throw this.app.errors.FW_IMPORT_NOT_ACTIVE.setData({ importToken })
+    }
+    this.log('info', `cancelling import ${importToken}`)
+    active.controller.abort()
+  }
+
+  /**
+   * Registers a cancellable task under its token
+   * @param {Map} map The map of active tasks
+   * @param {String} token The task's correlation token. Tasks without a token can't be cancelled.
+   * @param {String} userId The user running the task
+   * @return {AbortController|undefined}
+   * @throws {AdaptError} FW_TOKEN_IN_USE if a task with the same token is still active
+   */
+  trackActive (map, token, userId) {
+    if (!token) return
+    if (map.has(token)) {
+      throw this.app.errors.FW_TOKEN_IN_USE.setData({ token })
     }
-    return importer.import()
+    const controller = new AbortController()
+    map.set(token, { controller, userId })
+    return controller
   }
 }
 
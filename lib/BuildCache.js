@@ -1,20 +1,32 @@
 import fs from 'node:fs/promises'
 import path from 'upath'
 import { log } from './utils/log.js'
+import { getPathSize } from './utils/getPathSize.js'
 
 /** Build output entries that aren't cached (rebuilt per-build from course data) */
 const SKIP_ENTRIES = new Set(['course'])
 
+/** Lookup hit/miss counts since startup, per cache root */
+const lookupStats = new Map()
+
 /**
  * Filesystem-level cache of grunt build output, keyed by (pluginHash, theme, menu, varsHash).
- * One instance per cache root; methods are stateless beyond the root path.
+ * One instance per cache root; methods are stateless beyond the root path (and the shared
+ * lookup counters). Entries are evicted least-recently-used first once the cache exceeds
+ * `maxSize`; an entry's mtime records when it was last populated or restored.
+ *
+ * Each entry has a sidecar `<entry>.json` manifest recording the plugins (and versions) it
+ * bundled, so that a plugin change only evicts the entries which included that plugin.
  */
 class BuildCache {
   /**
    * @param {String} cacheRoot Root cache directory
+   * @param {Object} [options]
+   * @param {Number} [options.maxSize] Maximum total size of the cache in bytes. Unbounded if not set.
    */
-  constructor (cacheRoot) {
+  constructor (cacheRoot, { maxSize } = {}) {
     this.cacheRoot = cacheRoot
+    this.maxSize = maxSize
   }
 
   /**
@@ -36,12 +48,46 @@ class BuildCache {
     }
   }
 
+  /**
+   * Reads the manifest of plugins bundled by a cache entry
+   * @param {String} entryPath Path to the cache entry
+   * @returns {Promise<Object|undefined>} ({ plugins }), where plugins maps plugin names to versions. Undefined if the entry has no manifest.
+   */
+  async getManifest (entryPath) {
+    try {
+      return JSON.parse(await fs.readFile(`${entryPath}.json`, 'utf8'))
+    } catch (e) {
+      if (e.code === 'ENOENT' || e instanceof SyntaxError) return
+      throw e
+    }
+  }
+
+  /**
+   * Checks for a cached build as part of a build, recording the result in the hit/miss stats
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.requiredPlugins] Plugins (with name and version) the entry must have bundled for it to be usable
+   * @returns {Promise<Boolean>} Whether a usable cached build exists for the given combo
+   */
+  async lookup (pluginHash, theme, menu, varsHash, { requiredPlugins } = {}) {
+    let isHit = await this.has(pluginHash, theme, menu, varsHash)
+    if (isHit && requiredPlugins) {
+      isHit = bundlesPlugins(await this.getManifest(this.getPath(pluginHash, theme, menu, varsHash)), requiredPlugins)
+    }
+    const stats = lookupStats.get(this.cacheRoot) ?? { hits: 0, misses: 0 }
+    stats[isHit ? 'hits' : 'misses']++
+    lookupStats.set(this.cacheRoot, stats)
+    return isHit
+  }
+
   /**
    * Copies the build output (minus per-course content) into the cache for the given combo.
-   * Uses a temp dir + atomic rename for parallel safety.
+   * Uses a temp dir + atomic rename for parallel safety. An existing entry is only replaced if it
+   * doesn't bundle all of the given plugins.
    * @param {String} buildOutputDir The build output directory
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.plugins] The plugins (with name and version) bundled into the build, recorded in the entry's manifest
    */
-  async populate (buildOutputDir, pluginHash, theme, menu, varsHash) {
+  async populate (buildOutputDir, pluginHash, theme, menu, varsHash, { plugins = [] } = {}) {
     const cacheDir = this.getPath(pluginHash, theme, menu, varsHash)
     await fs.mkdir(this.cacheRoot, { recursive: true })
 
@@ -53,12 +99,21 @@ class BuildCache {
         if (SKIP_ENTRIES.has(entry)) continue
         await copyEntry(path.join(buildOutputDir, entry), path.join(tmpDir, entry))
       }
-      await safeRename(tmpDir, cacheDir)
+      if (!bundlesPlugins(await this.getManifest(cacheDir), plugins)) {
+        await this.removeEntry(cacheDir)
+      }
+      if (await safeRename(tmpDir, cacheDir)) {
+        const manifest = { plugins: Object.fromEntries(plugins.map(p => [p.name, p.version])) }
+        await fs.writeFile(`${tmpDir}.json`, JSON.stringify(manifest))
+        await fs.rename(`${tmpDir}.json`, `${cacheDir}.json`)
+      }
       log('info', 'CACHE', `populated cache for ${pluginHash} (theme=${theme}, menu=${menu}, vars=${varsHash})`)
     } catch (e) {
       await fs.rm(tmpDir, { recursive: true, force: true })
+      await fs.rm(`${tmpDir}.json`, { force: true })
       throw e
     }
+    await this.evict({ keep: cacheDir })
   }
 
   /**
@@ -67,10 +122,102 @@ class BuildCache {
    */
   async restore (pluginHash, theme, menu, varsHash, destDir) {
     await fs.mkdir(destDir, { recursive: true })
-    await fs.cp(this.getPath(pluginHash, theme, menu, varsHash), destDir, { recursive: true })
+    const cacheDir = this.getPath(pluginHash, theme, menu, varsHash)
+    await fs.cp(cacheDir, destDir, { recursive: true })
+    const now = new Date()
+    await fs.utimes(cacheDir, now, now).catch(() => {})
     log('info', 'CACHE', `restored from cache for ${pluginHash} (theme=${theme}, menu=${menu}, vars=${varsHash})`)
   }
 
+  /**
+   * Lists the cache entries, least recently used first
+   * @returns {Promise<Array<Object>>} Entries with name, path, size (bytes) and lastAccess (ms timestamp)
+   */
+  async getEntries () {
+    let dirents
+    try {
+      dirents = await fs.readdir(this.cacheRoot, { withFileTypes: true })
+    } catch (e) {
+      if (e.code === 'ENOENT') return []
+      throw e
+    }
+    const entries = await Promise.all(dirents
+      .filter(d => d.isDirectory() && !d.name.includes('_tmp_'))
+      .map(async d => {
+        const entryPath = path.join(this.cacheRoot, d.name)
+        const [stats, size] = await Promise.all([fs.stat(entryPath), getPathSize(entryPath)])
+        return { name: d.name, path: entryPath, size, lastAccess: stats.mtimeMs }
+      }))
+    return entries.sort((a, b) => a.lastAccess - b.lastAccess)
+  }
+
+  /**
+   * Removes the least recently used entries until the cache is within maxSize. Does nothing if maxSize isn't set.
+   * @param {Object} [options]
+   * @param {String} [options.keep] Path of an entry which should never be evicted (e.g. one which was just populated)
+   * @returns {Promise<Array<String>>} Names of the evicted entries
+   */
+  async evict ({ keep } = {}) {
+    if (!this.maxSize) return []
+    const entries = await this.getEntries()
+    let total = entries.reduce((t, e) => t + e.size, 0)
+    const evicted = []
+    for (const entry of entries) {
+      if (total <= this.maxSize) break
+      if (entry.path === keep) continue
+      await this.removeEntry(entry.path)
+      total -= entry.size
+      evicted.push(entry.name)
+    }
+    if (evicted.length) log('info', 'CACHE', `evicted ${evicted.length} cache entries to stay within ${this.maxSize} bytes`)
+    return evicted
+  }
+
+  /**
+   * Removes the entries which bundled any of the given plugins. Entries without a manifest are also removed, as their contents are unknown.
+   * @param {Array<String>} pluginNames Names of the plugins which have changed
+   * @returns {Promise<Array<String>>} Names of the removed entries
+   */
+  async invalidatePlugins (pluginNames) {
+    const removed = []
+    for (const entry of await this.getEntries()) {
+      const manifest = await this.getManifest(entry.path)
+      if (manifest && !pluginNames.some(n => Object.hasOwn(manifest.plugins, n))) continue
+      await this.removeEntry(entry.path)
+      removed.push(entry.name)
+    }
+    log('info', 'CACHE', `invalidated ${removed.length} cache entries bundling ${pluginNames.join(', ')}`)
+    return removed
+  }
+
+  /**
+   * Removes a single cache entry along with its manifest
+   * @param {String} entryPath Path to the cache entry
+   */
+  async removeEntry (entryPath) {
+    await fs.rm(entryPath, { recursive: true, force: true })
+    await fs.rm(`${entryPath}.json`, { force: true })
+  }
+
+  /**
+   * Returns usage statistics for the cache. Hits and misses are counted from build lookups since startup.
+   * @returns {Promise<Object>} ({ entries, size, maxSize, hits, misses, hitRatio, missRatio })
+   */
+  async getStats () {
+    const entries = await this.getEntries()
+    const { hits, misses } = lookupStats.get(this.cacheRoot) ?? { hits: 0, misses: 0 }
+    const lookups = hits + misses
+    return {
+      entries: entries.length,
+      size: entries.reduce((t, e) => t + e.size, 0),
+      maxSize: this.maxSize ?? null,
+      hits,
+      misses,
+      hitRatio: lookups ? hits / lookups : 0,
+      missRatio: lookups ? misses / lookups : 0
+    }
+  }
+
   /**
    * Removes the entire cache root.
    */
@@ -80,6 +227,14 @@ class BuildCache {
   }
 }
 
+/**
+ * Checks whether a manifest records every one of the given plugins at the same version. An empty plugin list is always satisfied.
+ */
+function bundlesPlugins (manifest, plugins) {
+  if (!plugins.length) return true
+  return Boolean(manifest) && plugins.every(p => manifest.plugins?.[p.name] === p.version)
+}
+
 async function copyEntry (src, dest) {
   const stat = await fs.stat(src)
   if (stat.isDirectory()) {
@@ -90,12 +245,18 @@ async function copyEntry (src, dest) {
   }
 }
 
+/**
+ * Renames src to dest, discarding src if another populate got there first
+ * @returns {Promise<Boolean>} Whether src was renamed
+ */
 async function safeRename (src, dest) {
   try {
     await fs.rename(src, dest)
+    return true
   } catch (e) {
     if (e.code === 'ENOTEMPTY' || e.code === 'EEXIST') {
       await fs.rm(src, { recursive: true, force: true })
+      return false
     } else {
       throw e
     }
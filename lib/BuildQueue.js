@@ -0,0 +1,175 @@
+import { App } from 'adapt-authoring-core'
+import { log } from './utils/log.js'
+
+/**
+ * Persistent FIFO queue of course builds, backed by a MongoDB collection. Limits the number of
+ * builds running at once; jobs left pending (or interrupted mid-build) by a restart are re-queued
+ * by `restore()`.
+ * @memberof adaptframework
+ */
+class BuildQueue {
+  /**
+   * @param {Object} options
+   * @param {Number} options.concurrency Maximum number of builds allowed to run at once
+   * @param {Function} options.runJob Performs the build for a job document, resolving with the AdaptFrameworkBuild instance
+   */
+  constructor ({ concurrency, runJob }) {
+    /**
+     * The MongoDB collection name
+     * @type {String}
+     */
+    this.collectionName = 'adaptbuildjobs'
+    /**
+     * Maximum number of builds allowed to run at once
+     * @type {Number}
+     */
+    this.concurrency = Math.max(1, concurrency ?? 1)
+    /**
+     * Performs the build for a single job
+     * @type {Function}
+     */
+    this.runJob = runJob
+    /**
+     * _ids of jobs waiting to run, in queue order
+     * @type {Array<String>}
+     */
+    this.pending = []
+    /**
+     * _ids of jobs currently running
+     * @type {Set<String>}
+     */
+    this.running = new Set()
+  }
+
+  /**
+   * Persists a new job and schedules it to run
+   * @param {Object} options
+   * @param {String} options.action The build action
+   * @param {String} options.courseId The course to build
+   * @param {String} options.userId The user requesting the build
+   * @param {String} [options.buildToken] Progress correlation id passed through to the build
+   * @param {String} [options.target] Publish target passed through to the build
+   * @return {Promise<Object>} Resolves with the job document (see {@link BuildQueue#get})
+   */
+  async add ({ action, courseId, userId, buildToken, target }) {
+    const [jsonschema, mongodb] = await App.instance.waitForModule('jsonschema', 'mongodb')
+    const schema = await jsonschema.getSchema('adaptbuildjob')
+    const job = await mongodb.insert(this.collectionName, schema.validate({
+      action,
+      courseId,
+      buildToken,
+      target,
+      status: 'pending',
+      createdBy: userId,
+      createdAt: new Date().toISOString()
+    }))
+    this.pending.push(job._id.toString())
+    log('debug', 'QUEUE', `queued ${action} job ${job._id} for course '${courseId}'`)
+    this.processNext()
+    return { ...job, position: this.getPosition(job._id) }
+  }
+
+  /**
+   * Retrieves a job along with its current queue position
+   * @param {String} id The job _id
+   * @return {Promise<Object|undefined>}
+   */
+  async get (id) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const [job] = await mongodb.find(this.collectionName, { _id: id })
+    return job ? { ...job, position: this.getPosition(job._id) } : undefined
+  }
+
+  /**
+   * Returns the 1-based queue position of a job, or 0 if the job isn't waiting
+   * @param {String} id The job _id
+   * @return {Number}
+   */
+  getPosition (id) {
+    return this.pending.indexOf(id.toString()) + 1
+  }
+
+  /**
+   * Removes any of a user's jobs matching a buildToken from the queue, marking them as cancelled. Jobs which are already running are unaffected.
+   * @param {String} buildToken The buildToken passed with the job
+   * @param {String} userId The user who queued the job
+   * @return {Promise<Boolean>} Whether any jobs were cancelled
+   */
+  async cancel (buildToken, userId) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const jobs = await mongodb.find(this.collectionName, { buildToken, createdBy: userId, status: 'pending' })
+    const ids = jobs.map(j => j._id.toString()).filter(id => this.pending.includes(id))
+    if (!ids.length) return false
+    this.pending = this.pending.filter(id => !ids.includes(id))
+    await Promise.all(ids.map(id => mongodb.update(this.collectionName, { _id: id }, { $set: { status: 'cancelled', finishedAt: new Date() } })))
+    return true
+  }
+
+  /**
+   * Re-queues any jobs which didn't complete before the last shutdown
+   * @return {Promise}
+   */
+  async restore () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await mongodb.setIndex(this.collectionName, { status: 1, createdAt: 1 })
+    const jobs = await mongodb.find(this.collectionName, { status: { $in: ['pending', 'running'] } }, { sort: { createdAt: 1 } })
+    if (!jobs.length) return
+    await mongodb.updateMany(this.collectionName, { status: 'running' }, { $set: { status: 'pending' }, $unset: { startedAt: '' } })
+    this.pending.push(...jobs.map(j => j._id.toString()).filter(id => !this.pending.includes(id)))
+    log('info', 'QUEUE', `restored ${jobs.length} unfinished build job(s)`)
+    this.processNext()
+  }
+
+  /**
+   * Starts as many pending jobs as the concurrency limit allows
+   */
+  processNext () {
+    while (this.running.size < this.concurrency && this.pending.length) {
+      const id = this.pending.shift()
+      this.running.add(id)
+      this.runOne(id).finally(() => {
+        this.running.delete(id)
+        this.processNext()
+      })
+    }
+  }
+
+  /**
+   * Runs a single job, recording its outcome in the database. Never rejects.
+   * @param {String} id The job _id
+   * @return {Promise}
+   */
+  async runOne (id) {
+    const startTime = Date.now()
+    let mongodb
+    let job
+    try {
+      mongodb = await App.instance.waitForModule('mongodb')
+      job = await mongodb.update(this.collectionName, { _id: id }, { $set: { status: 'running', startedAt: new Date() } })
+      if (!job) return log('warn', 'QUEUE', `job ${id} no longer exists, skipping`)
+
+      log('info', `running ${job.action} for course '${job.courseId}' initiated by ${job.createdBy}`)
+      const { buildData } = await this.runJob(job)
+      const duration = Math.round((Date.now() - startTime) / 10) / 100
+      log('info', `finished ${job.action} for course '${job.courseId}' in ${duration} seconds`)
+
+      await mongodb.update(this.collectionName, { _id: id }, {
+        $set: { status: 'completed', buildId: buildData._id.toString(), finishedAt: new Date() }
+      })
+    } catch (e) {
+      const isCancelled = e.code === 'FW_BUILD_CANCELLED'
+      if (!isCancelled) log('error', `failed to ${job?.action ?? 'run'} course '${job?.courseId}', ${e.message}`)
+      try {
+        await mongodb?.update(this.collectionName, { _id: id }, {
+          $set: isCancelled
+            ? { status: 'cancelled', finishedAt: new Date() }
+            : { status: 'failed', error: { code: e.code, statusCode: e.statusCode, message: e.message }, finishedAt: new Date() }
+        })
+      } catch (e2) {
+        log('warn', 'QUEUE', `failed to record failure of job ${id}, ${e2.message}`)
+      }
+    }
+  }
+}
+
+export default BuildQueue
@@ -0,0 +1,150 @@
+import { App } from 'adapt-authoring-core'
+import { parseObjectId } from 'adapt-authoring-mongodb'
+import os from 'node:os'
+import { log } from './utils/log.js'
+
+/**
+ * The MongoDB collection name
+ * @type {String}
+ */
+const COLLECTION_NAME = 'adaptimportjournals'
+
+/**
+ * Persistent record of everything created by an import, backed by a MongoDB collection. The record is written as the import runs and removed once it has finished (or been rolled back), so any journal left behind belongs to an import interrupted by a shutdown, and is rolled back by `recover()`.
+ *
+ * Imports aren't run inside a MongoDB transaction, even where the deployment supports them: the content API's `update` reads the original document outside of any session, so an import can't update the course it has just inserted, and the tags and assets modules don't accept a session at all. The journal is used on every deployment instead.
+ *
+ * A bulk import keeps a journal of its own for the plugins installed or updated by the batch, as these may be shared by its imports (see {@link AdaptFrameworkBulkImport}).
+ * @memberof adaptframework
+ */
+class ImportJournal {
+  /**
+   * Persists a new journal
+   * @param {Object} options
+   * @param {String} options.userId The user running the import
+   * @param {String} [options.importToken] Correlation id of the import
+   * @param {String} [options.updateCourseId] The course being updated, for update imports
+   * @return {Promise<ImportJournal>}
+   */
+  static async create ({ userId, importToken, updateCourseId }) {
+    const [jsonschema, mongodb] = await App.instance.waitForModule('jsonschema', 'mongodb')
+    const schema = await jsonschema.getSchema('adaptimportjournal')
+    const doc = await mongodb.insert(COLLECTION_NAME, schema.validate({
+      userId,
+      importToken,
+      updateCourseId,
+      hostname: os.hostname(),
+      startedAt: new Date().toISOString(),
+      created: { courses: [], content: [], tags: [], assets: [], plugins: [], updatedPlugins: [] }
+    }))
+    return new ImportJournal(doc)
+  }
+
+  /**
+   * Rolls back every import on this server which didn't finish before the last shutdown. Only journals written by this host and started before it booted are rolled back, so imports still running on other servers sharing the database are left alone. Each journal is removed once its import has been rolled back.
+   * @param {Object} options
+   * @param {Date} options.startedBefore When this server booted
+   * @return {Promise<Number>} Resolves with the number of imports rolled back
+   */
+  static async recover ({ startedBefore }) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const query = {
+      // journals written before hostnames were recorded can only have come from a single server
+      hostname: { $in: [os.hostname(), null] },
+      startedAt: { $lt: startedBefore }
+    }
+    // newest first, so a bulk import's plugins are rolled back after the content of the courses in its batch
+    const docs = await mongodb.find(COLLECTION_NAME, query, { sort: { startedAt: -1 } })
+    if (!docs.length) return 0
+    log('info', 'IMPORT_JOURNAL', `rolling back ${docs.length} interrupted import(s)`)
+    for (const doc of docs) {
+      const journal = new ImportJournal(doc)
+      await journal.rollback()
+      await journal.remove()
+    }
+    return docs.length
+  }
+
+  /**
+   * @param {Object} doc The journal document
+   */
+  constructor (doc) {
+    /**
+     * The journal _id
+     * @type {String}
+     */
+    this._id = doc._id
+    /**
+     * The journal document
+     * @type {Object}
+     */
+    this.doc = doc
+  }
+
+  /**
+   * Records ids created by the import
+   * @param {String} type The type of record, one of 'courses', 'content', 'tags', 'assets', 'plugins' or 'updatedPlugins'. Plugins are recorded by _id, and updated plugins by name.
+   * @param {Array<String>} ids The ids to record
+   * @return {Promise}
+   */
+  async record (type, ids) {
+    if (!ids.length) return
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await mongodb.update(COLLECTION_NAME, { _id: this._id }, { $push: { [`created.${type}`]: { $each: ids.map(String) } } })
+  }
+
+  /**
+   * Removes ids previously recorded, so they're kept if the import is rolled back
+   * @param {String} type The type of record (see {@link ImportJournal#record})
+   * @param {Array<String>} ids The ids to remove
+   * @return {Promise}
+   */
+  async discard (type, ids) {
+    if (!ids.length) return
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await mongodb.update(COLLECTION_NAME, { _id: this._id }, { $pull: { [`created.${type}`]: { $in: ids.map(String) } } })
+  }
+
+  /**
+   * Removes the journal. Errors are logged rather than thrown, as the import itself has already finished.
+   * @return {Promise}
+   */
+  async remove () {
+    try {
+      const mongodb = await App.instance.waitForModule('mongodb')
+      await mongodb.deleteMany(COLLECTION_NAME, { _id: this._id })
+    } catch (e) {
+      log('warn', 'IMPORT_JOURNAL', `failed to remove import journal ${this._id}, ${e.message}`)
+    }
+  }
+
+  /**
+   * Deletes everything recorded in the journal, and restores any updated plugins to their previous versions. Content changed (rather than created) by an update import can't be restored.
+   * @return {Promise}
+   */
+  async rollback () {
+    const [assets, content, contentplugin, tags] = await App.instance.waitForModule('assets', 'content', 'contentplugin', 'tags')
+    const { userId, updateCourseId, created = {} } = this.doc
+    log('info', 'IMPORT_JOURNAL', `rolling back interrupted import ${this._id} started by ${userId}`)
+    if (updateCourseId) {
+      log('warn', 'IMPORT_JOURNAL', `course '${updateCourseId}' may have been partially updated by interrupted import ${this._id}`)
+    }
+    const tasks = [
+      ...(created.courses ?? []).map(id => content.deleteMany({ _courseId: parseObjectId(id) })
+        .catch(e => log('warn', `failed to delete course content for course '${id}'`, e))),
+      content.deleteMany({ _id: { $in: (created.content ?? []).map(id => parseObjectId(id)) } })
+        .catch(e => log('warn', 'failed to delete course content', e)),
+      ...(created.assets ?? []).map(id => assets.delete({ _id: id })
+        .catch(e => log('warn', `failed to delete asset '${id}'`, e))),
+      ...(created.tags ?? []).map(id => tags.delete({ _id: id })
+        .catch(e => log('warn', `failed to delete tag '${id}'`, e))),
+      ...(created.plugins ?? []).map(id => contentplugin.delete({ _id: id })
+        .catch(e => log('warn', `failed to uninstall plugin '${id}'`, e))),
+      ...(created.updatedPlugins ?? []).map(name => contentplugin.restorePluginFromBackup(name)
+        .catch(e => log('error', `failed to restore plugin '${name}' from backup, ${e.message}`)))
+    ]
+    await Promise.allSettled(tasks)
+  }
+}
+
+export default ImportJournal
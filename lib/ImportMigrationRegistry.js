@@ -0,0 +1,179 @@
+import { App } from 'adapt-authoring-core'
+import semver from 'semver'
+import ComponentTransform from './migrations/component.js'
+import ConfigTransform from './migrations/config.js'
+import GraphicSrcTransform from './migrations/graphic-src.js'
+import NavOrderTransform from './migrations/nav-order.js'
+import ParentIdTransform from './migrations/parent-id.js'
+import RemoveUndefTransform from './migrations/remove-undef.js'
+import VanillaBackgroundStylesTransform from './migrations/vanilla-background-styles.js'
+import StartPageTransform from './migrations/start-page.js'
+import ThemeUndefTransform from './migrations/theme-undef.js'
+
+/**
+ * The built-in migrations, in the order they run
+ * @type {Array<ImportMigration>}
+ */
+const BUILT_IN_MIGRATIONS = [
+  { name: 'ComponentTransform', types: ['component'], run: ComponentTransform },
+  { name: 'ConfigTransform', types: ['config'], run: ConfigTransform },
+  { name: 'GraphicSrcTransform', components: ['adapt-contrib-graphic', 'adapt-contrib-hotgraphic'], run: GraphicSrcTransform },
+  { name: 'NavOrderTransform', types: ['course'], run: NavOrderTransform },
+  { name: 'ParentIdTransform', run: ParentIdTransform },
+  { name: 'RemoveUndefTransform', run: RemoveUndefTransform },
+  { name: 'StartPageTransform', types: ['course'], run: StartPageTransform },
+  { name: 'ThemeUndefTransform', types: ['config'], run: ThemeUndefTransform },
+  { name: 'VanillaBackgroundStylesTransform', run: VanillaBackgroundStylesTransform }
+]
+
+/**
+ * A content migration run on each item of a course import
+ * @typedef {Object} ImportMigration
+ * @property {String} name Unique name, used for ordering and to disable the migration
+ * @property {Function} run Function called with each item's data and the AdaptFrameworkImport instance. The data is modified in place.
+ * @property {Array<String>} [types] Content _types the migration applies to (all if omitted)
+ * @property {Array<String>} [components] _component values the migration applies to (all if omitted). These are plugin names, as ComponentTransform maps the names used by the framework.
+ * @property {String} [frameworkVersion] Semver range of the framework version the imported course must have been built with
+ * @property {Object<String, String>} [pluginVersions] Semver ranges keyed by plugin name. Each plugin must be used by the imported course, at a version in its range.
+ * @property {Array<String>} [before] Names of migrations this one must run before
+ * @property {Array<String>} [after] Names of migrations this one must run after
+ * @memberof adaptframework
+ */
+
+/**
+ * The content migrations run on each item of a course import. Migrations run in the order they were registered (starting with the built-in ones), except that each is moved after any migrations it must follow (see the before and after properties). Dependencies on migrations which aren't registered are ignored.
+ * @memberof adaptframework
+ */
+class ImportMigrationRegistry {
+  /**
+   * @param {Object} options
+   * @param {Array<String>} [options.disabled] Names of the migrations which shouldn't be run
+   */
+  constructor ({ disabled = [] } = {}) {
+    /**
+     * The registered migrations, keyed by name, in registration order
+     * @type {Map<String, ImportMigration>}
+     */
+    this.migrations = new Map()
+    /**
+     * Names of the migrations which shouldn't be run
+     * @type {Set<String>}
+     */
+    this.disabled = new Set(disabled)
+    /**
+     * The migrations in the order they run
+     * @type {Array<ImportMigration>}
+     */
+    this.order = []
+    BUILT_IN_MIGRATIONS.forEach(m => this.register(m))
+  }
+
+  /**
+   * Registers a migration
+   * @param {ImportMigration|Function} migration The migration. A plain function is registered under its own name, and applies to all content. An anonymous function, or one whose name is already taken, is given a generated name (see {@link ImportMigrationRegistry#generateName}).
+   * @return {String} The name the migration was registered under
+   * @throws {AdaptError} FW_IMPORT_MIGRATION_INVALID
+   */
+  register (migration) {
+    const m = typeof migration === 'function' ? { name: this.generateName(migration.name), run: migration } : { ...migration }
+    const invalid = reason => App.instance.errors.FW_IMPORT_MIGRATION_INVALID.setData({ name: m.name, reason })
+    if (typeof m.run !== 'function') {
+      throw invalid('run must be a function')
+    }
+    if (!m.name || typeof m.name !== 'string') {
+      throw invalid('must have a name')
+    }
+    if (this.migrations.has(m.name)) {
+      throw invalid('a migration with this name is already registered')
+    }
+    const ranges = [m.frameworkVersion, ...Object.values(m.pluginVersions ?? {})].filter(r => r !== undefined)
+    const badRange = ranges.find(r => !semver.validRange(r))
+    if (badRange !== undefined) {
+      throw invalid(`invalid version range '${badRange}'`)
+    }
+    this.migrations.set(m.name, m)
+    try {
+      this.order = this.sort()
+    } catch (e) {
+      this.migrations.delete(m.name)
+      throw invalid(e.message)
+    }
+    return m.name
+  }
+
+  /**
+   * Returns a name no registered migration has, for a plain function. The function's own name is used if it's free, otherwise a numbered name based on it (e.g. 'anonymous-1', 'CustomTransform-2').
+   * @param {String} name The function's name, empty for anonymous functions
+   * @return {String}
+   */
+  generateName (name) {
+    if (name && !this.migrations.has(name)) return name
+    let i = 1
+    while (this.migrations.has(`${name || 'anonymous'}-${i}`)) i++
+    return `${name || 'anonymous'}-${i}`
+  }
+
+  /**
+   * Orders the migrations by their dependencies, keeping registration order where possible
+   * @return {Array<ImportMigration>}
+   * @throws {Error} If the dependencies are circular
+   */
+  sort () {
+    const names = [...this.migrations.keys()]
+    const deps = new Map(names.map(n => [n, new Set()]))
+    for (const { name, before = [], after = [] } of this.migrations.values()) {
+      after.filter(d => deps.has(d)).forEach(d => deps.get(name).add(d))
+      before.filter(d => deps.has(d)).forEach(d => deps.get(d).add(name))
+    }
+    const sorted = []
+    const visiting = []
+    // each migration is preceded by its dependencies, which are themselves taken in registration order
+    const visit = name => {
+      if (sorted.includes(name)) return
+      if (visiting.includes(name)) {
+        throw new Error(`circular dependency between ${visiting.slice(visiting.indexOf(name)).join(', ')}`)
+      }
+      visiting.push(name)
+      names.filter(n => deps.get(name).has(n)).forEach(visit)
+      visiting.pop()
+      sorted.push(name)
+    }
+    names.forEach(visit)
+    return sorted.map(n => this.migrations.get(n))
+  }
+
+  /**
+   * Checks whether a migration should run for an item of content
+   * @param {ImportMigration} migration The migration
+   * @param {Object} data The content item
+   * @param {AdaptFrameworkImport} importer The import
+   * @return {Boolean}
+   */
+  appliesTo (migration, data, importer) {
+    const { name, types, components, frameworkVersion, pluginVersions = {} } = migration
+    if (this.disabled.has(name)) return false
+    if (types && !types.includes(data._type)) return false
+    if (components && !components.includes(data._component)) return false
+    if (frameworkVersion && !(importer.pkg?.version && semver.satisfies(importer.pkg.version, frameworkVersion))) return false
+    const usedPlugins = Object.values(importer.usedContentPlugins ?? {})
+    return Object.entries(pluginVersions).every(([pluginName, range]) => {
+      const version = usedPlugins.find(p => p.name === pluginName)?.version
+      return version !== undefined && semver.satisfies(version, range)
+    })
+  }
+
+  /**
+   * Runs every applicable migration on an item of content. Each migration's filters are checked just before it runs, so they see the changes made by earlier migrations.
+   * @param {Object} data The content item, which is modified in place
+   * @param {AdaptFrameworkImport} importer The import
+   * @return {Promise<Object>} Resolves with the data
+   */
+  async run (data, importer) {
+    for (const migration of this.order) {
+      if (this.appliesTo(migration, data, importer)) await migration.run(data, importer)
+    }
+    return data
+  }
+}
+
+export default ImportMigrationRegistry
@@ -0,0 +1,190 @@
+import { App } from 'adapt-authoring-core'
+import { isValidObjectId } from 'adapt-authoring-mongodb'
+import fs from 'node:fs/promises'
+import path from 'upath'
+import { log } from './utils/log.js'
+
+/**
+ * The MongoDB collection name
+ * @type {String}
+ */
+const COLLECTION_NAME = 'adaptimportuploads'
+
+/**
+ * _ids of the uploads with a chunk currently being written
+ * @type {Set<String>}
+ */
+const activeWrites = new Set()
+
+/**
+ * A resumable, chunked upload of a course zip for import. The session is stored in a MongoDB collection, and the data appended to a file on disk one chunk at a time. The upload's offset is always the size of that file, so after a dropped connection the client can ask for the offset and carry on from there.
+ * @memberof adaptframework
+ */
+class ImportUpload {
+  /**
+   * Starts a new upload
+   * @param {Object} options
+   * @param {String} options.userId The user uploading the course
+   * @param {Number} options.size Total size of the upload in bytes
+   * @param {String} [options.filename] Original name of the file being uploaded
+   * @param {String} options.dir Directory the upload is written to
+   * @param {Number} options.lifespan Time in milliseconds the upload is kept without activity
+   * @return {Promise<ImportUpload>}
+   */
+  static async create ({ userId, size, filename, dir, lifespan }) {
+    const [jsonschema, mongodb] = await App.instance.waitForModule('jsonschema', 'mongodb')
+    const schema = await jsonschema.getSchema('adaptimportupload')
+    const randomSuffix = Math.floor(Math.random() * 1000).toString().padStart(4, '0')
+    const filePath = path.join(dir, `${Date.now()}_${randomSuffix}.zip`)
+    await fs.mkdir(dir, { recursive: true })
+    await fs.writeFile(filePath, '')
+    const now = Date.now()
+    const doc = await mongodb.insert(COLLECTION_NAME, schema.validate({
+      userId,
+      size,
+      filename,
+      filePath,
+      lifespan,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + lifespan).toISOString()
+    }))
+    return new ImportUpload(doc)
+  }
+
+  /**
+   * Retrieves an upload. Uploads belonging to other users, or which have expired, aren't returned.
+   * @param {String} uploadId The upload _id
+   * @param {String} userId The user requesting the upload
+   * @return {Promise<ImportUpload>}
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_NOT_FOUND
+   */
+  static async get (uploadId, userId) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const [doc] = isValidObjectId(uploadId) ? await mongodb.find(COLLECTION_NAME, { _id: uploadId }) : []
+    if (!doc || doc.userId.toString() !== userId || new Date(doc.expiresAt) < new Date()) {
+      throw App.instance.errors.FW_IMPORT_UPLOAD_NOT_FOUND.setData({ uploadId })
+    }
+    return new ImportUpload(doc)
+  }
+
+  /**
+   * Removes every upload which has expired, along with its data
+   * @return {Promise<Number>} Resolves with the number of uploads removed
+   */
+  static async purgeExpired () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const docs = (await mongodb.find(COLLECTION_NAME, { expiresAt: { $lt: new Date() } }))
+      .filter(d => !activeWrites.has(d._id.toString()))
+    await Promise.all(docs.map(d => new ImportUpload(d).remove()))
+    return docs.length
+  }
+
+  /**
+   * @param {Object} doc The upload document
+   */
+  constructor (doc) {
+    /**
+     * The upload _id
+     * @type {String}
+     */
+    this._id = doc._id.toString()
+    /**
+     * The upload document
+     * @type {Object}
+     */
+    this.doc = doc
+  }
+
+  /**
+   * Returns the number of bytes received so far
+   * @return {Promise<Number>}
+   */
+  async getOffset () {
+    try {
+      return (await fs.stat(this.doc.filePath)).size
+    } catch (e) {
+      return 0
+    }
+  }
+
+  /**
+   * Returns the current state of the upload, as sent to the client
+   * @return {Promise<Object>}
+   */
+  async getStatus () {
+    const offset = await this.getOffset()
+    const { size, filename, createdAt, expiresAt } = this.doc
+    return { _id: this._id, filename, size, offset, complete: offset === size, createdAt, expiresAt }
+  }
+
+  /**
+   * Appends a chunk of data to the upload. If the stream ends early (e.g. the connection drops), the data received is kept, and the client can resume from the new offset.
+   * @param {stream.Readable} stream The chunk data
+   * @param {Number} offset The offset the chunk starts at, which must match the current offset
+   * @return {Promise<Object>} Resolves with the status of the upload
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_LOCKED if another chunk is being written
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_OFFSET_MISMATCH
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_TOO_LARGE if the chunk goes past the size of the upload
+   */
+  async write (stream, offset) {
+    if (activeWrites.has(this._id)) {
+      throw App.instance.errors.FW_IMPORT_UPLOAD_LOCKED.setData({ uploadId: this._id })
+    }
+    activeWrites.add(this._id)
+    try {
+      const current = await this.getOffset()
+      if (offset !== current) {
+        throw App.instance.errors.FW_IMPORT_UPLOAD_OFFSET_MISMATCH.setData({ uploadId: this._id, offset, expected: current })
+      }
+      // each piece of data is written before the next is read, so everything received is kept if the stream fails
+      const file = await fs.open(this.doc.filePath, 'a')
+      let received = 0
+      try {
+        for await (const data of stream) {
+          received += data.length
+          if (current + received > this.doc.size) {
+            await fs.truncate(this.doc.filePath, current) // the whole chunk is rejected
+            throw App.instance.errors.FW_IMPORT_UPLOAD_TOO_LARGE.setData({ size: current + received, maxSize: this.doc.size })
+          }
+          await file.write(data)
+        }
+      } finally {
+        await file.close()
+      }
+      const mongodb = await App.instance.waitForModule('mongodb')
+      this.doc.expiresAt = new Date(Date.now() + this.doc.lifespan)
+      await mongodb.update(COLLECTION_NAME, { _id: this.doc._id }, { $set: { expiresAt: this.doc.expiresAt } })
+    } finally {
+      activeWrites.delete(this._id)
+    }
+    return this.getStatus()
+  }
+
+  /**
+   * Ends a completed upload, handing over its data for import. The caller becomes responsible for removing the file.
+   * @return {Promise<String>} Resolves with the path to the uploaded zip
+   * @throws {AdaptError} FW_IMPORT_UPLOAD_INCOMPLETE
+   */
+  async complete () {
+    const offset = await this.getOffset()
+    if (activeWrites.has(this._id) || offset !== this.doc.size) {
+      throw App.instance.errors.FW_IMPORT_UPLOAD_INCOMPLETE.setData({ uploadId: this._id, offset, size: this.doc.size })
+    }
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await mongodb.deleteMany(COLLECTION_NAME, { _id: this.doc._id })
+    return this.doc.filePath
+  }
+
+  /**
+   * Removes the upload and its data
+   * @return {Promise}
+   */
+  async remove () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await fs.rm(this.doc.filePath, { force: true })
+    await mongodb.deleteMany(COLLECTION_NAME, { _id: this.doc._id })
+    log('debug', 'IMPORT_UPLOAD', `removed upload ${this._id}`)
+  }
+}
+
+export default ImportUpload
@@ -0,0 +1,133 @@
+import { App } from 'adapt-authoring-core'
+import { isValidObjectId } from 'adapt-authoring-mongodb'
+import { applyJsonPatch } from './utils/applyJsonPatch.js'
+import { log } from './utils/log.js'
+
+/**
+ * The MongoDB collection name
+ * @type {String}
+ */
+const COLLECTION_NAME = 'adaptcoursemigrations'
+
+/**
+ * Returns the paths changed by a migration which no longer hold the value the migration gave them, i.e. which have been edited since
+ * @param {Object} item The content item
+ * @param {Array<Object>} patch The patch applied by the migration
+ * @return {Array<String>}
+ */
+function findEditedPaths (item, patch) {
+  return patch.filter(({ op, path, value }) => {
+    // a field the migration removed has been edited if it's been added back
+    const check = op === 'remove' ? { op: 'remove', path } : { op: 'test', path, value }
+    try {
+      applyJsonPatch(item, [check])
+      return op === 'remove'
+    } catch (e) {
+      return op !== 'remove'
+    }
+  }).map(({ path }) => path)
+}
+
+/**
+ * Audit log of the content migrations run against existing courses, backed by a MongoDB collection. Each record covers one course in one migration run, and holds a JSON patch for every item changed, so a run can be reverted course by course.
+ * @memberof adaptframework
+ */
+class MigrationHistory {
+  /**
+   * Records the migration of a course
+   * @param {Object} options
+   * @param {String} options.courseId The course _id
+   * @param {String} options.runId Id shared by every course migrated in the same run
+   * @param {Array<{name: String, version: String}>} options.fromPlugins Plugin versions before the migration
+   * @param {Array<{name: String, version: String}>} options.toPlugins Plugin versions after the migration
+   * @param {Array<String>} options.scripts The migration scripts run
+   * @param {Array<Object>} options.changes The changed items, each with _id, _type, _component, patch and revertPatch
+   * @return {Promise<Object>} Resolves with the record
+   */
+  static async record ({ courseId, runId, fromPlugins, toPlugins, scripts, changes }) {
+    const [jsonschema, mongodb] = await App.instance.waitForModule('jsonschema', 'mongodb')
+    const schema = await jsonschema.getSchema('adaptcoursemigration')
+    return mongodb.insert(COLLECTION_NAME, schema.validate({
+      courseId,
+      runId,
+      fromPlugins,
+      toPlugins,
+      scripts,
+      changes,
+      createdAt: new Date().toISOString()
+    }))
+  }
+
+  /**
+   * Lists the migrations of a course, newest first
+   * @param {String} courseId The course _id
+   * @return {Promise<Array<Object>>}
+   */
+  static async find (courseId) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    return mongodb.find(COLLECTION_NAME, { courseId }, { sort: { createdAt: -1 } })
+  }
+
+  /**
+   * Retrieves a single migration of a course
+   * @param {String} courseId The course _id
+   * @param {String} _id The migration record _id
+   * @return {Promise<Object>}
+   * @throws {AdaptError} FW_MIGRATION_NOT_FOUND
+   */
+  static async get (courseId, _id) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const [doc] = isValidObjectId(_id) ? await mongodb.find(COLLECTION_NAME, { _id, courseId }) : []
+    if (!doc) {
+      throw App.instance.errors.FW_MIGRATION_NOT_FOUND.setData({ _id })
+    }
+    return doc
+  }
+
+  /**
+   * Reverts a migration of a course by applying the reverse patch of each changed item. Items which have since been deleted, or whose migrated fields have since been edited, are skipped. The migration is only marked as reverted if at least one item was reverted.
+   * @param {String} courseId The course _id
+   * @param {String} _id The migration record _id
+   * @return {Promise<Object>} Resolves with { reverted, skipped }, giving the number of items reverted and the items skipped (each with _id and reason)
+   * @throws {AdaptError} FW_MIGRATION_NOT_FOUND
+   * @throws {AdaptError} FW_MIGRATION_ALREADY_REVERTED
+   */
+  static async revert (courseId, _id) {
+    const doc = await MigrationHistory.get(courseId, _id)
+    if (doc.revertedAt) {
+      throw App.instance.errors.FW_MIGRATION_ALREADY_REVERTED.setData({ _id, revertedAt: doc.revertedAt })
+    }
+    const [content, mongodb] = await App.instance.waitForModule('content', 'mongodb')
+    let reverted = 0
+    const skipped = []
+    for (const change of doc.changes) {
+      try {
+        const item = await content.findOne({ _id: change._id }, { strict: false })
+        if (!item) throw new Error('item no longer exists')
+        const json = JSON.parse(JSON.stringify(item))
+        const edited = findEditedPaths(json, change.patch)
+        if (edited.length) throw new Error(`changed since the migration (${edited.join(', ')})`)
+        const { _id: itemId, ...data } = applyJsonPatch(json, change.revertPatch)
+        await content.update({ _id: itemId }, data)
+        reverted++
+      } catch (e) {
+        skipped.push({ _id: change._id, reason: e.message })
+      }
+    }
+    if (reverted) await mongodb.update(COLLECTION_NAME, { _id: doc._id }, { $set: { revertedAt: new Date() } })
+    log('info', 'MIGRATION_HISTORY', `reverted migration ${_id} of course ${courseId}, ${reverted} item(s) reverted, ${skipped.length} skipped`)
+    return { reverted, skipped }
+  }
+
+  /**
+   * Marks every record of a migration run as reverted, e.g. when a framework update is rolled back
+   * @param {String} runId The run id
+   * @return {Promise}
+   */
+  static async markRunReverted (runId) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await mongodb.updateMany(COLLECTION_NAME, { runId, revertedAt: { $exists: false } }, { $set: { revertedAt: new Date() } })
+  }
+}
+
+export default MigrationHistory
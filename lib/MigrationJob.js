@@ -0,0 +1,162 @@
+import { App } from 'adapt-authoring-core'
+import { migrateExistingCourses } from './utils/migrateExistingCourses.js'
+import { log } from './utils/log.js'
+
+/**
+ * The MongoDB collection name
+ * @type {String}
+ */
+const COLLECTION_NAME = 'adaptmigrationjobs'
+
+/**
+ * A migration of every existing course, run in the background, and backed by a MongoDB collection. The courses to migrate are fixed when the job is created, and each course is checkpointed as it finishes, so a job interrupted by a shutdown carries on from where it left off when `run()` is next called.
+ *
+ * A course interrupted part-way through is migrated again from the start, so migration scripts should be safe to run twice on the same content.
+ *
+ * A job is created pending, and only marked as running by `start()` once the framework update it belongs to has been applied. Only running jobs are resumed, so an update interrupted by a shutdown is never followed by its migration.
+ * @memberof adaptframework
+ */
+class MigrationJob {
+  /**
+   * Persists a new pending job for every existing course
+   * @param {Object} options
+   * @param {String} options.runId Id for the run in the migration history (see {@link MigrationHistory})
+   * @param {Array<{name: String, version: String}>} options.fromPlugins Plugin versions before the update
+   * @param {Array<{name: String, version: String}>} options.toPlugins Plugin versions after the update
+   * @param {String} options.frameworkDir The framework to take the migration scripts from
+   * @return {Promise<MigrationJob>}
+   */
+  static async create ({ runId, fromPlugins, toPlugins, frameworkDir }) {
+    const [content, jsonschema, mongodb] = await App.instance.waitForModule('content', 'jsonschema', 'mongodb')
+    const schema = await jsonschema.getSchema('adaptmigrationjob')
+    const courses = await content.find({ _type: 'course' })
+    const doc = await mongodb.insert(COLLECTION_NAME, schema.validate({
+      runId,
+      fromPlugins,
+      toPlugins,
+      frameworkDir,
+      courseIds: courses.map(c => c._id.toString()),
+      completed: [],
+      errors: [],
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    }))
+    return new MigrationJob(doc)
+  }
+
+  /**
+   * Retrieves the most recent job
+   * @return {Promise<MigrationJob|undefined>}
+   */
+  static async getLatest () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const [doc] = await mongodb.find(COLLECTION_NAME, {}, { sort: { createdAt: -1 }, limit: 1 })
+    return doc ? new MigrationJob(doc) : undefined
+  }
+
+  /**
+   * Retrieves every job which didn't finish before the last shutdown, oldest first. Pending jobs are left out, as their framework update was never applied.
+   * @return {Promise<Array<MigrationJob>>}
+   */
+  static async findUnfinished () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const docs = await mongodb.find(COLLECTION_NAME, { status: 'running' }, { sort: { createdAt: 1 } })
+    return docs.map(d => new MigrationJob(d))
+  }
+
+  /**
+   * @param {Object} doc The job document
+   */
+  constructor (doc) {
+    /**
+     * The job _id
+     * @type {String}
+     */
+    this._id = doc._id.toString()
+    /**
+     * The job document
+     * @type {Object}
+     */
+    this.doc = doc
+  }
+
+  /**
+   * Returns the progress of the job
+   * @return {Object} { _id, runId, status, total, migrated, failed, errors, createdAt, finishedAt }
+   */
+  getStatus () {
+    const { runId, status, courseIds, completed, errors, createdAt, finishedAt } = this.doc
+    return { _id: this._id, runId, status, total: courseIds.length, migrated: completed.length, failed: errors.length, errors, createdAt, finishedAt }
+  }
+
+  /**
+   * Removes the job. Errors are logged rather than thrown.
+   * @return {Promise}
+   */
+  async remove () {
+    try {
+      const mongodb = await App.instance.waitForModule('mongodb')
+      await mongodb.deleteMany(COLLECTION_NAME, { _id: this.doc._id })
+    } catch (e) {
+      log('warn', 'MIGRATION_JOB', `failed to remove migration job ${this._id}, ${e.message}`)
+    }
+  }
+
+  /**
+   * Marks the job as running, so it's resumed if interrupted by a shutdown. Should only be called once the framework update has been applied.
+   * @return {Promise}
+   */
+  async start () {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    await mongodb.update(COLLECTION_NAME, { _id: this.doc._id }, { $set: { status: 'running' } })
+    this.doc.status = 'running'
+  }
+
+  /**
+   * Migrates every course not yet checkpointed. Courses whose migration failed are not retried.
+   * @param {Object} options
+   * @param {Number} [options.concurrency] Maximum number of courses migrated at the same time
+   * @param {String} [options.cacheDir] Directory to create each course's adapt-migrations cache in
+   * @param {Function} [options.onUpdate] Function called with the original of each item before it is migrated (see {@link migrateExistingCourses})
+   * @param {Function} [options.onProgress] Function called with the status of the job (see {@link MigrationJob#getStatus}) after each course, and once the job has finished
+   * @return {Promise<Object>} Resolves with the final status of the job
+   */
+  async run ({ concurrency, cacheDir, onUpdate, onProgress } = {}) {
+    const mongodb = await App.instance.waitForModule('mongodb')
+    const { runId, fromPlugins, toPlugins, frameworkDir, courseIds, completed, errors } = this.doc
+    const done = new Set([...completed, ...errors.map(e => e.courseId)])
+    const remaining = courseIds.filter(id => !done.has(id))
+    log('info', 'MIGRATION_JOB', `migrating ${remaining.length} of ${courseIds.length} course(s) for job ${this._id}`)
+
+    if (remaining.length) {
+      await migrateExistingCourses({
+        fromPlugins,
+        toPlugins,
+        frameworkDir,
+        courseIds: remaining,
+        runId,
+        concurrency,
+        cacheDir,
+        onUpdate,
+        onCourseComplete: async ({ courseId, error }) => {
+          if (error) {
+            errors.push({ courseId, error })
+            await mongodb.update(COLLECTION_NAME, { _id: this.doc._id }, { $push: { errors: { courseId, error } } })
+          } else {
+            completed.push(courseId)
+            await mongodb.update(COLLECTION_NAME, { _id: this.doc._id }, { $push: { completed: courseId } })
+          }
+          await onProgress?.(this.getStatus())
+        }
+      })
+    }
+    Object.assign(this.doc, { status: errors.length ? 'failed' : 'completed', finishedAt: new Date() })
+    await mongodb.update(COLLECTION_NAME, { _id: this.doc._id }, { $set: { status: this.doc.status, finishedAt: this.doc.finishedAt } })
+    log('info', 'MIGRATION_JOB', `job ${this._id} ${this.doc.status}, ${completed.length} course(s) migrated, ${errors.length} failed`)
+    const status = this.getStatus()
+    await onProgress?.(status)
+    return status
+  }
+}
+
+export default MigrationJob
@@ -0,0 +1,210 @@
+import fs from 'node:fs/promises'
+import { createReadStream, createWriteStream } from 'node:fs'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import zlib from 'node:zlib'
+import path from 'upath'
+
+/** End of central directory record signature */
+const EOCD_SIGNATURE = 0x06054b50
+/** Zip64 end of central directory locator signature */
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50
+/** Zip64 end of central directory record signature */
+const ZIP64_EOCD_SIGNATURE = 0x06064b50
+/** Central directory file header signature */
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50
+/** Local file header signature */
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+/** Size of the end of central directory record, excluding the comment */
+const EOCD_SIZE = 22
+/** Maximum length of the zip file comment */
+const MAX_COMMENT_SIZE = 0xffff
+
+/**
+ * Reads zip archives one entry at a time, using the archive's central directory. Unlike unzipping the whole archive, entries can be extracted (or streamed) individually, so only the space needed for the entries in use is required. Supports stored and deflated entries, and Zip64 archives.
+ * @memberof adaptframework
+ */
+class ZipReader {
+  /**
+   * Opens an archive and reads its central directory
+   * @param {String} filePath Path to the zip file
+   * @return {Promise<ZipReader>}
+   */
+  static async open (filePath) {
+    const reader = new ZipReader(filePath)
+    await reader.readCentralDirectory()
+    return reader
+  }
+
+  /**
+   * Checks whether a path is a zip file, by its signature
+   * @param {String} filePath
+   * @return {Promise<Boolean>}
+   */
+  static async isZip (filePath) {
+    let handle
+    try {
+      handle = await fs.open(filePath)
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0)
+      return bytesRead === 4 && buffer.readUInt32LE(0) === LOCAL_HEADER_SIGNATURE
+    } catch (e) {
+      return false
+    } finally {
+      await handle?.close()
+    }
+  }
+
+  /**
+   * @param {String} filePath Path to the zip file
+   */
+  constructor (filePath) {
+    /**
+     * Path to the zip file
+     * @type {String}
+     */
+    this.path = filePath
+    /**
+     * The entries in the archive, in central directory order. Each has a name, size, compressedSize, method, offset (of its local header) and isDirectory.
+     * @type {Array<Object>}
+     */
+    this.entries = []
+  }
+
+  /**
+   * Reads a range of bytes from the archive
+   * @param {FileHandle} handle
+   * @param {Number} position
+   * @param {Number} length
+   * @return {Promise<Buffer>}
+   */
+  async read (handle, position, length) {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, position)
+    if (bytesRead < length) throw new Error('unexpected end of zip file')
+    return buffer
+  }
+
+  /**
+   * Reads the central directory into `entries`
+   * @return {Promise}
+   */
+  async readCentralDirectory () {
+    const handle = await fs.open(this.path)
+    try {
+      const { size } = await handle.stat()
+      const tailSize = Math.min(size, EOCD_SIZE + MAX_COMMENT_SIZE)
+      const tail = await this.read(handle, size - tailSize, tailSize)
+      let eocd = -1
+      for (let i = tail.length - EOCD_SIZE; i >= 0 && eocd < 0; i--) {
+        if (tail.readUInt32LE(i) === EOCD_SIGNATURE) eocd = i
+      }
+      if (eocd < 0) throw new Error('not a zip file, no end of central directory record found')
+      let count = tail.readUInt16LE(eocd + 10)
+      let cdSize = tail.readUInt32LE(eocd + 12)
+      let cdOffset = tail.readUInt32LE(eocd + 16)
+      if (count === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+        const locatorPos = size - tailSize + eocd - 20
+        const locator = await this.read(handle, locatorPos, 20)
+        if (locator.readUInt32LE(0) !== ZIP64_LOCATOR_SIGNATURE) throw new Error('invalid zip64 end of central directory locator')
+        const record = await this.read(handle, Number(locator.readBigUInt64LE(8)), 56)
+        if (record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) throw new Error('invalid zip64 end of central directory record')
+        count = Number(record.readBigUInt64LE(32))
+        cdSize = Number(record.readBigUInt64LE(40))
+        cdOffset = Number(record.readBigUInt64LE(48))
+      }
+      const cd = await this.read(handle, cdOffset, cdSize)
+      this.entries = []
+      for (let pos = 0, i = 0; i < count; i++) {
+        if (cd.readUInt32LE(pos) !== CENTRAL_HEADER_SIGNATURE) throw new Error('invalid central directory file header')
+        const flags = cd.readUInt16LE(pos + 8)
+        const nameLength = cd.readUInt16LE(pos + 28)
+        const extraLength = cd.readUInt16LE(pos + 30)
+        const commentLength = cd.readUInt16LE(pos + 32)
+        const name = cd.toString('utf8', pos + 46, pos + 46 + nameLength)
+        const entry = {
+          name,
+          method: cd.readUInt16LE(pos + 10),
+          compressedSize: cd.readUInt32LE(pos + 20),
+          size: cd.readUInt32LE(pos + 24),
+          offset: cd.readUInt32LE(pos + 42),
+          isEncrypted: (flags & 0x1) === 1,
+          isDirectory: name.endsWith('/')
+        }
+        this.applyZip64Extra(entry, cd.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength))
+        this.entries.push(entry)
+        pos += 46 + nameLength + extraLength + commentLength
+      }
+    } finally {
+      await handle.close()
+    }
+  }
+
+  /**
+   * Replaces any sizes and offset too large for the central directory header with their Zip64 values
+   * @param {Object} entry The entry
+   * @param {Buffer} extra The entry's extra field data
+   */
+  applyZip64Extra (entry, extra) {
+    for (let pos = 0; pos + 4 <= extra.length;) {
+      const id = extra.readUInt16LE(pos)
+      const length = extra.readUInt16LE(pos + 2)
+      if (id === 0x0001) {
+        let valuePos = pos + 4
+        for (const key of ['size', 'compressedSize', 'offset']) {
+          if (entry[key] !== 0xffffffff) continue
+          entry[key] = Number(extra.readBigUInt64LE(valuePos))
+          valuePos += 8
+        }
+        return
+      }
+      pos += 4 + length
+    }
+  }
+
+  /**
+   * Finds an entry by name
+   * @param {String} name
+   * @return {Object|undefined}
+   */
+  getEntry (name) {
+    return this.entries.find(e => e.name === name)
+  }
+
+  /**
+   * Creates a stream of an entry's uncompressed data
+   * @param {Object} entry The entry
+   * @return {Promise<stream.Readable>}
+   */
+  async createReadStream (entry) {
+    if (entry.isEncrypted) throw new Error(`encrypted entry '${entry.name}' is not supported`)
+    if (entry.method !== 0 && entry.method !== 8) throw new Error(`unsupported compression method ${entry.method} for entry '${entry.name}'`)
+    const handle = await fs.open(this.path)
+    let header
+    try {
+      header = await this.read(handle, entry.offset, 30)
+    } finally {
+      await handle.close()
+    }
+    if (header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) throw new Error(`invalid local file header for entry '${entry.name}'`)
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28)
+    if (entry.compressedSize === 0) return Readable.from([])
+    const raw = createReadStream(this.path, { start, end: start + entry.compressedSize - 1 })
+    if (entry.method === 0) return raw
+    const inflate = zlib.createInflateRaw()
+    raw.on('error', e => inflate.destroy(e))
+    return raw.pipe(inflate)
+  }
+
+  /**
+   * Extracts a single entry to a file, creating any missing directories
+   * @param {Object} entry The entry
+   * @param {String} dest Path of the file to write
+   * @return {Promise}
+   */
+  async extract (entry, dest) {
+    if (entry.isDirectory) return fs.mkdir(dest, { recursive: true })
+    await fs.mkdir(path.dirname(dest), { recursive: true })
+    await pipeline(await this.createReadStream(entry), createWriteStream(dest))
+  }
+}
+
+export default ZipReader
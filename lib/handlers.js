@@ -1,4 +1,5 @@
 import { App, toBoolean } from 'adapt-authoring-core'
+import fs from 'node:fs/promises'
 import path from 'upath'
 import semver from 'semver'
 import { inferBuildAction, retrieveBuildData, slugifyTitle, log } from './utils.js'
@@ -19,7 +20,7 @@ export async function getHandler (req, res, next) {
   } catch (e) {
     return next(e)
   }
-  if (!buildData || new Date(buildData.expiresAt).getTime() < Date.now()) {
+  if (!buildData || (!buildData.pinned && buildData.expiresAt && new Date(buildData.expiresAt).getTime() < Date.now())) {
     return next(App.instance.errors.FW_BUILD_NOT_FOUND.setData({ _id: id }))
   }
   if (action === 'publish' || action === 'export') {
@@ -40,7 +41,7 @@ export async function getHandler (req, res, next) {
 }
 
 /**
- * Handles POST requests to the API
+ * Handles POST requests to the API. The build is added to the build queue and the job is returned immediately; its progress can be checked via GET /jobs/:id.
  * @param {external:ExpressRequest} req
  * @param {external:ExpressResponse} res
  * @param {Function} next
@@ -48,25 +49,205 @@ export async function getHandler (req, res, next) {
  */
 export async function postHandler (req, res, next) {
   const framework = await App.instance.waitForModule('adaptframework')
-  const startTime = Date.now()
   const action = inferBuildAction(req)
   const courseId = req.params.id
   const userId = req.auth.user._id.toString()
   // optional progress correlation id (the client subscribes with the same id)
   const buildToken = req.query.buildToken
+  const target = req.body?.target
 
-  log('info', `running ${action} for course '${courseId}' initiated by ${userId}`)
   try {
-    const { isPreview, buildData } = await framework.buildCourse({ action, courseId, userId, buildToken })
-    const duration = Math.round((Date.now() - startTime) / 10) / 100
-    log('info', `finished ${action} for course '${courseId}' in ${duration} seconds`)
-    const urlRoot = isPreview ? framework.rootRouter.url : framework.apiRouter.url
-    res.json({
-      [`${action}_url`]: `${urlRoot}/${action}/${buildData._id}/`,
-      versions: buildData.versions
-    })
+    const job = await framework.queueBuild({ action, courseId, userId, buildToken, target })
+    res.status(202).json(formatJob(job, framework))
+  } catch (e) {
+    log('error', `failed to queue ${action} of course '${courseId}'`)
+    return next(e)
+  }
+}
+
+/**
+ * Handles GET /jobs/:id requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function getJobHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const job = await framework.buildQueue.get(req.params.id)
+    if (!job || job.createdBy.toString() !== req.auth.user._id.toString()) {
+      return next(App.instance.errors.FW_BUILD_JOB_NOT_FOUND.setData({ _id: req.params.id }))
+    }
+    const build = job.buildId ? await retrieveBuildData(job.buildId) : undefined
+    res.json(formatJob(job, framework, build))
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles DELETE /build/:buildToken requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function cancelBuildHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    await framework.cancelBuild(req.params.buildToken, req.auth.user._id.toString())
+    res.status(204).end()
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Formats a build job for API responses
+ * @param {Object} job The job document
+ * @param {AdaptFrameworkModule} framework
+ * @param {Object} [build] The adaptbuild document, if the job has completed
+ * @return {Object}
+ */
+function formatJob (job, framework, build) {
+  const data = {
+    _id: job._id,
+    action: job.action,
+    courseId: job.courseId,
+    target: job.target,
+    status: job.status,
+    position: job.position,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    job_url: `${framework.apiRouter.url}/jobs/${job._id}`
+  }
+  if (build) {
+    data.build = build
+    data.versions = build.versions
+    data[`${job.action}_url`] = getBuildUrl(build, framework)
+  }
+  return data
+}
+
+/**
+ * Returns the URL a build can be retrieved from
+ * @param {Object} build The adaptbuild document
+ * @param {AdaptFrameworkModule} framework
+ * @return {String}
+ */
+function getBuildUrl (build, framework) {
+  const urlRoot = build.action === 'preview' ? framework.rootRouter.url : framework.apiRouter.url
+  return `${urlRoot}/${build.action}/${build._id}/`
+}
+
+/**
+ * Formats a build for API responses
+ * @param {Object} build The adaptbuild document
+ * @param {AdaptFrameworkModule} framework
+ * @return {Object}
+ */
+function formatBuild (build, framework) {
+  return {
+    _id: build._id,
+    action: build.action,
+    courseId: build.courseId,
+    target: build.target,
+    size: build.size,
+    pinned: build.pinned ?? false,
+    versions: build.versions,
+    createdBy: build.createdBy,
+    createdAt: build.createdAt,
+    expiresAt: build.expiresAt,
+    url: getBuildUrl(build, framework)
+  }
+}
+
+/**
+ * Handles GET /builds requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function getBuildsHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const { courseId, action } = req.query
+    if (!courseId) {
+      return next(App.instance.errors.INVALID_PARAMS.setData({ params: ['courseId'] }))
+    }
+    if (!await framework.checkContentAccess(req, { _courseId: courseId })) {
+      return next(App.instance.errors.NOT_FOUND.setData({ type: 'course', id: courseId }))
+    }
+    const builds = await framework.getBuilds(courseId, action ? { action } : {})
+    res.json(builds.map(b => formatBuild(b, framework)))
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles PATCH /builds/:id requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function patchBuildHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const id = req.params.id
+    const build = await retrieveBuildData(id)
+    if (!build || !await framework.checkContentAccess(req, { _courseId: build.courseId })) {
+      return next(App.instance.errors.FW_BUILD_NOT_FOUND.setData({ _id: id }))
+    }
+    if (typeof req.body.pinned !== 'boolean') {
+      return next(App.instance.errors.INVALID_PARAMS.setData({ params: ['pinned'] }))
+    }
+    res.json(formatBuild(await framework.setBuildPinned(id, req.body.pinned), framework))
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles GET /builds/:id/diff/:toId requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function diffBuildsHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const { id, toId } = req.params
+    for (const _id of [id, toId]) {
+      const build = await retrieveBuildData(_id)
+      if (!build || !await framework.checkContentAccess(req, { _courseId: build.courseId })) {
+        return next(App.instance.errors.FW_BUILD_NOT_FOUND.setData({ _id }))
+      }
+    }
+    res.json(await framework.diffBuilds(id, toId))
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles GET /cache requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function getCacheStatsHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    res.json(await framework.getBuildCache().getStats())
   } catch (e) {
-    log('error', `failed to ${action} course '${courseId}'`)
     return next(e)
   }
 }
@@ -75,15 +256,17 @@ export async function postHandler (req, res, next) {
  * Deals with an incoming course (supports both local zip and remote URL stream)
  * @param {external:ExpressRequest} req
  * @param {external:ExpressResponse} res
+ * @param {Object} options
+ * @param {Boolean} options.unzip Whether uploaded zips should be unzipped
  * @return {Promise}
  */
-async function handleImportFile (req, res) {
+async function handleImportFile (req, res, { unzip = true } = {}) {
   const [fw, middleware] = await App.instance.waitForModule('adaptframework', 'middleware')
   const handler = req.get('Content-Type').indexOf('multipart/form-data') === 0
     ? middleware.fileUploadParser
     : middleware.urlUploadParser
   return new Promise((resolve, reject) => {
-    handler(middleware.zipTypes, { maxFileSize: fw.getConfig('importMaxFileSize'), unzip: true })(req, res, e => e ? reject(e) : resolve())
+    handler(middleware.zipTypes, { maxFileSize: fw.getConfig('importMaxFileSize'), unzip })(req, res, e => e ? reject(e) : resolve())
   })
 }
 
@@ -97,25 +280,36 @@ async function handleImportFile (req, res) {
 export async function importHandler (req, res, next) {
   try {
     const framework = await App.instance.waitForModule('adaptframework')
-    let importPath = req.body.importPath
-    if (req.get('Content-Type').indexOf('multipart/form-data') === 0) {
-      await handleImportFile(req, res)
+    const isMultipart = req.get('Content-Type').indexOf('multipart/form-data') === 0
+    if (isMultipart) { // parsed first, as the other fields are sent with the file
+      // left zipped, so the importer can decide whether to stream it
+      await handleImportFile(req, res, { unzip: false })
+    }
+    // checked before any other source is prepared, so a refused update doesn't consume an upload or leave a copy behind
+    const updateCourseId = req.body.updateCourseId
+    if (updateCourseId && !await framework.checkContentAccess(req, { _courseId: updateCourseId })) {
+      if (isMultipart) await fs.rm(req.fileUpload.files.course[0].filepath, { force: true })
+      return next(App.instance.errors.NOT_FOUND.setData({ type: 'course', id: updateCourseId }))
+    }
+    let importPath
+    if (isMultipart) {
       const [course] = req.fileUpload.files.course
       importPath = course.filepath
+    } else if (req.body.uploadId) { // a completed resumable upload
+      importPath = await framework.completeImportUpload(req.body.uploadId, req.auth.user._id.toString())
+    } else { // server-side sources are copied so the import can't modify (or remove) the original
+      importPath = await framework.prepareImportSource({
+        repository: req.body.repository,
+        ref: req.body.ref,
+        importPath: req.body.importPath
+      })
     }
     const importer = await framework.importCourse({
+      ...getImportOptions(req),
       importPath,
       userId: req.auth.user._id.toString(),
-      isDryRun: toBoolean(req.body.dryRun),
-      assetFolders: req.body.formAssetFolders,
-      tags: req.body.tags?.length > 0 ? req.body.tags?.split(',') : [],
-      importContent: toBoolean(req.body.importContent),
-      importPlugins: toBoolean(req.body.importPlugins),
-      migrateContent: toBoolean(req.body.migrateContent),
-      // updatePlugins kept for backwards compatibility; only forwarded when present so an absent value falls through to the default policy
-      updatePlugins: req.body.updatePlugins === undefined ? undefined : toBoolean(req.body.updatePlugins),
-      pluginUpdatePolicy: req.body.pluginUpdatePolicy,
-      importToken: req.body.importToken
+      importToken: req.body.importToken,
+      updateCourseId
     })
     res.json(importer.summary)
   } catch (e) {
@@ -123,6 +317,178 @@ export async function importHandler (req, res, next) {
   }
 }
 
+/**
+ * Completes a list of resumable uploads, returning the paths of their zips. Every upload is checked before any is completed, so a bad id leaves the others to be used again.
+ * @param {AdaptFrameworkModule} framework
+ * @param {Array<String>} uploadIds
+ * @param {String} userId
+ * @return {Promise<Array<String>>}
+ */
+async function completeImportUploads (framework, uploadIds, userId) {
+  if (!Array.isArray(uploadIds) || !uploadIds.length) {
+    throw App.instance.errors.INVALID_PARAMS.setData({ params: ['uploadIds'] })
+  }
+  const uploads = await Promise.all(uploadIds.map(id => framework.getImportUpload(id, userId)))
+  for (const upload of uploads) {
+    const { _id, offset, size, complete } = await upload.getStatus()
+    if (!complete) throw App.instance.errors.FW_IMPORT_UPLOAD_INCOMPLETE.setData({ uploadId: _id, offset, size })
+  }
+  // an upload could still be changed in the meantime, in which case the data of any already completed is removed
+  const results = await Promise.allSettled(uploadIds.map(id => framework.completeImportUpload(id, userId)))
+  const failed = results.find(r => r.status === 'rejected')
+  if (failed) {
+    await Promise.all(results.filter(r => r.status === 'fulfilled').map(r => fs.rm(r.value, { force: true })))
+    throw failed.reason
+  }
+  return results.map(r => r.value)
+}
+
+/**
+ * Handles POST /import/bulk requests to the API. Every zip uploaded as `course` (or completed resumable upload listed in `uploadIds`) is imported, with any zip-of-zips expanded into the zips it contains.
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function bulkImportHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const userId = req.auth.user._id.toString()
+    let importPaths
+    if (req.body.uploadIds) { // completed resumable uploads
+      importPaths = await completeImportUploads(framework, req.body.uploadIds, userId)
+    } else {
+      await handleImportFile(req, res)
+      importPaths = (req.fileUpload?.files?.course ?? []).map(f => f.filepath)
+    }
+    const bulkImport = await framework.bulkImportCourses({
+      importPaths,
+      userId,
+      importToken: req.body.importToken,
+      importOptions: getImportOptions(req)
+    })
+    res.json(bulkImport.report)
+  } catch (e) {
+    return next(e?.statusCode ? e : App.instance.errors.FW_IMPORT_FAILED.setData({ error: e }))
+  }
+}
+
+/**
+ * Reads the options shared by all import requests from the request body
+ * @param {external:ExpressRequest} req
+ * @return {AdaptFrameworkImportOptions}
+ */
+function getImportOptions (req) {
+  return {
+    isDryRun: toBoolean(req.body.dryRun),
+    assetFolders: req.body.formAssetFolders,
+    tags: req.body.tags?.length > 0 ? req.body.tags?.split(',') : [],
+    importContent: toBoolean(req.body.importContent),
+    importPlugins: toBoolean(req.body.importPlugins),
+    migrateContent: toBoolean(req.body.migrateContent),
+    // updatePlugins kept for backwards compatibility; only forwarded when present so an absent value falls through to the default policy
+    updatePlugins: req.body.updatePlugins === undefined ? undefined : toBoolean(req.body.updatePlugins),
+    pluginUpdatePolicy: req.body.pluginUpdatePolicy,
+    importAllLanguages: toBoolean(req.body.importAllLanguages),
+    preserveTrackingIds: toBoolean(req.body.preserveTrackingIds),
+    renumberFriendlyIds: toBoolean(req.body.renumberFriendlyIds)
+  }
+}
+
+/**
+ * Handles DELETE /import/:importToken requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function cancelImportHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    framework.cancelImport(req.params.importToken, req.auth.user._id.toString())
+    res.status(204).end()
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles POST /import/uploads requests to the API, starting a resumable upload
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function createImportUploadHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const upload = await framework.createImportUpload({
+      userId: req.auth.user._id.toString(),
+      size: Number(req.body.size),
+      filename: req.body.filename
+    })
+    res.status(201).json(await upload.getStatus())
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles GET /import/uploads/:uploadId requests to the API, returning the upload's current offset
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function getImportUploadHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const upload = await framework.getImportUpload(req.params.uploadId, req.auth.user._id.toString())
+    res.json(await upload.getStatus())
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles PATCH /import/uploads/:uploadId requests to the API. The request body is the chunk data, and the Upload-Offset header the offset it starts at.
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function patchImportUploadHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const offset = Number(req.get('Upload-Offset'))
+    if (!req.get('Upload-Offset') || !Number.isInteger(offset) || offset < 0) {
+      return next(App.instance.errors.INVALID_PARAMS.setData({ params: ['Upload-Offset'] }))
+    }
+    const upload = await framework.getImportUpload(req.params.uploadId, req.auth.user._id.toString())
+    res.json(await upload.write(req, offset))
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles DELETE /import/uploads/:uploadId requests to the API, abandoning the upload
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function deleteImportUploadHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const upload = await framework.getImportUpload(req.params.uploadId, req.auth.user._id.toString())
+    await upload.remove()
+    res.status(204).end()
+  } catch (e) {
+    return next(e)
+  }
+}
+
 /**
  * Handles POST /update requests to the API
  * @param {external:ExpressRequest} req
@@ -136,20 +502,82 @@ export async function postUpdateHandler (req, res, next) {
     if (!framework.getConfig('enableUpdateApi')) {
       return next(App.instance.errors.NOT_FOUND.setData({ type: 'route', id: req.originalUrl }))
     }
+    if (toBoolean(req.body.dryRun)) {
+      return res.json(await framework.previewFrameworkUpdate(req.body.version))
+    }
     log('info', 'running framework update')
     const previousVersion = framework.version
-    const migrationResult = await framework.updateFramework(req.body.version)
+    const migration = await framework.updateFramework(req.body.version)
     const currentVersion = framework.version !== previousVersion ? framework.version : undefined
     res.json({
       from: previousVersion,
       to: currentVersion,
-      migration: migrationResult
+      migration
     })
   } catch (e) {
     return next(e)
   }
 }
 
+/**
+ * Handles POST /update/rollback requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function postUpdateRollbackHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    if (!framework.getConfig('enableUpdateApi')) {
+      return next(App.instance.errors.NOT_FOUND.setData({ type: 'route', id: req.originalUrl }))
+    }
+    res.json(await framework.rollbackFrameworkUpdate())
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles GET /courses/:id/migrations requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function getCourseMigrationsHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const courseId = req.params.id
+    if (!await framework.checkContentAccess(req, { _courseId: courseId })) {
+      return next(App.instance.errors.NOT_FOUND.setData({ type: 'course', id: courseId }))
+    }
+    res.json(await framework.getCourseMigrations(courseId))
+  } catch (e) {
+    return next(e)
+  }
+}
+
+/**
+ * Handles POST /courses/:id/migrations/:migrationId/revert requests to the API
+ * @param {external:ExpressRequest} req
+ * @param {external:ExpressResponse} res
+ * @param {Function} next
+ * @return {Promise}
+ */
+export async function revertCourseMigrationHandler (req, res, next) {
+  try {
+    const framework = await App.instance.waitForModule('adaptframework')
+    const { id: courseId, migrationId } = req.params
+    if (!await framework.checkContentAccess(req, { _courseId: courseId })) {
+      return next(App.instance.errors.NOT_FOUND.setData({ type: 'course', id: courseId }))
+    }
+    res.json(await framework.revertCourseMigration(courseId, migrationId))
+  } catch (e) {
+    return next(e)
+  }
+}
+
 /**
  * Handles GET /update requests to the API
  * @param {external:ExpressRequest} req
@@ -168,7 +596,8 @@ export async function getUpdateHandler (req, res, next) {
     res.json({
       canBeUpdated: semver.gt(latest, current),
       currentVersion: current,
-      latestCompatibleVersion: latest
+      latestCompatibleVersion: latest,
+      migration: await framework.getMigrationStatus()
     })
   } catch (e) {
     return next(e)
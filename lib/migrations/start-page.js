@@ -3,7 +3,17 @@ async function StartPage (data, importer) {
     return
   }
   const pages = Object.values(importer.contentJson.contentObjects).filter(c => c._type === 'page')
+  // generated _friendlyIds skip any in use by the import or the course being updated (see the renumberFriendlyIds option)
+  const usedIds = new Set(importer.settings?.renumberFriendlyIds
+    ? [...Object.values(importer.contentJson.contentObjects), ...(importer.existingContent?.items ?? [])].map(c => c._friendlyId).filter(Boolean)
+    : [])
   let pageIndex = 1
+  const nextId = () => {
+    let id
+    do id = `start_page_${pageIndex++}`
+    while (usedIds.has(id))
+    return id
+  }
   for (let i = 0; i < data._start._startIds.length; i++) {
     const _id = data._start._startIds[i]._id
     let co = importer.contentJson.contentObjects[_id]
@@ -21,7 +31,7 @@ async function StartPage (data, importer) {
         return
       }
     }
-    co._friendlyId = data._start._startIds[i]._id = co._friendlyId ?? `start_page_${pageIndex++}`
+    co._friendlyId = data._start._startIds[i]._id = co._friendlyId ?? nextId()
   }
 }
 
@@ -9,18 +9,38 @@ export { reconcileAssetTags } from './utils/reconcileAssetTags.js'
 export { collectAssetRefs } from './utils/collectAssetRefs.js'
 export { log, logDir, logMemory } from './utils/log.js'
 export { runCliCommand } from './utils/runCliCommand.js'
-export { retrieveBuildData } from './utils/retrieveBuildData.js'
+export { retrieveBuildData, clearBuildData } from './utils/retrieveBuildData.js'
 export { getImportSummary } from './utils/getImportSummary.js'
 export { slugifyTitle } from './utils/slugifyTitle.js'
 export { copyFrameworkSource } from './utils/copyFrameworkSource.js'
 export { readFrameworkPluginVersions } from './utils/readFrameworkPluginVersions.js'
 export { collectMigrationScripts } from './utils/collectMigrationScripts.js'
 export { runContentMigration } from './utils/runContentMigration.js'
+export { getMigrationCacheDir } from './utils/getMigrationCacheDir.js'
 export { createErrorCapturingLogger } from './utils/createErrorCapturingLogger.js'
 export { migrateExistingCourses } from './utils/migrateExistingCourses.js'
-export { computePluginHash } from './utils/computePluginHash.js'
 export { prebuildCache } from './utils/prebuildCache.js'
 export { generateLanguageManifest } from './utils/generateLanguageManifest.js'
 export { applyBuildReplacements } from './utils/applyBuildReplacements.js'
 export { computeVarsHash } from './utils/computeVarsHash.js'
+export { computeCourseHash } from './utils/computeCourseHash.js'
+export { computeEnabledPluginHash } from './utils/computeEnabledPluginHash.js'
 export { getBundledPlugins } from './utils/getBundledPlugins.js'
+export { abortable } from './utils/abortable.js'
+export { escapeXml } from './utils/escapeXml.js'
+export { generateScormManifest } from './utils/generateScormManifest.js'
+export { generateCmi5Manifest } from './utils/generateCmi5Manifest.js'
+export { generateTincanManifest } from './utils/generateTincanManifest.js'
+export { getPathSize } from './utils/getPathSize.js'
+export { findOrphanedTempDirs } from './utils/findOrphanedTempDirs.js'
+export { createContentManifest } from './utils/createContentManifest.js'
+export { diffBuilds } from './utils/diffBuilds.js'
+export { diffPluginVersions } from './utils/diffPluginVersions.js'
+export { hasContentChanges } from './utils/hasContentChanges.js'
+export { formatSchemaErrors } from './utils/formatSchemaErrors.js'
+export { createLanguagePickerConfig } from './utils/createLanguagePickerConfig.js'
+export { resolveAllowedPath } from './utils/resolveAllowedPath.js'
+export { checkoutRepository } from './utils/checkoutRepository.js'
+export { parseJsonStream } from './utils/parseJsonStream.js'
+export { createJsonPatch } from './utils/createJsonPatch.js'
+export { applyJsonPatch } from './utils/applyJsonPatch.js'
@@ -0,0 +1,22 @@
+/**
+ * Races a promise against an AbortSignal, rejecting with the signal's reason as soon as it
+ * is aborted. Intended for work which can't itself be interrupted (e.g. an adapt-cli
+ * compile): the original promise is left to settle in the background and its outcome is
+ * ignored once aborted.
+ * @param {Promise} promise The promise to race
+ * @param {AbortSignal} [signal] The signal to observe. If omitted, the promise is returned as-is
+ * @return {Promise}
+ * @memberof adaptframework
+ */
+export function abortable (promise, signal) {
+  if (!signal) return promise
+  promise.catch(() => {}) // outcome is irrelevant once aborted
+  if (signal.aborted) return Promise.reject(signal.reason)
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
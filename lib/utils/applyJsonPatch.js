@@ -0,0 +1,41 @@
+import _ from 'lodash'
+
+/**
+ * Applies a JSON patch (RFC 6902) created by createJsonPatch. Only the add, remove, replace and test operations are supported. The value passed in isn't modified.
+ * @param {*} value The value to patch
+ * @param {Array<Object>} patch The patch operations
+ * @return {*} The patched value
+ * @throws {Error} If an operation refers to a path which doesn't exist, a test operation fails, or an operation is unsupported
+ */
+export function applyJsonPatch (value, patch) {
+  let result = structuredClone(value)
+  for (const { op, path, value: opValue } of patch) {
+    if (!['add', 'remove', 'replace', 'test'].includes(op)) {
+      throw new Error(`unsupported patch operation '${op}'`)
+    }
+    if (path === '') {
+      if (op === 'remove') throw new Error('cannot remove the root value')
+      if (op !== 'test') result = structuredClone(opValue)
+      else if (!_.isEqual(result, opValue)) throw new Error(`path '${path}' doesn't hold the tested value`)
+      continue
+    }
+    const keys = path.slice(1).split('/').map(k => k.replaceAll('~1', '/').replaceAll('~0', '~'))
+    const key = keys.pop()
+    const parent = keys.reduce((target, k) => target != null && typeof target === 'object' ? target[k] : undefined, result)
+    if (parent == null || typeof parent !== 'object') {
+      throw new Error(`path '${path}' doesn't exist`)
+    }
+    if (op !== 'add' && !Object.hasOwn(parent, key)) {
+      throw new Error(`path '${path}' doesn't exist`)
+    }
+    if (op === 'test') {
+      if (!_.isEqual(parent[key], opValue)) throw new Error(`path '${path}' doesn't hold the tested value`)
+    } else if (op === 'remove') {
+      if (Array.isArray(parent)) parent.splice(Number(key), 1)
+      else delete parent[key]
+    } else {
+      parent[key] = structuredClone(opValue)
+    }
+  }
+  return result
+}
@@ -0,0 +1,68 @@
+import { App } from 'adapt-authoring-core'
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+
+const REMOTE_PROTOCOLS = ['https:', 'http:', 'ssh:', 'git:']
+const SCP_URL = /^[\w.-]+@([\w.-]+):[\w./~-]+$/
+const GIT_REF = /^(?!-)(?!.*\.\.)[\w./-]+$/
+
+/**
+ * Checks out a single ref of a remote git repository, without its history. Only remote URLs on the allow list are accepted (local paths and file:// URLs are always rejected), and git is never allowed to prompt for credentials. Symlinks in the repository are checked out as plain files holding the link target, so a repository can't expose other files on the server.
+ * @param {Object} options
+ * @param {String} options.url The repository URL
+ * @param {String} [options.ref] The branch, tag or commit to check out. Defaults to the repository's default branch.
+ * @param {String} options.dir Directory to check out into
+ * @param {Array<String>} [options.allowList] The hosts repositories can be checked out from. A plain hostname (e.g. github.com) allows https URLs only, whereas one with a protocol (e.g. ssh://git.example.com) allows that protocol instead. Nothing is allowed if empty.
+ * @param {Number} [options.timeout] Maximum time in milliseconds allowed for each git command
+ * @return {Promise}
+ * @throws {AdaptError} FW_IMPORT_INVALID_REPOSITORY if the URL or ref isn't valid, FW_IMPORT_REPOSITORY_NOT_ALLOWED if the URL isn't on the allow list, FW_IMPORT_CHECKOUT_FAILED if git fails
+ */
+export async function checkoutRepository ({ url, ref = 'HEAD', dir, allowList = [], timeout }) {
+  const remote = parseRemoteUrl(url)
+  if (!remote) {
+    throw App.instance.errors.FW_IMPORT_INVALID_REPOSITORY.setData({ repository: url, reason: 'only remote repository URLs are supported' })
+  }
+  if (!allowList.some(entry => isAllowedRemote(remote, entry))) {
+    throw App.instance.errors.FW_IMPORT_REPOSITORY_NOT_ALLOWED.setData({ repository: url })
+  }
+  if (!GIT_REF.test(ref)) {
+    throw App.instance.errors.FW_IMPORT_INVALID_REPOSITORY.setData({ repository: url, reason: `invalid ref '${ref}'` })
+  }
+  const git = (...args) => promisify(execFile)('git', args, {
+    timeout,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+  })
+  try {
+    await git('init', '--quiet', dir)
+    await git('-C', dir, 'fetch', '--quiet', '--depth', '1', '--', url, ref)
+    await git('-C', dir, '-c', 'core.symlinks=false', 'checkout', '--quiet', 'FETCH_HEAD')
+  } catch (e) {
+    throw App.instance.errors.FW_IMPORT_CHECKOUT_FAILED.setData({ repository: url, ref, error: e.stderr?.trim() || e.message })
+  }
+}
+
+/**
+ * Parses the protocol and host of a remote repository URL. scp-like URLs (user@host:path) are treated as ssh.
+ * @param {String} url
+ * @return {Object|undefined} { protocol, hostname }, or undefined if the URL doesn't point to a remote server
+ */
+function parseRemoteUrl (url) {
+  if (typeof url !== 'string') return
+  const scpHost = url.match(SCP_URL)?.[1]
+  if (scpHost) return { protocol: 'ssh:', hostname: scpHost.toLowerCase() }
+  try {
+    const { protocol, hostname } = new URL(url)
+    if (REMOTE_PROTOCOLS.includes(protocol)) return { protocol, hostname }
+  } catch (e) {}
+}
+
+/**
+ * Checks whether a remote repository matches an allow list entry
+ * @param {Object} remote The parsed repository URL (see parseRemoteUrl)
+ * @param {String} entry A hostname, which allows https only, or a protocol and hostname
+ * @return {Boolean}
+ */
+function isAllowedRemote ({ protocol, hostname }, entry) {
+  const allowed = entry.includes('://') ? parseRemoteUrl(entry) : parseRemoteUrl(`https://${entry}`)
+  return allowed?.protocol === protocol && allowed.hostname === hostname
+}
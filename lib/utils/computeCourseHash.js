@@ -0,0 +1,14 @@
+import { createHash } from 'node:crypto'
+import { canonicalJson } from './computeVarsHash.js'
+
+/**
+ * Hashes a course's course and config data for the publish cache key. Grunt writes these into files outside the course directory (e.g. the title in spoor's imsmanifest.xml and index.html), so a cached publish can only be reused while they're unchanged.
+ * @param {Object} data
+ * @param {Object} data.config The course config
+ * @param {Array<Object>} data.courses The course item of each language being built
+ * @return {String} 12-char hex hash
+ */
+export function computeCourseHash ({ config, courses }) {
+  const input = canonicalJson({ config: config ?? null, courses })
+  return createHash('sha256').update(input).digest('hex').slice(0, 12)
+}
@@ -0,0 +1,19 @@
+import { createHash } from 'node:crypto'
+import { canonicalJson } from './computeVarsHash.js'
+
+/**
+ * Computes a deterministic hash of the inputs to a build of a specific plugin set, for use as the cache key of non-preview builds
+ * @param {Object} options
+ * @param {String} options.frameworkVersion The installed framework version
+ * @param {Array<Object>} options.plugins The plugins bundled into the build (each with name and version)
+ * @param {Boolean} options.sourceMaps Whether the build includes source maps
+ * @return {String} 16-char hex hash
+ */
+export function computeEnabledPluginHash ({ frameworkVersion, plugins, sourceMaps }) {
+  const input = canonicalJson({
+    frameworkVersion,
+    plugins: plugins.map(p => [p.name, p.version]).sort(([a], [b]) => a.localeCompare(b)),
+    sourceMaps: Boolean(sourceMaps)
+  })
+  return createHash('sha256').update(input).digest('hex').slice(0, 16)
+}
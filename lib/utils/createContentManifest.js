@@ -0,0 +1,32 @@
+import { createHash } from 'node:crypto'
+import { canonicalJson } from './computeVarsHash.js'
+
+/** The courseData types whose items are compared between builds */
+const CONTENT_TYPES = ['contentObject', 'article', 'block', 'component']
+
+/**
+ * Creates a manifest of the content written by a build, for comparing builds with {@link diffBuilds}. Content items are keyed by their output _id (the _friendlyId where set) and hashed, so only a summary of each item needs to be kept.
+ * @param {Object} options
+ * @param {Object} options.courseData The build's course data (see AdaptFrameworkBuild#courseData)
+ * @param {Object} options.assetData The build's asset data (see AdaptFrameworkBuild#assetData)
+ * @param {String} options.courseDir The build's course directory, which asset paths are made relative to
+ * @return {Object} ({ content, assets }), where content maps item _ids to { _type, title, hash } and assets maps asset _ids to their path (or URL)
+ */
+export function createContentManifest ({ courseData, assetData, courseDir }) {
+  const content = {}
+  CONTENT_TYPES.forEach(type => {
+    courseData[type]?.data.forEach(item => {
+      content[item._id] = {
+        _type: item._type,
+        title: item.title,
+        hash: createHash('sha256').update(canonicalJson(item)).digest('hex').slice(0, 16)
+      }
+    })
+  })
+  const assets = {}
+  assetData?.data.forEach(a => {
+    const assetPath = assetData.idMap[a._id]
+    if (assetPath) assets[a._id.toString()] = assetPath.replace(courseDir, 'course')
+  })
+  return { content, assets }
+}
@@ -0,0 +1,28 @@
+import _ from 'lodash'
+
+/**
+ * Creates a JSON patch (RFC 6902) which turns one JSON value into another. Objects are compared property by property, and arrays item by item if their lengths match. Any other change replaces the value as a whole.
+ * @param {*} from The original value
+ * @param {*} to The new value
+ * @param {String} [path] JSON pointer to the values being compared
+ * @return {Array<Object>} The patch operations, each with an op, path and (except for remove) value
+ */
+export function createJsonPatch (from, to, path = '') {
+  if (_.isEqual(from, to)) return []
+  const isObject = value => _.isPlainObject(value)
+  if (isObject(from) && isObject(to)) {
+    const escape = key => key.replaceAll('~', '~0').replaceAll('/', '~1')
+    return [
+      ...Object.keys(from).filter(k => !Object.hasOwn(to, k)).map(k => ({ op: 'remove', path: `${path}/${escape(k)}` })),
+      ...Object.keys(to).flatMap(k => {
+        return Object.hasOwn(from, k)
+          ? createJsonPatch(from[k], to[k], `${path}/${escape(k)}`)
+          : [{ op: 'add', path: `${path}/${escape(k)}`, value: to[k] }]
+      })
+    ]
+  }
+  if (Array.isArray(from) && Array.isArray(to) && from.length === to.length) {
+    return to.flatMap((item, i) => createJsonPatch(from[i], item, `${path}/${i}`))
+  }
+  return [{ op: 'replace', path, value: to }]
+}
@@ -0,0 +1,19 @@
+/**
+ * Generates the _languagePicker config for a course built with multiple languages. Any authored settings (e.g. display names and warning text) for the built languages are kept, entries for languages not in the build are dropped, and new entries are added for the rest.
+ * @param {Object} [languagePicker] The existing _languagePicker config
+ * @param {Array<Object>} languages The built languages, in display order
+ * @param {String} languages[]._language The language code
+ * @param {String} [languages[]._direction] The text direction (defaults to ltr)
+ * @return {Object} The new _languagePicker config
+ */
+export function createLanguagePickerConfig (languagePicker = {}, languages) {
+  const existing = languagePicker._languages ?? []
+  return {
+    ...languagePicker,
+    _isEnabled: true,
+    _languages: languages.map(({ _language, _direction = 'ltr' }) => {
+      const current = existing.find(l => l._language === _language)
+      return { _direction, displayName: _language, ...current, _language }
+    })
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Compares two builds of a course
+ * @param {Object} from The adaptbuild document to compare from (usually the older build)
+ * @param {Object} to The adaptbuild document to compare to
+ * @return {Object} ({ from, to, framework, plugins, content, assets }). framework is null if the framework version is unchanged.
+ */
+export function diffBuilds (from, to) {
+  const { adapt_framework: fromFramework, ...fromPlugins } = from.versions ?? {}
+  const { adapt_framework: toFramework, ...toPlugins } = to.versions ?? {}
+  const fromContent = from.contentManifest?.content ?? {}
+  const toContent = to.contentManifest?.content ?? {}
+  const fromAssets = from.contentManifest?.assets ?? {}
+  const toAssets = to.contentManifest?.assets ?? {}
+
+  const formatItem = (_id, { _type, title }) => ({ _id, _type, title })
+  const formatAsset = (_id, path) => ({ _id, path })
+
+  return {
+    from: from._id,
+    to: to._id,
+    framework: fromFramework !== toFramework ? { from: fromFramework, to: toFramework } : null,
+    plugins: {
+      added: added(fromPlugins, toPlugins).map(name => ({ name, version: toPlugins[name] })),
+      removed: added(toPlugins, fromPlugins).map(name => ({ name, version: fromPlugins[name] })),
+      changed: common(fromPlugins, toPlugins)
+        .filter(name => fromPlugins[name] !== toPlugins[name])
+        .map(name => ({ name, from: fromPlugins[name], to: toPlugins[name] }))
+    },
+    content: {
+      added: added(fromContent, toContent).map(_id => formatItem(_id, toContent[_id])),
+      removed: added(toContent, fromContent).map(_id => formatItem(_id, fromContent[_id])),
+      modified: common(fromContent, toContent)
+        .filter(_id => fromContent[_id].hash !== toContent[_id].hash)
+        .map(_id => formatItem(_id, toContent[_id]))
+    },
+    assets: {
+      added: added(fromAssets, toAssets).map(_id => formatAsset(_id, toAssets[_id])),
+      removed: added(toAssets, fromAssets).map(_id => formatAsset(_id, fromAssets[_id]))
+    }
+  }
+}
+
+/** Returns the keys of b which aren't in a */
+function added (a, b) {
+  return Object.keys(b).filter(k => !Object.hasOwn(a, k))
+}
+
+/** Returns the keys present in both a and b */
+function common (a, b) {
+  return Object.keys(b).filter(k => Object.hasOwn(a, k))
+}
@@ -0,0 +1,17 @@
+/**
+ * Compares two lists of plugin versions (as returned by readFrameworkPluginVersions)
+ * @param {Array<{name: String, version: String}>} fromPlugins The plugins before the change
+ * @param {Array<{name: String, version: String}>} toPlugins The plugins after the change
+ * @return {Object} ({ added, removed, changed }). added and removed list { name, version }, and changed lists { name, from, to }.
+ */
+export function diffPluginVersions (fromPlugins, toPlugins) {
+  const from = new Map(fromPlugins.map(p => [p.name, p.version]))
+  const to = new Map(toPlugins.map(p => [p.name, p.version]))
+  return {
+    added: toPlugins.filter(p => !from.has(p.name)).map(({ name, version }) => ({ name, version })),
+    removed: fromPlugins.filter(p => !to.has(p.name)).map(({ name, version }) => ({ name, version })),
+    changed: toPlugins
+      .filter(p => from.has(p.name) && from.get(p.name) !== p.version)
+      .map(({ name, version }) => ({ name, from: from.get(name), to: version }))
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Escapes a value for use in XML text or attribute values
+ * @param {*} value The value to escape
+ * @return {String}
+ */
+export function escapeXml (value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
@@ -0,0 +1,24 @@
+import fs from 'node:fs/promises'
+import { glob } from 'glob'
+
+/**
+ * Finds temporary directories left behind by interrupted cache prebuilds (`_eager_cache_*`), course imports (`*_unzip`) and framework update previews (`*_fwupdate`)
+ * @param {Array<String>} dirs Directories to search
+ * @param {Object} options
+ * @param {Number} options.minAge Minimum age in milliseconds (since last modified) for a directory to be considered orphaned, so that directories still in use are left alone
+ * @param {Boolean} [options.includeEagerCache] Whether to include `_eager_cache_*` directories (default: true). Should be false while a prebuild is running.
+ * @return {Promise<Array<String>>} Absolute paths of the orphaned directories
+ */
+export async function findOrphanedTempDirs (dirs, { minAge, includeEagerCache = true }) {
+  const patterns = ['**/*_unzip/', '**/*_unzip_2/', '**/*_fwupdate/']
+  if (includeEagerCache) patterns.push('_eager_cache_*/')
+  const matches = (await Promise.all(dirs.filter(Boolean).map(cwd => {
+    return glob(patterns, { cwd, absolute: true, posix: true, maxDepth: 3 })
+  }))).flat()
+  const cutoff = Date.now() - minAge
+  const orphaned = await Promise.all([...new Set(matches)].map(async dir => {
+    const stats = await fs.stat(dir).catch(() => undefined)
+    return stats && stats.mtimeMs < cutoff ? dir : undefined
+  }))
+  return orphaned.filter(Boolean)
+}
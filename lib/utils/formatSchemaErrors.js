@@ -0,0 +1,16 @@
+/**
+ * Converts the errors reported by a compiled (Ajv) schema into a list of errors with JSON pointer paths. For errors reported against an object (e.g. a missing required property), the path points to the offending property.
+ * @param {Array<Object>} errors The Ajv errors
+ * @return {Array<Object>} List of errors, each with a path, keyword and message
+ */
+export function formatSchemaErrors (errors) {
+  const escape = key => String(key).replaceAll('~', '~0').replaceAll('/', '~1')
+  return (errors ?? []).map(({ instancePath = '', keyword, message, params = {} }) => {
+    const property = params.missingProperty ?? params.additionalProperty
+    return {
+      path: property !== undefined ? `${instancePath}/${escape(property)}` : instancePath,
+      keyword,
+      message
+    }
+  })
+}
@@ -0,0 +1,33 @@
+import { escapeXml } from './escapeXml.js'
+
+const langString = (text, lang) => `<langstring lang="${escapeXml(lang)}">${escapeXml(text ?? '')}</langstring>`
+
+/**
+ * Generates the cmi5.xml course structure for a cmi5 package
+ * @param {Object} options
+ * @param {String} options.id The course activity IRI
+ * @param {String} options.title The course title
+ * @param {String} [options.description] The course description
+ * @param {String} [options.lang] Language code used for the title and description (default: en)
+ * @param {Array<Object>} options.aus The assignable units, each with an id (IRI), title, url and optional description and masteryScore (0-1)
+ * @return {String} The course structure XML
+ */
+export function generateCmi5Manifest ({ id, title, description, lang = 'en', aus }) {
+  const auXml = aus.map(au => {
+    const masteryScore = typeof au.masteryScore === 'number' ? ` masteryScore="${au.masteryScore}"` : ''
+    return `  <au id="${escapeXml(au.id)}" moveOn="CompletedOrPassed"${masteryScore} launchMethod="AnyWindow">
+    <title>${langString(au.title, lang)}</title>
+    <description>${langString(au.description, lang)}</description>
+    <url>${escapeXml(au.url)}</url>
+  </au>
+`
+  }).join('')
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<courseStructure xmlns="https://w3id.org/xapi/profiles/cmi5/v1/CourseStructure.xsd">
+  <course id="${escapeXml(id)}">
+    <title>${langString(title, lang)}</title>
+    <description>${langString(description, lang)}</description>
+  </course>
+${auXml}</courseStructure>
+`
+}
@@ -0,0 +1,79 @@
+import { escapeXml } from './escapeXml.js'
+
+const SCHEMA_VERSIONS = {
+  scorm12: '1.2',
+  'scorm2004-3rd': '2004 3rd Edition',
+  'scorm2004-4th': '2004 4th Edition'
+}
+
+/**
+ * Generates the imsmanifest.xml for a SCORM publish target. The course is packaged as a single SCO launched from index.html.
+ * @param {Object} options
+ * @param {String} options.target The publish target (scorm12, scorm2004-3rd or scorm2004-4th)
+ * @param {String} options.identifier Unique identifier for the package
+ * @param {String} options.title The course title
+ * @param {Number} [options.masteryScore] Percentage score (0-100) needed to pass the course
+ * @return {String} The manifest XML
+ */
+export function generateScormManifest ({ target, identifier, title, masteryScore }) {
+  const schemaVersion = SCHEMA_VERSIONS[target]
+  if (!schemaVersion) throw new Error(`unknown SCORM target '${target}'`)
+  const id = escapeXml(identifier)
+  const t = escapeXml(title)
+  const hasMastery = typeof masteryScore === 'number'
+
+  if (target === 'scorm12') {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${id}" version="1.0" xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2" xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>${schemaVersion}</schemaversion>
+  </metadata>
+  <organizations default="${id}_org">
+    <organization identifier="${id}_org">
+      <title>${t}</title>
+      <item identifier="${id}_item" identifierref="${id}_sco" isvisible="true">
+        <title>${t}</title>${hasMastery ? `\n        <adlcp:masteryscore>${masteryScore}</adlcp:masteryscore>` : ''}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${id}_sco" type="webcontent" adlcp:scormtype="sco" href="index.html">
+      <file href="index.html"/>
+    </resource>
+  </resources>
+</manifest>
+`
+  }
+  const sequencing = hasMastery
+    ? `
+        <imsss:sequencing>
+          <imsss:objectives>
+            <imsss:primaryObjective objectiveID="${id}_primary" satisfiedByMeasure="true">
+              <imsss:minNormalizedMeasure>${masteryScore / 100}</imsss:minNormalizedMeasure>
+            </imsss:primaryObjective>
+          </imsss:objectives>
+        </imsss:sequencing>`
+    : ''
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${id}" version="1.0" xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3" xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3" xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3" xmlns:imsss="http://www.imsglobal.org/xsd/imsss" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>${schemaVersion}</schemaversion>
+  </metadata>
+  <organizations default="${id}_org">
+    <organization identifier="${id}_org">
+      <title>${t}</title>
+      <item identifier="${id}_item" identifierref="${id}_sco" isvisible="true">
+        <title>${t}</title>${sequencing}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="${id}_sco" type="webcontent" adlcp:scormType="sco" href="index.html">
+      <file href="index.html"/>
+    </resource>
+  </resources>
+</manifest>
+`
+}
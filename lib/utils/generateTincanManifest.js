@@ -0,0 +1,26 @@
+import { escapeXml } from './escapeXml.js'
+
+/**
+ * Generates the tincan.xml for a plain xAPI package. The first activity should be the launchable course activity.
+ * @param {Object} options
+ * @param {Array<Object>} options.activities The activities, each with an id (IRI), type (IRI), name and optional description and launch URL
+ * @param {String} [options.lang] Language code used for descriptive text (default: en)
+ * @return {String} The manifest XML
+ */
+export function generateTincanManifest ({ activities, lang = 'en' }) {
+  const l = escapeXml(lang)
+  const activityXml = activities.map(a => {
+    const children = [`<name lang="${l}">${escapeXml(a.name ?? '')}</name>`]
+    if (a.description) children.push(`<description lang="${l}">${escapeXml(a.description)}</description>`)
+    if (a.launch) children.push(`<launch lang="${l}">${escapeXml(a.launch)}</launch>`)
+    return `    <activity id="${escapeXml(a.id)}" type="${escapeXml(a.type)}">
+${children.map(c => `      ${c}\n`).join('')}    </activity>
+`
+  }).join('')
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<tincan xmlns="http://projecttincan.com/tincan.xsd">
+  <activities>
+${activityXml}  </activities>
+</tincan>
+`
+}
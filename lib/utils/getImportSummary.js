@@ -15,6 +15,16 @@ import { getImportContentCounts } from './getImportContentCounts.js'
  * @property {Number} assets.imported Assets created by this import (on a dry run, those that would be created)
  * @property {Number} assets.reused Assets matched to an existing record by content hash rather than created (on a dry run, those that would be reused)
  * @property {Object} versions A map of plugins used in the imported course and their versions
+ * @property {Object} languages The language directories found in the course, those imported and those skipped
+ * @property {Array<String>} languages.found All language directories
+ * @property {Array<String>} languages.imported Languages imported (the primary language first)
+ * @property {Array<String>} languages.skipped Languages which weren't imported
+ * @property {Object} languages.courseIds Maps each imported language to the _id of its course
+ * @property {Object} changes Counts of content items created, updated, unchanged and deleted by the import, each an object mapping content types to counts. Only updates of an existing course (see the updateCourseId option) update or delete items.
+ * @property {Object} validation Dry runs only: the results of validating the course content against its schemas
+ * @property {Number} validation.validated Number of valid items
+ * @property {Array<Object>} validation.errors Invalid items, each with its _id, _type, _component and errors (each with a JSON pointer path, keyword and message)
+ * @property {Array<Object>} validation.skipped Items which couldn't be validated, each with its _id, _type, _component and the reason
  *
  * @param {AdaptFrameworkImport} importer The import instance
  * @return {AdaptFrameworkImportSummary} Object mapping all import versions to server installed versions
@@ -37,6 +47,11 @@ export async function getImportSummary (importer) {
     assetData,
     newAssetIds,
     reusedAssetIds,
+    contentChanges,
+    validation,
+    languages,
+    languageCourseIds,
+    language,
     settings: { pluginUpdatePolicy, isDryRun }
   } = importer
   const versions = [
@@ -62,6 +77,9 @@ export async function getImportSummary (importer) {
       imported: isDryRun ? Math.max(0, assetData.length - reusedAssetIds.length) : newAssetIds.length,
       reused: reusedAssetIds.length
     },
-    versions
+    versions,
+    languages: { ...languages, courseIds: { [language]: courseId, ...languageCourseIds } },
+    changes: contentChanges,
+    ...(validation && { validation })
   }
 }
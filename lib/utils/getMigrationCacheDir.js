@@ -0,0 +1,27 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { createRequire } from 'node:module'
+import { App, ensureDir } from 'adapt-authoring-core'
+
+const require = createRequire(import.meta.url)
+
+/**
+ * Returns the directory adapt-migrations caches are created in, creating it if needed. Migration scripts are copied into a cache and import adapt-migrations with a bare specifier, so the directory holds a link to the shared node_modules, which Node finds by walking up from any cache below it.
+ * @returns {Promise<String>}
+ */
+export async function getMigrationCacheDir () {
+  const baseCacheDir = path.join(App.instance.getConfig('tempDir'), 'migration-cache')
+  await ensureDir(baseCacheDir)
+  // The link must sit ABOVE the cache dirs, otherwise adapt-migrations's own
+  // `npm install` step (which runs in the cache dir) wipes it.
+  const sharedLink = path.join(baseCacheDir, 'node_modules')
+  if (!fs.existsSync(sharedLink)) {
+    const sharedNodeModules = path.dirname(path.dirname(require.resolve('adapt-migrations')))
+    try {
+      fs.symlinkSync(sharedNodeModules, sharedLink, 'dir')
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err
+    }
+  }
+  return baseCacheDir
+}
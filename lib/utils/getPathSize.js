@@ -0,0 +1,20 @@
+import fs from 'node:fs/promises'
+import path from 'upath'
+
+/**
+ * Returns the size in bytes of a file, or the total size of the files in a directory. Symlinks aren't followed, and missing paths have a size of 0.
+ * @param {String} filePath Path to the file or directory
+ * @return {Promise<Number>}
+ */
+export async function getPathSize (filePath) {
+  let stats
+  try {
+    stats = await fs.lstat(filePath)
+  } catch (e) {
+    if (e.code === 'ENOENT') return 0
+    throw e
+  }
+  if (!stats.isDirectory()) return stats.size
+  const sizes = await Promise.all((await fs.readdir(filePath)).map(f => getPathSize(path.join(filePath, f))))
+  return sizes.reduce((total, size) => total + size, 0)
+}
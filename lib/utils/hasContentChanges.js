@@ -0,0 +1,14 @@
+import _ from 'lodash'
+
+/**
+ * Checks whether updating an existing content item with new data would change it. Values are compared as JSON, so ObjectIds and dates match their string equivalents. Undefined values in the new data are ignored.
+ * @param {Object} existing The existing content item
+ * @param {Object} data The update data
+ * @return {Boolean}
+ */
+export function hasContentChanges (existing, data) {
+  const toJson = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+  return Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .some(([key, value]) => !_.isEqual(toJson(value), toJson(existing[key])))
+}
@@ -1,25 +1,36 @@
 import { App } from 'adapt-authoring-core'
+import { randomUUID } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
 import { isDeepStrictEqual } from 'node:util'
+import MigrationHistory from '../MigrationHistory.js'
 import { collectMigrationScripts } from './collectMigrationScripts.js'
+import { createJsonPatch } from './createJsonPatch.js'
 import { runContentMigration } from './runContentMigration.js'
 import { log } from './log.js'
 
 /**
- * Migrates content for a set of courses by courseId
+ * Migrates content for a set of courses by courseId. Unless it's a dry run, the changes made to each course are recorded in its migration history (see {@link MigrationHistory}).
  * @param {Object} options
  * @param {Array<{name: String, version: String}>} options.fromPlugins Plugin versions before update
  * @param {Array<{name: String, version: String}>} options.toPlugins Plugin versions after update
  * @param {String} options.frameworkDir Absolute path to the framework directory
  * @param {String[]} [options.courseIds] Specific course IDs to migrate (if omitted, migrates all)
- * @returns {Promise<{migrated: Number, failed: Number, errors: Array}>}
+ * @param {Boolean} [options.dryRun] If true, the migrations are run in memory only, and the items they would change are returned as `changes` (one { courseId, title, items } per course with changes) rather than written to the database
+ * @param {Function} [options.onUpdate] Function called with the original of each item before the migrated item is written, e.g. to snapshot it. The original is passed as plain JSON.
+ * @param {String} [options.runId] Id for the run in the migration history. Generated if omitted.
+ * @param {Number} [options.concurrency] Maximum number of courses migrated at the same time
+ * @param {String} [options.cacheDir] Directory to create each course's adapt-migrations cache in (as `<cacheDir>/<courseId>`, removed once the course is done). If omitted, each course gets a temporary cache (see {@link runContentMigration}).
+ * @param {Function} [options.onCourseComplete] Function called with { courseId, error } once each course is done, whether or not its migration succeeded, e.g. to checkpoint progress. error is the failure message, if any.
+ * @returns {Promise<{migrated: Number, failed: Number, errors: Array, changes: Array|undefined, runId: String}>}
  */
-export async function migrateExistingCourses ({ fromPlugins, toPlugins, frameworkDir, courseIds }) {
+export async function migrateExistingCourses ({ fromPlugins, toPlugins, frameworkDir, courseIds, dryRun = false, onUpdate, runId = randomUUID(), concurrency = 1, cacheDir, onCourseComplete }) {
   const content = await App.instance.waitForModule('content')
   const scripts = await collectMigrationScripts(frameworkDir)
 
   if (!scripts.length) {
     log('debug', 'no migration scripts found, skipping')
-    return { migrated: 0, failed: 0, errors: [] }
+    return { migrated: 0, failed: 0, errors: [], changes: dryRun ? [] : undefined, runId }
   }
 
   const foundCourses = courseIds
@@ -29,18 +40,14 @@ export async function migrateExistingCourses ({ fromPlugins, toPlugins, framewor
   let migrated = 0
   let failed = 0
   const errors = []
+  const changes = dryRun ? [] : undefined
 
-  for (let ci = 0; ci < foundCourses.length; ci++) {
-    const course = foundCourses[ci]
-    if (!course) {
-      const courseId = courseIds?.[ci] ?? 'unknown'
-      log('warn', `course ${courseId} not found, skipping`)
-      errors.push({ courseId, error: 'course not found' })
-      failed++
-      continue
-    }
+  const migrateCourse = async (course, ci) => {
+    const courseId = course?._id?.toString() ?? courseIds?.[ci] ?? 'unknown'
+    const cachePath = cacheDir ? path.join(cacheDir, courseId) : undefined
+    let error
     try {
-      const courseId = course._id.toString()
+      if (!course) throw new Error('course not found')
       log('debug', `migrating course ${courseId}`)
 
       const courseContent = await fetchCourseContent(content, course)
@@ -50,31 +57,72 @@ export async function migrateExistingCourses ({ fromPlugins, toPlugins, framewor
         content: courseContent,
         fromPlugins: JSON.parse(JSON.stringify(fromPlugins)),
         toPlugins,
-        scripts
+        scripts,
+        cachePath
       })
 
-      let updatedCount = 0
+      const changedItems = []
       for (let i = 0; i < migratedContent.length; i++) {
         const normalized = JSON.parse(JSON.stringify(migratedContent[i]))
-        if (!isDeepStrictEqual(originals[i], normalized)) {
-          await content.update({ _id: migratedContent[i]._id }, normalized)
-          updatedCount++
+        if (isDeepStrictEqual(originals[i], normalized)) continue
+        const { _id, _type, _component } = originals[i]
+        if (dryRun) {
+          changedItems.push({ _id: _id.toString(), _type, _component })
+          continue
         }
+        await onUpdate?.(originals[i])
+        await content.update({ _id: migratedContent[i]._id }, normalized)
+        changedItems.push({
+          _id: _id.toString(),
+          _type,
+          _component,
+          patch: createJsonPatch(originals[i], normalized),
+          revertPatch: createJsonPatch(normalized, originals[i])
+        })
       }
-      if (updatedCount > 0) {
-        log('info', `migrated ${updatedCount} items in course ${courseId}`)
+      if (dryRun && changedItems.length) {
+        changes.push({ courseId, title: course.title, items: changedItems })
+      } else if (changedItems.length) {
+        log('info', `migrated ${changedItems.length} items in course ${courseId}`)
+        await recordHistory({ courseId, runId, fromPlugins, toPlugins, scripts: scripts.map(s => path.relative(frameworkDir, s)), changes: changedItems })
       }
       migrated++
     } catch (e) {
-      const courseId = course?._id?.toString() ?? 'unknown'
-      log('error', `migration failed for course ${courseId}`, e.message)
-      errors.push({ courseId, error: e.message })
+      error = e.message
+      log(course ? 'error' : 'warn', `migration failed for course ${courseId}`, error)
+      errors.push({ courseId, error })
       failed++
+    } finally {
+      if (cachePath) await fs.rm(cachePath, { recursive: true, force: true })
+    }
+    try {
+      await onCourseComplete?.({ courseId, error })
+    } catch (e) {
+      log('warn', `onCourseComplete failed for course ${courseId}`, e.message)
     }
   }
+  // each worker takes the next course from the list until none are left
+  const queue = foundCourses.map((course, ci) => [course, ci])
+  const workers = Array.from({ length: Math.min(Math.max(1, concurrency), queue.length) }, async () => {
+    while (queue.length) await migrateCourse(...queue.shift())
+  })
+  await Promise.all(workers)
 
-  log('info', `migration complete: ${migrated} succeeded, ${failed} failed`)
-  return { migrated, failed, errors }
+  log('info', `migration ${dryRun ? 'dry run ' : ''}complete: ${migrated} succeeded, ${failed} failed`)
+  return { migrated, failed, errors, changes, runId }
+}
+
+/**
+ * Records a course migration in its history. The content has already been changed at this point, so failures are logged rather than thrown.
+ * @param {Object} data The migration record (see MigrationHistory.record)
+ * @return {Promise}
+ */
+async function recordHistory (data) {
+  try {
+    await MigrationHistory.record(data)
+  } catch (e) {
+    log('warn', `failed to record migration history for course ${data.courseId}`, e.message)
+  }
 }
 
 async function fetchCourseContent (content, course) {
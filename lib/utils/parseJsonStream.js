@@ -0,0 +1,56 @@
+/**
+ * Parses a JSON document from a stream. A top-level array is parsed one element at a time, so the document is never held in memory as a single string (e.g. for very large components.json files). Any other document is parsed once the stream has ended. Invalid JSON is rejected with a SyntaxError.
+ * @param {stream.Readable} stream The stream to read
+ * @return {Promise<*>} Resolves with the parsed value
+ */
+export async function parseJsonStream (stream) {
+  stream.setEncoding('utf8')
+  const items = []
+  let isArray // undefined until the first token has been read
+  let isClosed = false
+  let text = '' // the current array element, or the whole document if not an array
+  let depth = 0
+  let inString = false
+  let isEscaped = false
+
+  const addItem = (part, isLast) => {
+    const json = (text + part).trim()
+    text = ''
+    if (json) return items.push(JSON.parse(json))
+    if (!isLast || items.length) throw new SyntaxError('Unexpected token in JSON array')
+  }
+  for await (const chunk of stream) {
+    let start = 0
+    for (let i = 0; i < chunk.length; i++) {
+      if (isArray === undefined) {
+        if (/[\s\uFEFF]/.test(chunk[i])) continue
+        isArray = chunk[i] === '['
+        start = isArray ? i + 1 : i
+        depth = isArray ? 1 : 0
+        continue
+      }
+      if (!isArray || isClosed) break
+      const c = chunk[i]
+      if (inString) {
+        if (isEscaped) isEscaped = false
+        else if (c === '\\') isEscaped = true
+        else if (c === '"') inString = false
+        continue
+      }
+      if (c === '"') inString = true
+      else if (c === '[' || c === '{') depth++
+      else if (c === ']' || c === '}') depth--
+      if (depth === 0 || (c === ',' && depth === 1)) {
+        addItem(chunk.slice(start, i), depth === 0)
+        isClosed = depth === 0
+        start = i + 1
+      }
+    }
+    if (isArray !== undefined) text += chunk.slice(start)
+  }
+  if (isArray === undefined) throw new SyntaxError('Unexpected end of JSON input')
+  if (!isArray) return JSON.parse(text)
+  if (!isClosed) throw new SyntaxError('Unexpected end of JSON input')
+  if (text.trim()) throw new SyntaxError('Unexpected non-whitespace character after JSON')
+  return items
+}
@@ -4,7 +4,6 @@ import fs from 'node:fs/promises'
 import path from 'upath'
 import { copyFrameworkSource } from './copyFrameworkSource.js'
 import BuildCache from '../BuildCache.js'
-import { computePluginHash } from './computePluginHash.js'
 import { computeVarsHash } from './computeVarsHash.js'
 import { log } from './log.js'
 
@@ -16,17 +15,18 @@ const DEFAULT_VARS_HASH = computeVarsHash()
  * build with the chosen theme/menu and caches the output.
  *
  * Idempotent — combos that already have a cache entry are skipped, so
- * re-runs only build what's missing. Per-iteration failures are logged
+ * re-runs only build what's missing (e.g. the combos whose entries were
+ * invalidated by a plugin change). Per-iteration failures are logged
  * but don't abort the whole prebuild.
  * @param {Object} options
  * @param {String} options.buildDir Root build directory
- * @param {String} options.frameworkDir Path to the adapt_framework source
+ * @param {String} options.pluginHash The plugin hash keying preview builds (see AdaptFrameworkModule#getPluginHash)
+ * @param {Number} [options.maxSize] Maximum size of the cache in bytes
  * @return {Promise}
  */
-export async function prebuildCache ({ buildDir, frameworkDir }) {
+export async function prebuildCache ({ buildDir, pluginHash, maxSize }) {
   const app = App.instance
-  const cache = new BuildCache(path.join(buildDir, 'prebuilt-cache'))
-  const pluginHash = await computePluginHash(frameworkDir)
+  const cache = new BuildCache(path.join(buildDir, 'prebuilt-cache'), { maxSize })
 
   const contentplugin = await app.waitForModule('contentplugin')
   const allPlugins = await contentplugin.find({})
@@ -105,7 +105,7 @@ async function prebuildOne ({ buildDir, cache, pluginHash, theme, menu, allPlugi
     })
 
     if (!await cache.has(pluginHash, theme.name, menu.name, DEFAULT_VARS_HASH)) {
-      await cache.populate(outputDir, pluginHash, theme.name, menu.name, DEFAULT_VARS_HASH)
+      await cache.populate(outputDir, pluginHash, theme.name, menu.name, DEFAULT_VARS_HASH, { plugins: includedPlugins })
     }
   } finally {
     await fs.rm(tmpDir, { recursive: true, force: true })
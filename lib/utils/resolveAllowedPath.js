@@ -0,0 +1,20 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+
+/**
+ * Resolves a path, but only if it lies inside one of a list of allowed directories. Symlinks are resolved before the check, so they can't be used to escape an allowed directory.
+ * @param {String} targetPath The path to resolve
+ * @param {Array<String>} allowedDirs The allowed directories
+ * @return {Promise<String|undefined>} The resolved path, or undefined if the path doesn't exist or isn't allowed
+ */
+export async function resolveAllowedPath (targetPath, allowedDirs = []) {
+  if (typeof targetPath !== 'string' || !targetPath) return
+  const realPath = await fs.realpath(targetPath).catch(() => undefined)
+  if (!realPath) return
+  for (const dir of allowedDirs) {
+    const realDir = await fs.realpath(dir).catch(() => undefined)
+    if (!realDir) continue
+    const relative = path.relative(realDir, realPath)
+    if (!relative.startsWith('..') && !path.isAbsolute(relative)) return realPath
+  }
+}
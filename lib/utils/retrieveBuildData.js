@@ -5,10 +5,12 @@ import { App } from 'adapt-authoring-core'
 /**
  * Retrieves metadata for a build attempt
  * @param {String} id ID of build document
+ * @param {Object} [options]
+ * @param {Boolean} [options.refresh] Whether to bypass any cached data (e.g. after the build has been updated)
  * @return {Promise}
  */
-export async function retrieveBuildData (id) {
-  if (buildCache[id]) {
+export async function retrieveBuildData (id, { refresh = false } = {}) {
+  if (buildCache[id] && !refresh) {
     return buildCache[id]
   }
   const mdb = await App.instance.waitForModule('mongodb')
@@ -16,3 +18,11 @@ export async function retrieveBuildData (id) {
   buildCache[id] = data
   return data
 }
+
+/**
+ * Removes builds from the cache used by retrieveBuildData, e.g. once they've been deleted
+ * @param {Array<String>} ids IDs of the build documents
+ */
+export function clearBuildData (ids) {
+  ids.forEach(id => delete buildCache[id])
+}
@@ -14,5 +14,6 @@ export async function slugifyTitle (buildData) {
     .replace(/[^a-z0-9 -]/g, '') // remove non-alphanumeric
     .replace(/\s+/g, '-') // replace spaces with hyphens
     .replace(/-+/g, '-') // remove duplicate hyphens
-  return `${sanitisedTitle}${buildData.action === 'export' ? '-export' : ''}`
+  const suffix = buildData.action === 'export' ? '-export' : buildData.target ? `-${buildData.target}` : ''
+  return `${sanitisedTitle}${suffix}`
 }
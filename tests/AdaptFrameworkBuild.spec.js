@@ -1,11 +1,29 @@
-import { describe, it, after } from 'node:test'
+import { describe, it, after, beforeEach, mock } from 'node:test'
 import assert from 'node:assert/strict'
 import _ from 'lodash'
 import fs from 'fs/promises'
 import path from 'path'
 import { fileURLToPath } from 'url'
-import { ensureDir } from 'adapt-authoring-core'
-import AdaptFrameworkBuild from '../lib/AdaptFrameworkBuild.js'
+import * as core from 'adapt-authoring-core'
+
+/** Modules returned by App.instance.waitForModule */
+const modules = {}
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    ...core,
+    App: {
+      instance: {
+        waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]]
+      }
+    }
+  }
+})
+
+const { ensureDir } = core
+const { default: AdaptFrameworkBuild } = await import('../lib/AdaptFrameworkBuild.js')
+const { retrieveBuildData } = await import('../lib/utils.js')
+const { default: BuildCache } = await import('../lib/BuildCache.js')
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 
@@ -140,6 +158,263 @@ describe('AdaptFrameworkBuild', () => {
       const build = createBuild()
       assert.equal(build.collectionName, 'adaptbuilds')
     })
+
+    it('should store the cancellation signal', () => {
+      const { signal } = new AbortController()
+      const build = createBuild({ signal })
+      assert.equal(build.signal, signal)
+    })
+
+    it('should only retain publish and export builds without an outputDir', () => {
+      assert.equal(createBuild({ action: 'publish' }).isRetained, true)
+      assert.equal(createBuild({ action: 'export' }).isRetained, true)
+      assert.equal(createBuild().isRetained, false)
+      assert.equal(createBuild({ action: 'export', outputDir: '/tmp/out' }).isRetained, false)
+    })
+  })
+
+  describe('#removeOldBuilds()', () => {
+    const testDir = path.join(__dirname, 'data', 'remove-old-builds-test')
+    let docs
+
+    /** Whether a build matches a query, supporting the operators used by removeOldBuilds */
+    const matches = (doc, query) => Object.entries(query).every(([k, v]) => {
+      if (v?.$ne !== undefined) return doc[k] !== v.$ne
+      if (v?.$in) return v.$in.includes(doc[k])
+      if (v === null) return doc[k] == null
+      return doc[k] === v
+    })
+    /** Adds a build record with an output directory on disk */
+    const addBuild = async (_id, data) => {
+      const location = path.join(testDir, _id)
+      await ensureDir(location)
+      docs.push({ _id, courseId: 'c1', createdBy: 'u1', location, ...data })
+    }
+    const exists = _id => fs.access(path.join(testDir, _id)).then(() => true, () => false)
+
+    beforeEach(async () => {
+      docs = []
+      modules.adaptframework = { getConfig: key => ({ buildRetention: 2 })[key] }
+      modules.mongodb = {
+        find: async (collectionName, query, { sort } = {}) => {
+          const found = docs.filter(d => matches(d, query))
+          return sort?._id === -1 ? found.reverse() : found
+        },
+        deleteMany: async (collectionName, query) => {
+          docs = docs.filter(d => !matches(d, query))
+        }
+      }
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    after(async () => {
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    it('should remove the user\'s previous previews other than pinned ones', async () => {
+      await addBuild('b1', { action: 'preview' })
+      await addBuild('b2', { action: 'preview', pinned: true })
+      await addBuild('b3', { action: 'preview', createdBy: 'u2' })
+      await createBuild().removeOldBuilds()
+      assert.deepEqual(docs.map(d => d._id), ['b2', 'b3'])
+      assert.equal(await exists('b1'), false)
+      assert.equal(await exists('b2'), true)
+    })
+
+    it('should keep the most recent builds of the course, not counting pinned ones', async () => {
+      await addBuild('b1', { action: 'publish' })
+      await addBuild('b2', { action: 'publish', pinned: true })
+      await addBuild('b3', { action: 'publish' })
+      await addBuild('b4', { action: 'export' })
+      await addBuild('b5', { action: 'publish' })
+      await addBuild('b6', { action: 'publish', courseId: 'c2' })
+      await createBuild({ action: 'publish' }).removeOldBuilds()
+      assert.deepEqual(docs.map(d => d._id), ['b2', 'b3', 'b4', 'b5', 'b6'])
+      assert.equal(await exists('b1'), false)
+    })
+
+    it('should not count or remove builds which expire', async () => {
+      await addBuild('b1', { action: 'publish' })
+      await addBuild('b2', { action: 'publish', expiresAt: '2030-01-01T00:00:00.000Z' })
+      await addBuild('b3', { action: 'publish' })
+      await addBuild('b4', { action: 'publish' })
+      await createBuild({ action: 'publish' }).removeOldBuilds()
+      assert.deepEqual(docs.map(d => d._id), ['b2', 'b3', 'b4'])
+      assert.equal(await exists('b2'), true)
+    })
+
+    it('should stop serving removed builds from the build data cache', async () => {
+      await addBuild('b1', { action: 'publish' })
+      await addBuild('b2', { action: 'publish' })
+      await addBuild('b3', { action: 'publish' })
+      assert.equal((await retrieveBuildData('b1'))._id, 'b1')
+      await createBuild({ action: 'publish' }).removeOldBuilds()
+      assert.equal(await retrieveBuildData('b1'), undefined)
+    })
+  })
+
+  describe('#getCacheKey()', () => {
+    const testDir = path.join(__dirname, 'data', 'publish-cache-test')
+
+    function createCacheBuild (action, courseId, title) {
+      const build = createBuild({ action, courseId })
+      build.enabledPlugins = [{ name: 'adapt-contrib-spoor', version: '5.0.0' }]
+      build.courseData = createEmptyCourseData()
+      build.courseData.course.data = { _id: courseId, title }
+      build.courseData.config.data = { _theme: 'adapt-contrib-vanilla', _menu: 'adapt-contrib-boxMenu' }
+      return build
+    }
+
+    /** Publishes a course through the cache, resolving with its imsmanifest.xml. Simulates grunt (which writes the course title into the manifest) on a cache miss. */
+    async function publish (cache, build) {
+      const outputDir = path.join(testDir, 'builds', `${build.courseId}_${Date.now()}`)
+      const cacheKey = await build.getCacheKey()
+      if (await cache.lookup(...cacheKey)) {
+        await cache.restore(...cacheKey, outputDir)
+      } else {
+        await ensureDir(outputDir)
+        await fs.writeFile(path.join(outputDir, 'imsmanifest.xml'), `<title>${build.courseData.course.data.title}</title>`)
+        await cache.populate(outputDir, ...cacheKey)
+      }
+      return fs.readFile(path.join(outputDir, 'imsmanifest.xml'), 'utf8')
+    }
+
+    beforeEach(async () => {
+      modules.adaptframework = { version: '5.0.0', getPluginHash: () => 'fw500' }
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    after(async () => {
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    it('should not reuse another course\'s cached publish', async () => {
+      const cache = new BuildCache(path.join(testDir, 'cache'))
+      assert.equal(await publish(cache, createCacheBuild('publish', 'c1', 'Course A')), '<title>Course A</title>')
+      assert.equal(await publish(cache, createCacheBuild('publish', 'c2', 'Course B')), '<title>Course B</title>')
+    })
+
+    it('should reuse a cached publish of the same course until its course data changes', async () => {
+      const cache = new BuildCache(path.join(testDir, 'cache'))
+      const key = await createCacheBuild('publish', 'c1', 'Course A').getCacheKey()
+      assert.deepEqual(await createCacheBuild('publish', 'c1', 'Course A').getCacheKey(), key)
+      assert.notDeepEqual(await createCacheBuild('publish', 'c1', 'Course A (revised)').getCacheKey(), key)
+      await publish(cache, createCacheBuild('publish', 'c1', 'Course A'))
+      assert.equal(await publish(cache, createCacheBuild('publish', 'c1', 'Course A (revised)')), '<title>Course A (revised)</title>')
+    })
+
+    it('should share cached previews between courses', async () => {
+      assert.deepEqual(await createCacheBuild('preview', 'c1', 'Course A').getCacheKey(), await createCacheBuild('preview', 'c2', 'Course B').getCacheKey())
+    })
+  })
+
+  describe('publish targets', () => {
+    const testDir = path.join(__dirname, 'data', 'scorm-manifest-test')
+    const spoor = { name: 'adapt-contrib-spoor' }
+
+    function createTargetBuild (target, enabledPlugins = [spoor]) {
+      const build = createBuild({ action: 'publish', target })
+      build.enabledPlugins = enabledPlugins
+      build.buildDir = testDir
+      build.courseData = createEmptyCourseData()
+      build.courseData.course.data = { title: 'Course' }
+      build.courseData.config.data = { _spoor: { _advancedSettings: { _masteryScore: 80 } } }
+      return build
+    }
+
+    after(async () => {
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    it('should only treat SCORM targets on publish builds as SCORM', () => {
+      assert.equal(createBuild({ action: 'publish', target: 'scorm12' }).isScorm, true)
+      assert.equal(createBuild({ action: 'publish', target: 'web' }).isScorm, false)
+      assert.equal(createBuild({ action: 'preview', target: 'scorm12' }).isScorm, false)
+      assert.equal(createBuild({ action: 'publish' }).target, null)
+    })
+
+    it('should set the spoor SCORM version for the target', async () => {
+      const build12 = createTargetBuild('scorm12')
+      await build12.applyPublishTarget()
+      assert.equal(build12.courseData.config.data._spoor._advancedSettings._scormVersion, '1.2')
+      const build2004 = createTargetBuild('scorm2004-4th')
+      await build2004.applyPublishTarget()
+      assert.equal(build2004.courseData.config.data._spoor._advancedSettings._scormVersion, '2004')
+      assert.equal(build2004.courseData.config.data._spoor._isEnabled, true)
+    })
+
+    it('should disable spoor for the web target', async () => {
+      const build = createTargetBuild('web')
+      await build.applyPublishTarget()
+      assert.equal(build.courseData.config.data._spoor._isEnabled, false)
+    })
+
+    it('should disable xAPI tracking for SCORM targets', async () => {
+      const build = createTargetBuild('scorm12', [spoor, { name: 'adapt-contrib-xapi' }])
+      await build.applyPublishTarget()
+      assert.equal(build.courseData.config.data._xapi._isEnabled, false)
+      assert.equal(build.courseData.config.data._spoor._isEnabled, true)
+    })
+
+    it('should not add tracking config for the web target when no tracking plugins are enabled', async () => {
+      const build = createTargetBuild('web', [])
+      build.courseData.config.data = {}
+      await build.applyPublishTarget()
+      assert.equal(build.courseData.config.data._spoor, undefined)
+    })
+
+    it('should write a manifest which passes validation', async () => {
+      const build = createTargetBuild('scorm2004-3rd')
+      await ensureDir(testDir)
+      await build.writePackageManifest()
+      const xml = await fs.readFile(path.join(testDir, 'imsmanifest.xml'), 'utf8')
+      assert.match(xml, /2004 3rd Edition/)
+      assert.match(xml, /<imsss:minNormalizedMeasure>0\.8<\/imsss:minNormalizedMeasure>/)
+      await assert.doesNotReject(build.validatePackageManifest(testDir))
+    })
+
+    it('should remove any framework manifest for the web target', async () => {
+      const build = createTargetBuild('web')
+      await ensureDir(testDir)
+      await fs.writeFile(path.join(testDir, 'imsmanifest.xml'), '<manifest/>')
+      await build.writePackageManifest()
+      await assert.rejects(fs.access(path.join(testDir, 'imsmanifest.xml')))
+    })
+  })
+
+  describe('#checkCancelled()', () => {
+    it('should not throw when no signal is set', () => {
+      assert.doesNotThrow(() => createBuild().checkCancelled())
+    })
+
+    it('should not throw when the signal has not been aborted', () => {
+      const { signal } = new AbortController()
+      assert.doesNotThrow(() => createBuild({ signal }).checkCancelled())
+    })
+  })
+
+  describe('#onCancelled()', () => {
+    const testDir = path.join(__dirname, 'data', 'cancelled-build-test')
+
+    after(async () => {
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    it('should wait for an abandoned compile to finish before removing the build dir', async () => {
+      await ensureDir(testDir)
+      let finishCompile
+      const build = createBuild()
+      build.dir = testDir
+      build.compiling = new Promise((resolve, reject) => { finishCompile = reject })
+      let done = false
+      const cancelled = build.onCancelled().then(() => { done = true })
+      await new Promise(resolve => setImmediate(resolve))
+      assert.equal(done, false)
+      await fs.access(testDir)
+      finishCompile(new Error('compile failed'))
+      await cancelled
+      await assert.rejects(fs.access(testDir))
+    })
   })
 
   describe('ensureDir() (from core)', () => {
@@ -351,6 +626,54 @@ describe('AdaptFrameworkBuild', () => {
     })
   })
 
+  describe('language variants', () => {
+    const testDir = path.join(__dirname, 'data', 'language-variants-test')
+
+    function createLanguageBuild () {
+      const build = createBuild()
+      build.courseDir = testDir
+      build.courseData = {
+        course: { dir: path.join(testDir, 'en'), fileName: 'course.json', data: { _id: 'course' } },
+        config: { dir: testDir, fileName: 'config.json', data: {} },
+        component: { dir: path.join(testDir, 'en'), fileName: 'components.json', data: [] }
+      }
+      build.languageVariants = [{
+        language: 'fr',
+        courseData: {
+          course: { dir: path.join(testDir, 'fr'), fileName: 'course.json', data: { _id: 'course' } },
+          component: { dir: path.join(testDir, 'fr'), fileName: 'components.json', data: [] }
+        }
+      }]
+      return build
+    }
+
+    after(async () => {
+      await fs.rm(testDir, { recursive: true, force: true })
+    })
+
+    it('should return the primary course data first', () => {
+      const build = createLanguageBuild()
+      const data = build.getLanguageData()
+      assert.equal(data.length, 2)
+      assert.equal(data[0], build.courseData)
+      assert.equal(data[1], build.languageVariants[0].courseData)
+    })
+
+    it('should only return the primary course data without variants', () => {
+      const build = createLanguageBuild()
+      build.languageVariants = []
+      assert.deepEqual(build.getLanguageData(), [build.courseData])
+    })
+
+    it('should write a language manifest to each language dir', async () => {
+      await createLanguageBuild().writeLanguageManifest()
+      for (const lang of ['en', 'fr']) {
+        const manifest = JSON.parse(await fs.readFile(path.join(testDir, lang, 'language_data_manifest.js'), 'utf8'))
+        assert.deepEqual(manifest, ['course.json', 'components.json'])
+      }
+    })
+  })
+
   describe('#writeContentJson() asset mapping', () => {
     it('should map asset data to export format for export builds', () => {
       const build = createBuild({ action: 'export' })
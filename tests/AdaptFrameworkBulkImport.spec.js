@@ -0,0 +1,329 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        errors: {
+          INVALID_PARAMS: { setData: data => Object.assign(new Error('INVALID_PARAMS'), { code: 'INVALID_PARAMS', data }) }
+        }
+      }
+    }
+  }
+})
+
+mock.module('../lib/utils/log.js', {
+  namedExports: {
+    log: () => {}
+  }
+})
+
+/** Journals created by bulk imports */
+const journals = []
+
+mock.module('../lib/ImportJournal.js', {
+  defaultExport: {
+    create: async data => {
+      const journal = {
+        data,
+        created: { plugins: [], updatedPlugins: [] },
+        removed: false,
+        record: async (type, ids) => { journal.created[type].push(...ids) },
+        discard: async (type, ids) => { journal.created[type] = journal.created[type].filter(id => !ids.includes(id)) },
+        remove: async () => { journal.removed = true }
+      }
+      journals.push(journal)
+      return journal
+    }
+  }
+})
+
+const { default: AdaptFrameworkBulkImport } = await import('../lib/AdaptFrameworkBulkImport.js')
+
+/** Creates a fake importer with the properties read by the bulk import */
+function createImporter ({ used = [], installed = [], updated = [], isDryRun = false, contentplugin } = {}) {
+  return {
+    settings: { isDryRun },
+    summary: { courseId: 'c1' },
+    usedContentPlugins: Object.fromEntries(used.map(name => [name, { name }])),
+    newContentPlugins: Object.fromEntries(installed.map(name => [name, { _id: `id_${name}`, name }])),
+    updatedContentPlugins: Object.fromEntries(updated.map(name => [name, { name, version: '1.0.0' }])),
+    contentplugin,
+    restoreUpdatedPlugins: mock.fn(async () => {})
+  }
+}
+
+/** Returns a runImport function whose imports only resolve when release() is called */
+function createControlledRunner () {
+  const releases = []
+  const runImport = mock.fn(() => new Promise(resolve => releases.push(() => resolve(createImporter()))))
+  return { runImport, releaseNext: () => releases.shift()() }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+/** Waits until a condition is met, for up to 2 seconds */
+const until = async condition => {
+  for (let i = 0; i < 200 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10))
+}
+
+describe('AdaptFrameworkBulkImport', () => {
+  describe('constructor', () => {
+    it('should throw without any import paths', () => {
+      assert.throws(() => new AdaptFrameworkBulkImport({ importPaths: [] }), { code: 'INVALID_PARAMS' })
+    })
+
+    it('should not allow concurrency below 1', () => {
+      assert.equal(new AdaptFrameworkBulkImport({ importPaths: ['a.zip'], concurrency: 0 }).concurrency, 1)
+    })
+  })
+
+  describe('#import()', () => {
+    it('should import every course and report each outcome', async () => {
+      const runImport = mock.fn(async ({ importPath }) => {
+        if (importPath === 'b.zip') throw Object.assign(new Error('boom'), { code: 'FW_IMPORT_INVALID', statusCode: 400 })
+        return createImporter()
+      })
+      const bulkImport = await new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip', 'c.zip'], userId: 'u1', runImport }).import()
+      assert.equal(runImport.mock.calls.length, 3)
+      assert.equal(bulkImport.report.total, 3)
+      assert.equal(bulkImport.report.imported, 2)
+      assert.equal(bulkImport.report.failed, 1)
+      assert.deepEqual(bulkImport.report.courses[1], {
+        source: 'b.zip',
+        status: 'failed',
+        rolledBack: true,
+        error: { code: 'FW_IMPORT_INVALID', statusCode: 400, message: 'boom' }
+      })
+      assert.deepEqual(bulkImport.report.courses[0].summary, { courseId: 'c1' })
+    })
+
+    it('should pass the shared options and its own token to each import', async () => {
+      const runImport = mock.fn(async () => createImporter())
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip'], userId: 'u1', importToken: 't1', importOptions: { isDryRun: true }, runImport })
+      await bulkImport.import()
+      const options = runImport.mock.calls[1].arguments[0]
+      assert.equal(options.importPath, 'b.zip')
+      assert.equal(options.userId, 'u1')
+      assert.equal(options.importToken, 't1-1')
+      assert.equal(options.isDryRun, true)
+      assert.equal(options.bulkImport, bulkImport)
+    })
+
+    it('should never run more imports than the concurrency limit', async () => {
+      const { runImport, releaseNext } = createControlledRunner()
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip', 'c.zip'], concurrency: 2, runImport })
+      const done = bulkImport.import()
+      await until(() => runImport.mock.calls.length === 2)
+      await tick()
+      assert.equal(runImport.mock.calls.length, 2)
+      releaseNext()
+      await until(() => runImport.mock.calls.length === 3)
+      assert.equal(runImport.mock.calls.length, 3)
+      releaseNext()
+      releaseNext()
+      await done
+      assert.equal(bulkImport.report.imported, 3)
+    })
+
+    it('should skip imports not yet started once cancelled', async () => {
+      const controller = new AbortController()
+      const runImport = mock.fn(async () => {
+        controller.abort()
+        throw Object.assign(new Error('cancelled'), { code: 'FW_IMPORT_CANCELLED' })
+      })
+      const bulkImport = await new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip'], signal: controller.signal, runImport }).import()
+      assert.equal(runImport.mock.calls.length, 1)
+      assert.deepEqual(bulkImport.report.courses.map(c => c.status), ['cancelled', 'cancelled'])
+      assert.equal(bulkImport.report.cancelled, 2)
+    })
+
+    it('should report progress after each import', async () => {
+      const reportProgress = mock.fn()
+      await new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip'], runImport: async () => createImporter(), reportProgress }).import()
+      assert.equal(reportProgress.mock.calls.length, 2)
+      assert.deepEqual(reportProgress.mock.calls[1].arguments[0], {
+        id: 'bulk', labelKey: 'app.importstepbulk', total: 2, finished: 2, imported: 2, failed: 0, cancelled: 0
+      })
+    })
+  })
+
+  describe('journal', () => {
+    beforeEach(() => {
+      journals.length = 0
+    })
+
+    /** Runs an import which installs and updates plugins in its plugin stage, in the way AdaptFrameworkImport#importCoursePlugins does */
+    const createRunner = (plugins, contentplugin) => async ({ bulkImport, importPath }) => {
+      const { installed, updated, fails } = plugins[importPath]
+      const importer = createImporter({ used: [...installed, ...updated], installed, updated, contentplugin })
+      await bulkImport.runPluginStage(importer, async () => {
+        await bulkImport.journal.record('updatedPlugins', updated)
+        await bulkImport.journal.record('plugins', installed.map(name => `id_${name}`))
+      })
+      if (fails) throw new Error('boom')
+      return importer
+    }
+
+    it('should journal the batch, and remove the journal once it has finished', async () => {
+      await new AdaptFrameworkBulkImport({ importPaths: ['a.zip'], userId: 'u1', importToken: 't1', runImport: async () => createImporter() }).import()
+      assert.equal(journals.length, 1)
+      assert.deepEqual(journals[0].data, { userId: 'u1', importToken: 't1' })
+      assert.equal(journals[0].removed, true)
+    })
+
+    it('should not journal dry runs', async () => {
+      await new AdaptFrameworkBulkImport({ importPaths: ['a.zip'], importOptions: { isDryRun: true }, runImport: async () => createImporter() }).import()
+      assert.equal(journals.length, 0)
+    })
+
+    it('should only keep plugins not used by a successful import', async () => {
+      const contentplugin = { delete: mock.fn(async () => {}) }
+      const runImport = createRunner({
+        'a.zip': { installed: ['adapt-contrib-text'], updated: ['adapt-contrib-gmcq'] },
+        'b.zip': { installed: ['adapt-contrib-media'], updated: ['adapt-contrib-hotgraphic'], fails: true }
+      }, contentplugin)
+      await new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip'], runImport }).import()
+      assert.deepEqual(journals[0].created, { plugins: ['id_adapt-contrib-media'], updatedPlugins: ['adapt-contrib-hotgraphic'] })
+    })
+
+    it('should discard plugins updated by a later import if an earlier import uses them', async () => {
+      const runImport = createRunner({
+        'a.zip': { installed: ['adapt-contrib-text'], updated: [] },
+        'b.zip': { installed: [], updated: ['adapt-contrib-text'] }
+      })
+      await new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip'], runImport }).import()
+      assert.deepEqual(journals[0].created, { plugins: [], updatedPlugins: [] })
+    })
+  })
+
+  describe('#resolveImportPaths()', () => {
+    let tmpDir
+
+    before(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fw-test-'))
+      await fs.mkdir(path.join(tmpDir, 'batch'))
+      await fs.writeFile(path.join(tmpDir, 'batch', 'b.zip'), '')
+      await fs.writeFile(path.join(tmpDir, 'batch', 'a.zip'), '')
+      await fs.mkdir(path.join(tmpDir, 'course', 'src'), { recursive: true })
+    })
+
+    after(async () => {
+      await fs.rm(tmpDir, { recursive: true })
+    })
+
+    it('should expand a directory of zips into its zips', async () => {
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: [path.join(tmpDir, 'batch')] })
+      assert.deepEqual(await bulkImport.resolveImportPaths(), [path.join(tmpDir, 'batch', 'a.zip'), path.join(tmpDir, 'batch', 'b.zip')])
+      assert.deepEqual(bulkImport.containerDirs, [path.join(tmpDir, 'batch')])
+    })
+
+    it('should leave course directories and zips as they are', async () => {
+      const importPaths = [path.join(tmpDir, 'course'), path.join(tmpDir, 'batch', 'a.zip')]
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths })
+      assert.deepEqual(await bulkImport.resolveImportPaths(), importPaths)
+      assert.deepEqual(bulkImport.containerDirs, [])
+    })
+
+    it('should remove expanded directories once the batch has finished', async () => {
+      await new AdaptFrameworkBulkImport({ importPaths: [path.join(tmpDir, 'batch')], runImport: async () => createImporter() }).import()
+      await assert.rejects(fs.access(path.join(tmpDir, 'batch')))
+    })
+  })
+
+  describe('#runPluginStage()', () => {
+    it('should run one plugin stage at a time', async () => {
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      const events = []
+      const stage = name => async () => {
+        events.push(`${name}:start`)
+        await tick()
+        events.push(`${name}:end`)
+      }
+      await Promise.all([
+        bulkImport.runPluginStage(createImporter(), stage('a')),
+        bulkImport.runPluginStage(createImporter(), stage('b'))
+      ])
+      assert.deepEqual(events, ['a:start', 'a:end', 'b:start', 'b:end'])
+    })
+
+    it('should continue with the next stage after a failure', async () => {
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      const first = bulkImport.runPluginStage(createImporter(), async () => { throw new Error('boom') })
+      const second = bulkImport.runPluginStage(createImporter(), async () => 'ok')
+      await assert.rejects(first)
+      await second
+    })
+
+    it('should mark the importer as the stage owner while its stage runs', async () => {
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      const importer = createImporter()
+      let owner
+      await bulkImport.runPluginStage(importer, async () => { owner = bulkImport.pluginStageOwner })
+      assert.equal(owner, importer)
+      assert.equal(bulkImport.pluginStageOwner, undefined)
+    })
+
+    it('should record the plugins installed and updated', async () => {
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      await bulkImport.runPluginStage(createImporter({ installed: ['adapt-contrib-text'], updated: ['adapt-contrib-gmcq'] }), async () => {})
+      assert.deepEqual([...bulkImport.installedPlugins], ['adapt-contrib-text'])
+      assert.deepEqual([...bulkImport.updatedPlugins], ['adapt-contrib-gmcq'])
+    })
+
+    it('should not track dry runs', async () => {
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      await bulkImport.runPluginStage(createImporter({ isDryRun: true, updated: ['adapt-contrib-gmcq'] }), async () => {})
+      assert.deepEqual(bulkImport.pluginImporters, [])
+      assert.equal(bulkImport.updatedPlugins.size, 0)
+    })
+  })
+
+  describe('#rollbackPlugins()', () => {
+    it('should uninstall plugins installed by failed imports', async () => {
+      const contentplugin = { delete: mock.fn(async () => {}) }
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      bulkImport.pluginImporters = [createImporter({ installed: ['adapt-contrib-text'], contentplugin })]
+      await bulkImport.rollbackPlugins()
+      assert.deepEqual(contentplugin.delete.mock.calls[0].arguments[0], { _id: 'id_adapt-contrib-text' })
+      assert.deepEqual(bulkImport.rolledBackPlugins, ['adapt-contrib-text'])
+    })
+
+    it('should keep plugins used by a successful import', async () => {
+      const contentplugin = { delete: mock.fn(async () => {}) }
+      const failed = createImporter({ installed: ['adapt-contrib-text'], updated: ['adapt-contrib-gmcq'], contentplugin })
+      const succeeded = createImporter({ used: ['adapt-contrib-text', 'adapt-contrib-gmcq'] })
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      bulkImport.pluginImporters = [failed, succeeded]
+      bulkImport.succeeded.add(succeeded)
+      await bulkImport.rollbackPlugins()
+      assert.equal(contentplugin.delete.mock.calls.length, 0)
+      assert.deepEqual(failed.updatedContentPlugins, {})
+      assert.deepEqual(bulkImport.rolledBackPlugins, [])
+    })
+
+    it('should restore plugins updated by failed imports', async () => {
+      const failed = createImporter({ updated: ['adapt-contrib-gmcq'] })
+      const bulkImport = new AdaptFrameworkBulkImport({ importPaths: ['a.zip'] })
+      bulkImport.pluginImporters = [failed]
+      await bulkImport.rollbackPlugins()
+      assert.equal(failed.restoreUpdatedPlugins.mock.calls.length, 1)
+      assert.deepEqual(bulkImport.rolledBackPlugins, ['adapt-contrib-gmcq'])
+    })
+
+    it('should leave out rolled back plugins from the report', async () => {
+      const contentplugin = { delete: mock.fn(async () => {}) }
+      const runImport = async ({ bulkImport, importPath }) => {
+        const importer = createImporter({ installed: [importPath === 'a.zip' ? 'adapt-contrib-text' : 'adapt-contrib-gmcq'], contentplugin })
+        await bulkImport.runPluginStage(importer, async () => {})
+        if (importPath === 'b.zip') throw new Error('boom')
+        return importer
+      }
+      const bulkImport = await new AdaptFrameworkBulkImport({ importPaths: ['a.zip', 'b.zip'], runImport }).import()
+      assert.deepEqual(bulkImport.report.plugins, { installed: ['adapt-contrib-text'], updated: [], rolledBack: ['adapt-contrib-gmcq'] })
+    })
+  })
+})
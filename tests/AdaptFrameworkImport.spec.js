@@ -397,6 +397,39 @@ describe('AdaptFrameworkImport', () => {
       await cleanUp.call(ctx, new Error('test'))
       assert.equal(rollbackCalled, true)
     })
+
+    it('should remove the import journal once rolled back', async () => {
+      const calls = []
+      const ctx = {
+        settings: { removeSource: false },
+        rollback: async () => { calls.push('rollback') },
+        journal: { remove: async () => { calls.push('remove') } }
+      }
+      await cleanUp.call(ctx, new Error('test'))
+      assert.deepEqual(calls, ['rollback', 'remove'])
+    })
+
+    it('should remove the import journal after a successful import', async () => {
+      let removed = false
+      const ctx = {
+        settings: { removeSource: false },
+        journal: { remove: async () => { removed = true } }
+      }
+      await cleanUp.call(ctx, undefined)
+      assert.equal(removed, true)
+    })
+
+    it('should remove a streamed source archive', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'af-import-zip-'))
+      const zipPath = path.join(dir, 'course.zip')
+      await fs.writeFile(zipPath, '')
+      try {
+        await cleanUp.call({ settings: { removeSource: false }, zip: { path: zipPath } }, undefined)
+        await assert.rejects(fs.stat(zipPath), { code: 'ENOENT' })
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true })
+      }
+    })
   })
 
   describe('#rollback()', () => {
@@ -433,6 +466,21 @@ describe('AdaptFrameworkImport', () => {
       assert.deepEqual(uninstalled.sort(), ['p1', 'p2'])
     })
 
+    it('should leave plugin changes to the bulk import', async () => {
+      const uninstalled = []
+      const ctx = makeRollbackCtx({
+        bulkImport: {},
+        contentplugin: {
+          delete: async ({ _id }) => uninstalled.push(_id)
+        },
+        newContentPlugins: { 'adapt-contrib-text': { _id: 'p1', name: 'adapt-contrib-text' } },
+        updatedContentPlugins: { 'adapt-contrib-gmcq': { version: '1.0.0' } },
+        restoreUpdatedPlugins: async () => uninstalled.push('restored')
+      })
+      await rollback.call(ctx)
+      assert.deepEqual(uninstalled, [])
+    })
+
     it('should delete imported assets', async () => {
       const deleted = []
       const ctx = makeRollbackCtx({
@@ -567,6 +615,23 @@ describe('AdaptFrameworkImport', () => {
       }
     }
 
+    it('should run through the bulk import\'s plugin stage when part of a bulk import', async () => {
+      const calls = []
+      const bulkImport = {
+        pluginStageOwner: undefined,
+        runPluginStage: async (importer, fn) => {
+          calls.push(importer)
+          bulkImport.pluginStageOwner = importer
+          await fn()
+        }
+      }
+      const ctx = makePluginCtx({ bulkImport })
+      ctx.importCoursePlugins = importCoursePlugins
+      await importCoursePlugins.call(ctx)
+      assert.deepEqual(calls, [ctx])
+      assert.deepEqual(ctx.componentNameMap, {})
+    })
+
     it('should report missing plugins in statusReport during dry run', async () => {
       const ctx = makePluginCtx({
         configEnabledPlugins: ['adapt-contrib-text', 'adapt-contrib-missing'],
@@ -628,6 +693,468 @@ describe('AdaptFrameworkImport', () => {
     })
   })
 
+  describe('#findExistingContent()', () => {
+    const findExistingContent = AdaptFrameworkImport.prototype.findExistingContent
+    const oid = id => ({ toString: () => id })
+
+    function makeCtx () {
+      return {
+        existingContent: {
+          items: [
+            { _id: oid('64f0000000000000000000a1'), _friendlyId: 'a-05', _type: 'article' },
+            { _id: oid('64f0000000000000000000b1'), _type: 'block' }
+          ],
+          matchedIds: new Set()
+        }
+      }
+    }
+
+    it('should return undefined when not updating a course', () => {
+      assert.equal(findExistingContent.call({}, { _id: 'a-05' }), undefined)
+    })
+
+    it('should match items by _friendlyId', () => {
+      const ctx = makeCtx()
+      assert.equal(findExistingContent.call(ctx, { _id: 'other', _friendlyId: 'a-05' }), ctx.existingContent.items[0])
+    })
+
+    it('should match an exported _id to an existing _friendlyId', () => {
+      const ctx = makeCtx()
+      assert.equal(findExistingContent.call(ctx, { _id: 'a-05' }), ctx.existingContent.items[0])
+    })
+
+    it('should match an exported _id to an existing _id', () => {
+      const ctx = makeCtx()
+      assert.equal(findExistingContent.call(ctx, { _id: '64f0000000000000000000b1' }), ctx.existingContent.items[1])
+    })
+
+    it('should only match each existing item once', () => {
+      const ctx = makeCtx()
+      findExistingContent.call(ctx, { _id: 'a-05' })
+      assert.equal(findExistingContent.call(ctx, { _id: 'a-10', _friendlyId: 'a-05' }), undefined)
+    })
+
+    it('should return undefined for new items', () => {
+      assert.equal(findExistingContent.call(makeCtx(), { _id: 'c-05' }), undefined)
+    })
+
+    it('should match the _id an item was imported with before any other match', () => {
+      const ctx = makeCtx()
+      ctx.existingContent.items.push({ _id: oid('64f0000000000000000000c1'), _importSourceId: 'a-05', _type: 'article' })
+      assert.equal(findExistingContent.call(ctx, { _id: 'a-05' }), ctx.existingContent.items[2])
+    })
+  })
+
+  describe('#importCourseData() - updating a course', () => {
+    /** Export of a course from another server: unknown ObjectIds and no _friendlyIds */
+    const createContentJson = () => ({
+      course: { _id: '5a0000000000000000000001', _type: 'course', title: 'Course' },
+      config: { _id: '5a0000000000000000000002', _type: 'config', _courseId: '5a0000000000000000000001' },
+      contentObjects: {
+        '5a0000000000000000000003': { _id: '5a0000000000000000000003', _type: 'page', _parentId: '5a0000000000000000000001', title: 'Page' },
+        '5a0000000000000000000004': { _id: '5a0000000000000000000004', _type: 'article', _parentId: '5a0000000000000000000003', title: 'Article' },
+        '5a0000000000000000000005': { _id: '5a0000000000000000000005', _type: 'block', _parentId: '5a0000000000000000000004', title: 'Block' },
+        '5a0000000000000000000006': { _id: '5a0000000000000000000006', _type: 'component', _component: 'adapt-contrib-text', _parentId: '5a0000000000000000000005', title: 'Text' }
+      }
+    })
+
+    /** A content module backed by an array, which numbers blocks' _trackingIds like spoortracking */
+    function createContent () {
+      let nextId = 1
+      let nextTrackingId = 1
+      const matches = (doc, query) => Object.entries(query).every(([k, v]) => v?.$in ? v.$in.includes(doc[k]) : doc[k] === v)
+      const content = {
+        docs: [],
+        getSchema: async () => ({ sanitise: data => data, walk: () => [] }),
+        find: async query => content.docs.filter(d => matches(d, query)),
+        insert: async data => {
+          const doc = { ...data, _id: `db${nextId++}` }
+          if (doc._type === 'block' && doc._trackingId === undefined) doc._trackingId = nextTrackingId++
+          content.docs.push(doc)
+          return doc
+        },
+        update: async ({ _id }, data) => {
+          const doc = content.docs.find(d => d._id === _id)
+          Object.entries(data).forEach(([k, v]) => v !== undefined && (doc[k] = v))
+          return doc
+        },
+        deleteMany: async query => {
+          content.docs = content.docs.filter(d => !matches(d, query))
+        },
+        updateEnabledPlugins: async () => {}
+      }
+      return content
+    }
+
+    function createImport (content, { userId, updateCourseId } = {}) {
+      return Object.assign(Object.create(AdaptFrameworkImport.prototype), {
+        userId,
+        settings: { updateCourseId },
+        content,
+        contentJson: createContentJson(),
+        idMap: {},
+        assetMap: {},
+        statusReport: { warn: [] },
+        contentChanges: { created: {}, updated: {}, unchanged: {}, deleted: {} },
+        framework: { contentMigrations: { run: async data => data } }
+      })
+    }
+
+    /** Fields added to the content and course schemas by this module, mapped to the schema each was added to, the way jsonschema applies $patch */
+    async function loadSchemaExtensions () {
+      const dir = new URL('../schema/', import.meta.url)
+      const fields = {}
+      for (const file of await fs.readdir(dir)) {
+        const { $patch } = JSON.parse(await fs.readFile(new URL(file, dir)))
+        if (['content', 'course'].includes($patch?.source.$ref)) {
+          Object.keys($patch.with.properties).forEach(k => { fields[k] = $patch.source.$ref })
+        }
+      }
+      return fields
+    }
+
+    it('should keep the fields added to the content schemas when content is written', async () => {
+      const fields = await loadSchemaExtensions()
+      assert.deepEqual(fields, { _importSourceId: 'content', _language: 'course', _languageGroupId: 'course' })
+      // drops the fields like validation would if they weren't in the item's schema
+      const validate = data => Object.fromEntries(Object.entries(data).filter(([k]) => {
+        return !['_importSourceId', '_language', '_languageGroupId'].includes(k) || fields[k] === 'content' || (fields[k] === 'course' && data._type === 'course')
+      }))
+      const content = createContent()
+      const { insert, update } = content
+      Object.assign(content, { insert: data => insert(validate(data)), update: (query, data) => update(query, validate(data)) })
+      const importer = createImport(content, { userId: 'u1' })
+      Object.assign(importer.contentJson.course, { _language: 'de', _languageGroupId: '5a0000000000000000000009' })
+      await importer.importCourseData()
+      const course = content.docs.find(d => d._type === 'course')
+      assert.equal(course._importSourceId, '5a0000000000000000000001')
+      assert.equal(course._language, 'de')
+      assert.equal(course._languageGroupId, '5a0000000000000000000009')
+      assert.equal(content.docs.find(d => d._type === 'component')._importSourceId, '5a0000000000000000000006')
+    })
+
+    it('should update the items of a course imported from another server\'s export', async () => {
+      const content = createContent()
+      const original = createImport(content, { userId: 'u1' })
+      await original.importCourseData()
+      const block = { ...content.docs.find(d => d._type === 'block') }
+
+      const update = createImport(content, { userId: 'u2', updateCourseId: original.idMap.course })
+      update.contentJson.contentObjects['5a0000000000000000000006'].title = 'New text'
+      await update.loadExistingCourse()
+      await update.importCourseData()
+
+      assert.deepEqual(update.contentChanges.created, {})
+      assert.deepEqual(update.contentChanges.deleted, {})
+      assert.deepEqual(update.contentChanges.updated, { component: 1 })
+      const updatedBlock = content.docs.find(d => d._type === 'block')
+      assert.equal(updatedBlock._id, block._id)
+      assert.equal(updatedBlock._trackingId, block._trackingId)
+      assert.equal(updatedBlock.createdBy, 'u1')
+      assert.equal(content.docs.find(d => d._type === 'component').title, 'New text')
+    })
+  })
+
+  describe('#deleteRemovedContent()', () => {
+    it('should delete unmatched items and record the deletions', async () => {
+      let query
+      const ctx = {
+        existingContent: {
+          items: [
+            { _id: 'a1', _type: 'article' },
+            { _id: 'b1', _type: 'block' },
+            { _id: 'b2', _type: 'block' }
+          ],
+          matchedIds: new Set(['a1'])
+        },
+        content: { deleteMany: async q => { query = q } },
+        contentChanges: { created: {}, updated: {}, unchanged: {}, deleted: {} },
+        recordContentChange: AdaptFrameworkImport.prototype.recordContentChange
+      }
+      await AdaptFrameworkImport.prototype.deleteRemovedContent.call(ctx)
+      assert.deepEqual(query, { _id: { $in: ['b1', 'b2'] } })
+      assert.deepEqual(ctx.contentChanges.deleted, { block: 2 })
+    })
+
+    it('should do nothing when every item was matched', async () => {
+      const deleteMany = mock.fn()
+      const ctx = {
+        existingContent: { items: [{ _id: 'a1', _type: 'article' }], matchedIds: new Set(['a1']) },
+        content: { deleteMany }
+      }
+      await AdaptFrameworkImport.prototype.deleteRemovedContent.call(ctx)
+      assert.equal(deleteMany.mock.calls.length, 0)
+    })
+  })
+
+  describe('#checkTrackingIds()', () => {
+    const createCtx = (contentObjects, isDryRun = false) => ({
+      settings: { isDryRun },
+      contentJson: { contentObjects },
+      statusReport: { info: [], warn: [], error: [] }
+    })
+
+    it('should keep unique _trackingIds and number blocks without one after the highest', () => {
+      const ctx = createCtx({
+        b1: { _id: 'b1', _type: 'block', _trackingId: 4 },
+        b2: { _id: 'b2', _type: 'block' },
+        b3: { _id: 'b3', _type: 'block', _trackingId: 2 },
+        c1: { _id: 'c1', _type: 'component' }
+      })
+      AdaptFrameworkImport.prototype.checkTrackingIds.call(ctx)
+      assert.deepEqual(Object.values(ctx.contentJson.contentObjects).map(c => c._trackingId), [4, 5, 2, undefined])
+      assert.deepEqual(ctx.statusReport.info, [{ code: 'TRACKING_IDS_ASSIGNED', data: { count: 1 } }])
+    })
+
+    it('should report duplicates on a dry run', () => {
+      const ctx = createCtx({
+        b1: { _id: 'b1', _type: 'block', _trackingId: 1 },
+        b2: { _id: 'b2', _type: 'block', _trackingId: 1 }
+      }, true)
+      AdaptFrameworkImport.prototype.checkTrackingIds.call(ctx)
+      assert.deepEqual(ctx.statusReport.error, [{ code: 'DUPLICATE_TRACKING_IDS', data: [1] }])
+    })
+  })
+
+  describe('#renumberDuplicateFriendlyIds()', () => {
+    it('should renumber duplicates after the first and report each one', () => {
+      const ctx = {
+        contentJson: {
+          course: { _id: 'course', _friendlyId: 'intro' },
+          contentObjects: {
+            p1: { _id: 'p1', _friendlyId: 'intro' },
+            p2: { _id: 'p2', _friendlyId: 'intro-2' },
+            p3: { _id: 'p3', _friendlyId: 'intro' },
+            p4: { _id: 'p4' }
+          }
+        },
+        statusReport: { info: [], warn: [], error: [] }
+      }
+      AdaptFrameworkImport.prototype.renumberDuplicateFriendlyIds.call(ctx)
+      const { course, contentObjects } = ctx.contentJson
+      assert.deepEqual([course, ...Object.values(contentObjects)].map(c => c._friendlyId), ['intro', 'intro-3', 'intro-2', 'intro-4', undefined])
+      assert.deepEqual(ctx.statusReport.warn, [
+        { code: 'FRIENDLY_ID_RENUMBERED', data: { _id: 'p1', from: 'intro', to: 'intro-3' } },
+        { code: 'FRIENDLY_ID_RENUMBERED', data: { _id: 'p3', from: 'intro', to: 'intro-4' } }
+      ])
+    })
+  })
+
+  describe('#validateCourseData()', () => {
+    const PLACEHOLDER_ID = '000000000000000000000000'
+    /** Creates a schema whose compiled validator fails on items with a title of 'invalid' */
+    const createSchema = () => {
+      const compiledWithDefaults = data => {
+        compiledWithDefaults.errors = data.title === 'invalid'
+          ? [{ instancePath: '', keyword: 'required', message: 'must have required property \'body\'', params: { missingProperty: 'body' } }]
+          : null
+        return !compiledWithDefaults.errors
+      }
+      return {
+        walk: data => data.src !== undefined ? [{ data, key: 'src', value: data.src }] : [],
+        sanitise: data => data,
+        compiledWithDefaults
+      }
+    }
+    const createCtx = (contentObjects, getSchema = async () => createSchema()) => {
+      const ctx = {
+        userId: 'user1',
+        settings: {},
+        idMap: { course: 'real' },
+        contentJson: { course: { _id: 'course', _type: 'course', title: 'Course', tags: ['tag'] }, config: { _id: 'config', _type: 'config' }, contentObjects },
+        statusReport: { info: [], warn: [], error: [] },
+        content: { getSchema: mock.fn(getSchema) },
+        transformData: mock.fn(async data => {
+          if (data._parentId) data._parentId = ctx.idMap[data._parentId]
+          return data
+        }),
+        checkCancelled: () => {},
+        flattenContentJson: AdaptFrameworkImport.prototype.flattenContentJson
+      }
+      ctx.validateContentObject = AdaptFrameworkImport.prototype.validateContentObject.bind(ctx)
+      return ctx
+    }
+
+    it('should report the items which fail validation with JSON pointer paths', async () => {
+      const ctx = createCtx({
+        p1: { _id: 'p1', _type: 'page', _parentId: 'course', title: 'Page' },
+        c1: { _id: 'c1', _type: 'component', _component: 'adapt-contrib-text', _parentId: 'p1', title: 'invalid' }
+      })
+      await AdaptFrameworkImport.prototype.validateCourseData.call(ctx)
+      assert.equal(ctx.validation.validated, 3)
+      assert.deepEqual(ctx.validation.errors, [{
+        _id: 'c1',
+        _type: 'component',
+        _component: 'adapt-contrib-text',
+        errors: [{ path: '/body', keyword: 'required', message: 'must have required property \'body\'' }]
+      }])
+      assert.deepEqual(ctx.statusReport.error, [{ code: 'CONTENT_VALIDATION_FAILED', data: { count: 1 } }])
+    })
+
+    it('should substitute placeholder _ids for the records a dry run doesn\'t create', async () => {
+      const ctx = createCtx({ p1: { _id: 'p1', _type: 'page', _parentId: 'course', src: 'course/en/assets/a.png' } })
+      await AdaptFrameworkImport.prototype.validateCourseData.call(ctx)
+      const [course, , page] = ctx.transformData.mock.calls.map(c => c.arguments[0])
+      assert.deepEqual(course.tags, [PLACEHOLDER_ID])
+      assert.equal(page._parentId, PLACEHOLDER_ID)
+      assert.equal(page._courseId, PLACEHOLDER_ID)
+      assert.equal(page.src, PLACEHOLDER_ID)
+      assert.equal(ctx.idMap.course, 'real')
+    })
+
+    it('should not modify the course data', async () => {
+      const ctx = createCtx({ p1: { _id: 'p1', _type: 'page', _parentId: 'course' } })
+      await AdaptFrameworkImport.prototype.validateCourseData.call(ctx)
+      assert.equal(ctx.contentJson.contentObjects.p1._parentId, 'course')
+      assert.deepEqual(ctx.contentJson.course.tags, ['tag'])
+    })
+
+    it('should report items whose schema can\'t be loaded as skipped', async () => {
+      const ctx = createCtx({ c1: { _id: 'c1', _type: 'component', _component: 'adapt-contrib-new', _parentId: 'course' } }, async name => {
+        if (name === 'adapt-contrib-new-component') throw new Error('missing schema')
+        return createSchema()
+      })
+      await AdaptFrameworkImport.prototype.validateCourseData.call(ctx)
+      assert.deepEqual(ctx.validation.skipped, [{ _id: 'c1', _type: 'component', _component: 'adapt-contrib-new', reason: 'missing schema' }])
+      assert.deepEqual(ctx.statusReport.warn, [{ code: 'CONTENT_VALIDATION_SKIPPED', data: { count: 1 } }])
+      assert.equal(ctx.statusReport.error.length, 0)
+    })
+  })
+
+  describe('#checkCancelled()', () => {
+    const checkCancelled = AdaptFrameworkImport.prototype.checkCancelled
+
+    it('should not throw when no signal is set', () => {
+      assert.doesNotThrow(() => checkCancelled.call({}))
+    })
+
+    it('should not throw when the signal has not been aborted', () => {
+      const { signal } = new AbortController()
+      assert.doesNotThrow(() => checkCancelled.call({ signal }))
+    })
+  })
+
+  describe('#importCourseAssets() - cancellation', () => {
+    it('should not import any further assets once cancelled', async () => {
+      const controller = new AbortController()
+      controller.abort()
+      const inserted = []
+      const ctx = {
+        signal: controller.signal,
+        settings: { isDryRun: false },
+        assetData: [{ filepath: '/tmp/a.png' }, { filepath: '/tmp/b.png' }],
+        assets: { insert: async data => inserted.push(data) },
+        statusReport: { info: [], warn: [], error: [] },
+        checkCancelled: () => { throw new Error('cancelled') }
+      }
+      await assert.rejects(AdaptFrameworkImport.prototype.importCourseAssets.call(ctx), { message: 'cancelled' })
+      assert.equal(inserted.length, 0)
+    })
+  })
+
+  describe('#importCourseAssets() - streamed archives', () => {
+    it('should extract each archived asset for its import, then remove it', async () => {
+      const langPath = await fs.mkdtemp(path.join(os.tmpdir(), 'af-import-assets-'))
+      const filepaths = [`${langPath}/assets/a.png`, `${langPath}/assets/b.png`]
+      const inserted = []
+      const ctx = {
+        langPath,
+        coursePath: path.dirname(langPath),
+        settings: { isDryRun: false },
+        assetData: filepaths.map(filepath => ({ filepath, langPath })),
+        archivedAssets: new Map(filepaths.map(f => [f, { name: f }])),
+        zip: {
+          extract: async (entry, dest) => {
+            await fs.mkdir(path.dirname(dest), { recursive: true })
+            await fs.writeFile(dest, 'data')
+          }
+        },
+        assetMap: {},
+        newAssetIds: [],
+        reusedAssetIds: [],
+        assets: {
+          insert: async data => {
+            // only the asset being imported should be extracted
+            assert.deepEqual(await fs.readdir(`${langPath}/assets`), [path.basename(data.file.filepath)])
+            inserted.push(data.file.filepath)
+            return { _id: `asset${inserted.length}` }
+          }
+        },
+        statusReport: { info: [], warn: [], error: [] },
+        checkCancelled: () => {}
+      }
+      try {
+        await AdaptFrameworkImport.prototype.importCourseAssets.call(ctx)
+        assert.deepEqual(inserted, filepaths)
+        assert.deepEqual(await fs.readdir(`${langPath}/assets`), [])
+        assert.equal(ctx.statusReport.info[0].data.count, 2)
+      } finally {
+        await fs.rm(langPath, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('#getArchivedAssets()', () => {
+    it('should return the archived assets of the language', () => {
+      const ctx = {
+        archivedAssets: new Map([
+          ['/tmp/src/course/en/assets/a.png', {}],
+          ['/tmp/src/course/en/images/b.png', {}],
+          ['/tmp/src/course/fr/assets/c.png', {}]
+        ])
+      }
+      assert.deepEqual(AdaptFrameworkImport.prototype.getArchivedAssets.call(ctx, '/tmp/src/course/en'), [
+        '/tmp/src/course/en/assets/a.png',
+        '/tmp/src/course/en/images/b.png'
+      ])
+    })
+  })
+
+  describe('#discoverLanguages()', () => {
+    async function makeCourseDir () {
+      const coursePath = await fs.mkdtemp(path.join(os.tmpdir(), 'af-import-langs-'))
+      for (const lang of ['de', 'en', 'fr']) {
+        await fs.mkdir(path.join(coursePath, lang))
+        if (lang !== 'fr') await fs.writeFile(path.join(coursePath, lang, 'course.json'), '{}')
+      }
+      await fs.writeFile(path.join(coursePath, 'config.json'), '{}')
+      return coursePath
+    }
+
+    function makeCtx (coursePath, importAllLanguages) {
+      return {
+        coursePath,
+        language: 'en',
+        settings: { importAllLanguages },
+        statusReport: { info: [], warn: [], error: [] }
+      }
+    }
+
+    it('should only import the primary language by default', async () => {
+      const coursePath = await makeCourseDir()
+      try {
+        const ctx = makeCtx(coursePath, false)
+        await AdaptFrameworkImport.prototype.discoverLanguages.call(ctx)
+        assert.deepEqual(ctx.languages, { found: ['de', 'en', 'fr'], imported: ['en'], skipped: ['de', 'fr'] })
+        assert.equal(ctx.statusReport.warn[0].code, 'LANGUAGES_SKIPPED')
+      } finally {
+        await fs.rm(coursePath, { recursive: true, force: true })
+      }
+    })
+
+    it('should import every language with a course.json, primary language first', async () => {
+      const coursePath = await makeCourseDir()
+      try {
+        const ctx = makeCtx(coursePath, true)
+        await AdaptFrameworkImport.prototype.discoverLanguages.call(ctx)
+        assert.deepEqual(ctx.languages, { found: ['de', 'en', 'fr'], imported: ['en', 'de'], skipped: ['fr'] })
+        assert.deepEqual(ctx.statusReport.info[0], { code: 'LANGUAGES_FOUND', data: ctx.languages })
+      } finally {
+        await fs.rm(coursePath, { recursive: true, force: true })
+      }
+    })
+  })
+
   describe('#loadAssetData()', () => {
     it('should find assets when the course path contains glob-significant characters', async () => {
       // interpolating the path into the pattern would parse '[id]' as a char class (and '\' as an escape on Windows)
@@ -643,5 +1170,28 @@ describe('AdaptFrameworkImport', () => {
         await fs.rm(langPath, { recursive: true, force: true })
       }
     })
+
+    it('should load the assets of every imported language', async () => {
+      const coursePath = await fs.mkdtemp(path.join(os.tmpdir(), 'af-import-langs-'))
+      try {
+        for (const lang of ['en', 'fr']) {
+          await fs.mkdir(path.join(coursePath, lang, 'assets'), { recursive: true })
+          await fs.writeFile(path.join(coursePath, lang, 'assets', `${lang}.png`), '')
+        }
+        const ctx = {
+          coursePath,
+          langPath: `${coursePath}/en`,
+          languages: { imported: ['en', 'fr'] },
+          settings: { importAllLanguages: true },
+          tags: [],
+          assetData: []
+        }
+        await AdaptFrameworkImport.prototype.loadAssetData.call(ctx)
+        assert.deepEqual(ctx.assetData.map(a => a.title).sort(), ['en.png', 'fr.png'])
+        assert.equal(ctx.assetData.find(a => a.title === 'fr.png').langPath, `${coursePath}/fr`)
+      } finally {
+        await fs.rm(coursePath, { recursive: true, force: true })
+      }
+    })
   })
 })
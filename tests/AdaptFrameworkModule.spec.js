@@ -0,0 +1,465 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import * as core from 'adapt-authoring-core'
+
+/** Modules returned by App.instance.waitForModule */
+const modules = {}
+const waitForModule = async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]]
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    ...core,
+    AbstractModule: class AbstractModule {},
+    App: { instance: { waitForModule } }
+  }
+})
+
+mock.module('adapt-authoring-server', {
+  namedExports: {
+    loadRouteConfig: async () => ({}),
+    registerRoutes: () => {}
+  }
+})
+
+/** Migration jobs created by the module */
+const jobs = []
+/** Jobs returned by MigrationJob.findUnfinished */
+let unfinishedJobs = []
+/** Whether starting a migration job fails */
+let failStart = false
+/** Runs a migration job, recording the order jobs are run in */
+const runJob = mock.fn(async job => ({ failed: 0 }))
+
+mock.module('../lib/MigrationJob.js', {
+  defaultExport: class MigrationJob {
+    static async create (doc) {
+      const job = new MigrationJob(doc)
+      jobs.push(job)
+      return job
+    }
+
+    static async findUnfinished () {
+      return unfinishedJobs
+    }
+
+    constructor (doc) {
+      this._id = `job${jobs.length + 1}`
+      this.doc = doc
+      this.started = false
+      this.removed = false
+    }
+
+    getStatus () {
+      return { _id: this._id, runId: this.doc.runId }
+    }
+
+    async start () {
+      if (failStart) throw new Error('db down')
+      this.started = true
+    }
+
+    async run () {
+      return runJob(this)
+    }
+
+    async remove () {
+      this.removed = true
+    }
+  }
+})
+
+const markRunReverted = mock.fn(async () => {})
+
+mock.module('../lib/MigrationHistory.js', {
+  defaultExport: { markRunReverted }
+})
+
+const migrateExistingCourses = mock.fn(async () => ({ courses: [] }))
+const utils = await import('../lib/utils.js')
+
+mock.module('../lib/utils.js', {
+  namedExports: {
+    ...utils,
+    migrateExistingCourses,
+    getMigrationCacheDir: async () => path.join(os.tmpdir(), 'adaptframework-module-cache')
+  }
+})
+
+const { default: AdaptFrameworkModule } = await import('../lib/AdaptFrameworkModule.js')
+const { default: MigrationJob } = await import('../lib/MigrationJob.js')
+
+/** Whether a document matches a query, supporting the operators used by the module */
+const matches = (doc, query) => Object.entries(query).every(([k, v]) => {
+  if (v?.$ne !== undefined) return doc[k] !== v.$ne
+  if (v?.$in) return v.$in.includes(doc[k])
+  if (v?.$lt) return doc[k] < v.$lt
+  return doc[k] === v
+})
+
+const exists = p => fs.access(p).then(() => true, () => false)
+
+/** Creates an error like those in errors.json */
+const createError = code => Object.assign(new Error(code), {
+  code,
+  statusCode: 500,
+  setData: data => Object.assign(new Error(code), { code, statusCode: 500, data })
+})
+
+/** Writes a minimal framework of the given version */
+const writeFramework = async (dir, version) => {
+  await fs.mkdir(path.join(dir, 'src', 'core'), { recursive: true })
+  await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ version }))
+  await fs.writeFile(path.join(dir, 'src', 'core', 'bower.json'), JSON.stringify({ name: 'adapt-contrib-core', version }))
+}
+
+/** Reads the version of the framework in a directory */
+const readVersion = async dir => JSON.parse(await fs.readFile(path.join(dir, 'package.json'))).version
+
+/** Creates a migration job with the given _id */
+const createJob = _id => Object.assign(new MigrationJob({ runId: `run_${_id}` }), { _id })
+
+/** Waits until a condition is met, for up to 2 seconds */
+const until = async condition => {
+  for (let i = 0; i < 200 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 10))
+}
+
+/** Waits for the module's background migration job to finish */
+const settle = async framework => {
+  while (framework.activeMigration) await new Promise(resolve => setTimeout(resolve, 5))
+}
+
+describe('AdaptFrameworkModule', () => {
+  let testDir
+  let config
+
+  /** Creates a module instance without running init() */
+  function createModule () {
+    const framework = new AdaptFrameworkModule()
+    return Object.assign(framework, {
+      app: {
+        waitForModule,
+        getConfig: key => config[key],
+        errors: Object.fromEntries(['FW_MIGRATION_IN_PROGRESS', 'FW_TOKEN_IN_USE', 'FW_UPDATE_FAILED', 'FW_UPDATE_NO_BACKUP', 'FW_UPDATE_ROLLBACK_FAILED'].map(code => [code, createError(code)]))
+      },
+      getConfig: key => config[key],
+      log: () => {},
+      buildPurgeHook: new core.Hook(),
+      postUpdateHook: new core.Hook(),
+      migrationProgressHook: new core.Hook(),
+      queuedMigrations: []
+    })
+  }
+
+  before(async () => {
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'adaptframework-module-'))
+  })
+
+  after(async () => {
+    await fs.rm(testDir, { recursive: true, force: true })
+  })
+
+  describe('#purgeBuilds()', () => {
+    let buildDir
+    let builds
+
+    beforeEach(async () => {
+      buildDir = path.join(testDir, 'builds')
+      await fs.rm(buildDir, { recursive: true, force: true })
+      config = { buildDir, buildPurgeInterval: 3600000 }
+      builds = []
+      modules.mongodb = {
+        find: async (collectionName, query) => builds.filter(b => matches(b, query)),
+        deleteMany: async (collectionName, query) => {
+          builds = builds.filter(b => !matches(b, query))
+        }
+      }
+    })
+
+    /** Adds a build record, creating its output on disk */
+    const addBuild = async (_id, location, data) => {
+      await fs.mkdir(location, { recursive: true })
+      builds.push({ _id, location, expiresAt: new Date(Date.now() - 1000), ...data })
+    }
+
+    it('should remove the whole build directory of expired builds', async () => {
+      const dir = path.join(buildDir, '123_0001')
+      await addBuild('b1', path.join(dir, 'build'))
+      const summary = await createModule().purgeBuilds()
+      assert.equal(await exists(dir), false)
+      assert.equal(builds.length, 0)
+      assert.equal(summary.builds, 1)
+    })
+
+    it('should keep builds which are pinned, unexpired or have no expiry', async () => {
+      await addBuild('b1', path.join(buildDir, 'pinned'), { pinned: true })
+      await addBuild('b2', path.join(buildDir, 'unexpired'), { expiresAt: new Date(Date.now() + 60000) })
+      await addBuild('b3', path.join(buildDir, 'retained'), { expiresAt: undefined })
+      await createModule().purgeBuilds()
+      assert.deepEqual(builds.map(b => b._id), ['b1', 'b2', 'b3'])
+      for (const dir of ['pinned', 'unexpired', 'retained']) {
+        assert.equal(await exists(path.join(buildDir, dir)), true)
+      }
+    })
+
+    it('should stop serving purged builds from the build data cache', async () => {
+      await addBuild('b1', path.join(buildDir, '123_0001', 'build'))
+      assert.equal((await utils.retrieveBuildData('b1'))._id, 'b1')
+      await createModule().purgeBuilds()
+      assert.equal(await utils.retrieveBuildData('b1'), undefined)
+    })
+
+    it('should only remove the record of an expired build outside the buildDir', async () => {
+      const outputDir = path.join(testDir, 'output')
+      await addBuild('b1', outputDir)
+      await createModule().purgeBuilds()
+      assert.equal(builds.length, 0)
+      assert.equal(await exists(outputDir), true)
+    })
+
+    it('should never remove the buildDir itself', async () => {
+      await addBuild('b1', buildDir)
+      await createModule().purgeBuilds()
+      assert.equal(await exists(buildDir), true)
+    })
+  })
+
+  describe('#trackActive()', () => {
+    it('should refuse a token which is already in use, keeping the active task', () => {
+      const framework = createModule()
+      const map = new Map()
+      const controller = framework.trackActive(map, 't1', 'u1')
+      assert.throws(() => framework.trackActive(map, 't1', 'u2'), { code: 'FW_TOKEN_IN_USE', data: { token: 't1' } })
+      assert.deepEqual(map.get('t1'), { controller, userId: 'u1' })
+    })
+
+    it('should allow a token to be reused once its task has finished', () => {
+      const framework = createModule()
+      const map = new Map()
+      framework.trackActive(map, 't1', 'u1')
+      map.delete('t1')
+      assert.ok(framework.trackActive(map, 't1', 'u1'))
+    })
+  })
+
+  describe('#prepareImportSource()', () => {
+    it('should leave out symlinks which point outside the allowed directories', async () => {
+      const allowedDir = path.join(testDir, 'allowed')
+      const source = path.join(allowedDir, 'course')
+      const secret = path.join(testDir, 'secret.txt')
+      await fs.mkdir(path.join(source, 'course', 'en', 'assets'), { recursive: true })
+      await fs.writeFile(secret, 'password')
+      await fs.writeFile(path.join(allowedDir, 'shared.png'), 'image')
+      await fs.writeFile(path.join(source, 'course', 'en', 'config.json'), '{}')
+      await fs.symlink(secret, path.join(source, 'course', 'en', 'course.json'))
+      await fs.symlink(secret, path.join(source, 'course', 'en', 'assets', 'secret.png'))
+      await fs.symlink(path.join(allowedDir, 'shared.png'), path.join(source, 'course', 'en', 'assets', 'shared.png'))
+      config = { tempDir: path.join(testDir, 'temp'), importPathAllowList: [allowedDir] }
+      const dest = await createModule().prepareImportSource({ importPath: source })
+      assert.deepEqual((await fs.readdir(path.join(dest, 'course', 'en'))).sort(), ['assets', 'config.json'])
+      assert.deepEqual(await fs.readdir(path.join(dest, 'course', 'en', 'assets')), ['shared.png'])
+      assert.equal(await fs.readFile(path.join(dest, 'course', 'en', 'assets', 'shared.png'), 'utf8'), 'image')
+    })
+  })
+
+  describe('framework updates', () => {
+    let framework
+    let frameworkDir
+    let failUpdate
+
+    beforeEach(async () => {
+      frameworkDir = path.join(testDir, 'framework')
+      await Promise.all(['', '_next', '_previous'].map(s => fs.rm(`${frameworkDir}${s}`, { recursive: true, force: true })))
+      await writeFramework(frameworkDir, '1.0.0')
+      config = { tempDir: path.join(testDir, 'temp') }
+      jobs.length = 0
+      unfinishedJobs = []
+      failUpdate = false
+      failStart = false
+      markRunReverted.mock.resetCalls()
+      runJob.mock.resetCalls()
+      runJob.mock.mockImplementation(async job => ({ failed: 0 }))
+      modules.content = { update: mock.fn(async () => {}) }
+      framework = createModule()
+      framework.path = frameworkDir
+      framework._version = '1.0.0'
+      Object.defineProperty(framework, 'runCliCommand', {
+        value: async (command, { version, cwd = frameworkDir } = {}) => {
+          if (command === 'getCurrentFrameworkVersion') return readVersion(cwd)
+          if (command !== 'updateFramework') return
+          if (failUpdate) throw new Error('install failed')
+          await writeFramework(cwd, version)
+        }
+      })
+    })
+
+    /** Updates the framework to 2.0.0, as a successful update with one migrated item */
+    const update = async () => {
+      await framework.updateFramework('2.0.0')
+      await settle(framework)
+      await fs.writeFile(path.join(`${frameworkDir}_previous`, '.adapt-authoring-update-content.jsonl'), `${JSON.stringify({ _id: 'i1', title: 'Original' })}\n`)
+    }
+
+    describe('#swapFrameworkDir()', () => {
+      it('should move frameworkDir aside and the new directory into place', async () => {
+        await writeFramework(`${frameworkDir}_next`, '2.0.0')
+        await framework.swapFrameworkDir(`${frameworkDir}_next`, `${frameworkDir}_previous`)
+        assert.equal(await readVersion(frameworkDir), '2.0.0')
+        assert.equal(await readVersion(`${frameworkDir}_previous`), '1.0.0')
+        assert.equal(await exists(`${frameworkDir}_next`), false)
+      })
+
+      it('should put frameworkDir back if the new directory can\'t be moved into place', async () => {
+        await assert.rejects(framework.swapFrameworkDir(`${frameworkDir}_missing`, `${frameworkDir}_previous`))
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.equal(await exists(`${frameworkDir}_previous`), false)
+      })
+    })
+
+    describe('#updateFramework()', () => {
+      it('should swap in the updated framework and keep the previous one', async () => {
+        const status = await framework.updateFramework('2.0.0')
+        await settle(framework)
+        assert.equal(await readVersion(frameworkDir), '2.0.0')
+        assert.equal(await readVersion(`${frameworkDir}_previous`), '1.0.0')
+        assert.equal(await exists(`${frameworkDir}_next`), false)
+        assert.equal(framework.version, '2.0.0')
+        const snapshot = JSON.parse(await fs.readFile(path.join(`${frameworkDir}_previous`, '.adapt-authoring-update.json')))
+        assert.equal(snapshot.from, '1.0.0')
+        assert.equal(snapshot.to, '2.0.0')
+        assert.equal(status.runId, snapshot.runId)
+        assert.deepEqual(jobs[0].doc.toPlugins, [{ name: 'adapt-contrib-core', version: '2.0.0' }])
+        assert.equal(jobs[0].started, true)
+        assert.equal(runJob.mock.calls[0].arguments[0], jobs[0])
+      })
+
+      it('should leave frameworkDir untouched if the install fails', async () => {
+        failUpdate = true
+        await assert.rejects(framework.updateFramework('2.0.0'), { code: 'FW_UPDATE_FAILED' })
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.deepEqual(await fs.readdir(frameworkDir), ['package.json', 'src'])
+        assert.equal(await exists(`${frameworkDir}_next`), false)
+        assert.equal(jobs.length, 0)
+      })
+
+      it('should clean up if the swap fails', async () => {
+        framework.swapFrameworkDir = async () => { throw new Error('swap failed') }
+        await assert.rejects(framework.updateFramework('2.0.0'), { code: 'FW_UPDATE_FAILED' })
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.deepEqual(await fs.readdir(frameworkDir), ['package.json', 'src'])
+        assert.equal(await exists(`${frameworkDir}_next`), false)
+        assert.equal(jobs[0].started, false)
+        assert.equal(jobs[0].removed, true)
+      })
+
+      it('should put the previous framework back if the migration can\'t be started', async () => {
+        failStart = true
+        await assert.rejects(framework.updateFramework('2.0.0'), { code: 'FW_UPDATE_FAILED' })
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.deepEqual(await fs.readdir(frameworkDir), ['package.json', 'src'])
+        assert.equal(await exists(`${frameworkDir}_next`), false)
+        assert.equal(await exists(`${frameworkDir}_previous`), false)
+        assert.equal(jobs[0].removed, true)
+        assert.equal(runJob.mock.callCount(), 0)
+      })
+    })
+
+    describe('#rollbackFrameworkUpdate()', () => {
+      it('should restore the previous framework and the migrated content', async () => {
+        await update()
+        assert.deepEqual(await framework.rollbackFrameworkUpdate(), { from: '2.0.0', to: '1.0.0', restored: 1 })
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.deepEqual(await fs.readdir(frameworkDir), ['package.json', 'src'])
+        assert.equal(await exists(`${frameworkDir}_previous`), false)
+        assert.equal(await exists(`${frameworkDir}_next`), false)
+        assert.deepEqual(modules.content.update.mock.calls[0].arguments, [{ _id: 'i1' }, { _id: 'i1', title: 'Original' }])
+        assert.equal(markRunReverted.mock.calls[0].arguments[0], jobs[0].doc.runId)
+        assert.equal(framework.version, '1.0.0')
+      })
+
+      it('should leave the content untouched if the framework can\'t be swapped back', async () => {
+        await update()
+        framework.swapFrameworkDir = async () => { throw new Error('swap failed') }
+        await assert.rejects(framework.rollbackFrameworkUpdate(), { code: 'FW_UPDATE_ROLLBACK_FAILED' })
+        assert.equal(modules.content.update.mock.callCount(), 0)
+        assert.equal(markRunReverted.mock.callCount(), 0)
+      })
+
+      it('should put the updated framework back if the content can\'t be restored', async () => {
+        await update()
+        modules.content.update = async () => { throw new Error('db down') }
+        await assert.rejects(framework.rollbackFrameworkUpdate(), { code: 'FW_UPDATE_ROLLBACK_FAILED' })
+        assert.equal(await readVersion(frameworkDir), '2.0.0')
+        assert.equal(await readVersion(`${frameworkDir}_previous`), '1.0.0')
+        assert.equal(await exists(path.join(`${frameworkDir}_previous`, '.adapt-authoring-update.json')), true)
+        assert.equal(markRunReverted.mock.callCount(), 0)
+      })
+
+      it('should fail if there is no update to roll back', async () => {
+        await assert.rejects(framework.rollbackFrameworkUpdate(), { code: 'FW_UPDATE_NO_BACKUP' })
+      })
+    })
+
+    describe('#runMigrationJob()', () => {
+      it('should queue a job started while another is running', async () => {
+        const order = []
+        let release
+        runJob.mock.mockImplementation(async job => {
+          order.push(`${job._id}:start`)
+          if (job._id === 'first') await new Promise(resolve => { release = resolve })
+          order.push(`${job._id}:end`)
+          return { failed: 0 }
+        })
+        const first = framework.runMigrationJob(createJob('first'))
+        const second = framework.runMigrationJob(createJob('second'))
+        await until(() => release)
+        assert.throws(() => framework.checkMigrationNotRunning(), { code: 'FW_MIGRATION_IN_PROGRESS' })
+        release()
+        assert.deepEqual(await Promise.all([first, second]), [{ failed: 0 }, { failed: 0 }])
+        assert.deepEqual(order, ['first:start', 'first:end', 'second:start', 'second:end'])
+        assert.equal(framework.activeMigration, undefined)
+      })
+    })
+
+    describe('#resumeMigrations()', () => {
+      it('should run every unfinished job, after any job already running', async () => {
+        const order = []
+        let release
+        runJob.mock.mockImplementation(async job => {
+          if (job._id === 'active') await new Promise(resolve => { release = resolve })
+          order.push(job._id)
+          return { failed: 0 }
+        })
+        const active = createJob('active')
+        unfinishedJobs = [createJob('active'), createJob('old1'), createJob('old2')]
+        const running = framework.runMigrationJob(active)
+        const resumed = framework.resumeMigrations()
+        await until(() => release)
+        release()
+        await Promise.all([running, resumed])
+        assert.deepEqual(order, ['active', 'old1', 'old2'])
+      })
+    })
+
+    describe('#previewFrameworkUpdate()', () => {
+      it('should report the changes without updating the framework', async () => {
+        const preview = await framework.previewFrameworkUpdate('2.0.0')
+        assert.equal(preview.from, '1.0.0')
+        assert.equal(preview.to, '2.0.0')
+        assert.deepEqual(preview.plugins.changed, [{ name: 'adapt-contrib-core', from: '1.0.0', to: '2.0.0' }])
+        assert.equal(migrateExistingCourses.mock.calls.at(-1).arguments[0].dryRun, true)
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.deepEqual(await fs.readdir(path.join(config.tempDir, 'framework-updates')), [])
+      })
+
+      it('should remove the scratch copy if the update fails', async () => {
+        failUpdate = true
+        await assert.rejects(framework.previewFrameworkUpdate('2.0.0'), { code: 'FW_UPDATE_FAILED' })
+        assert.equal(await readVersion(frameworkDir), '1.0.0')
+        assert.deepEqual(await fs.readdir(path.join(config.tempDir, 'framework-updates')), [])
+      })
+    })
+  })
+})
@@ -32,6 +32,16 @@ describe('BuildCache', () => {
     await fs.rm(tmpDir, { recursive: true, force: true })
   })
 
+  /** Creates a cache entry containing a file of the given size, last used ageMs ago */
+  async function createEntry (pluginHash, size, ageMs = 0) {
+    const entryPath = cache.getPath(pluginHash, 'theme', 'menu', 'vhash')
+    await fs.mkdir(entryPath, { recursive: true })
+    await fs.writeFile(path.join(entryPath, 'index.html'), 'x'.repeat(size))
+    const time = new Date(Date.now() - ageMs)
+    await fs.utimes(entryPath, time, time)
+    return entryPath
+  }
+
   describe('getPath()', () => {
     it('returns one combo-keyed directory path', () => {
       assert.equal(cache.getPath('abc123', 'vanilla', 'boxMenu', 'vhash'), upath.join(cacheRoot, 'abc123_vanilla_boxMenu_vhash'))
@@ -85,6 +95,33 @@ describe('BuildCache', () => {
       assert.equal(await fs.readFile(path.join(cacheDir, 'fonts', 'icon.woff2'), 'utf8'), 'font-data')
       await assert.rejects(fs.access(path.join(cacheDir, 'course')), { code: 'ENOENT' })
     })
+
+    it('records the bundled plugins in the entry manifest', async () => {
+      await fs.writeFile(path.join(buildDir, 'index.html'), '<html></html>')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'adapt-contrib-text', version: '1.0.0' }] })
+      const manifest = await cache.getManifest(cache.getPath('hash1', 'theme', 'menu', 'vhash'))
+      assert.deepEqual(manifest, { plugins: { 'adapt-contrib-text': '1.0.0' } })
+    })
+
+    it('replaces an existing entry which does not bundle the given plugins', async () => {
+      await fs.writeFile(path.join(buildDir, 'index.html'), 'old')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'a', version: '1.0.0' }] })
+      await fs.writeFile(path.join(buildDir, 'index.html'), 'new')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'a', version: '1.0.0' }, { name: 'b', version: '1.0.0' }] })
+      const cacheDir = cache.getPath('hash1', 'theme', 'menu', 'vhash')
+      assert.equal(await fs.readFile(path.join(cacheDir, 'index.html'), 'utf8'), 'new')
+      assert.deepEqual(Object.keys((await cache.getManifest(cacheDir)).plugins), ['a', 'b'])
+    })
+
+    it('keeps an existing entry which already bundles the given plugins', async () => {
+      await fs.writeFile(path.join(buildDir, 'index.html'), 'old')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'a', version: '1.0.0' }, { name: 'b', version: '1.0.0' }] })
+      await fs.writeFile(path.join(buildDir, 'index.html'), 'new')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'a', version: '1.0.0' }] })
+      const cacheDir = cache.getPath('hash1', 'theme', 'menu', 'vhash')
+      assert.equal(await fs.readFile(path.join(cacheDir, 'index.html'), 'utf8'), 'old')
+      assert.deepEqual(Object.keys((await cache.getManifest(cacheDir)).plugins), ['a', 'b'])
+    })
   })
 
   describe('restore()', () => {
@@ -102,6 +139,115 @@ describe('BuildCache', () => {
     })
   })
 
+  describe('lookup()', () => {
+    it('records hits and misses in the stats', async () => {
+      await fs.mkdir(cache.getPath('hash1', 'theme', 'menu', 'vhash'), { recursive: true })
+      assert.equal(await cache.lookup('hash1', 'theme', 'menu', 'vhash'), true)
+      assert.equal(await cache.lookup('hash2', 'theme', 'menu', 'vhash'), false)
+      assert.equal(await cache.lookup('hash3', 'theme', 'menu', 'vhash'), false)
+      const stats = await cache.getStats()
+      assert.equal(stats.hits, 1)
+      assert.equal(stats.misses, 2)
+      assert.equal(stats.hitRatio, 1 / 3)
+      assert.equal(stats.missRatio, 2 / 3)
+    })
+  })
+
+  describe('lookup() with requiredPlugins', () => {
+    it('only hits entries which bundled every required plugin at the same version', async () => {
+      await fs.writeFile(path.join(buildDir, 'index.html'), '<html></html>')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'a', version: '1.0.0' }, { name: 'b', version: '2.0.0' }] })
+      assert.equal(await cache.lookup('hash1', 'theme', 'menu', 'vhash', { requiredPlugins: [{ name: 'a', version: '1.0.0' }] }), true)
+      assert.equal(await cache.lookup('hash1', 'theme', 'menu', 'vhash', { requiredPlugins: [{ name: 'b', version: '2.1.0' }] }), false)
+      assert.equal(await cache.lookup('hash1', 'theme', 'menu', 'vhash', { requiredPlugins: [{ name: 'c', version: '1.0.0' }] }), false)
+    })
+
+    it('misses entries without a manifest', async () => {
+      await createEntry('hash1', 10)
+      assert.equal(await cache.lookup('hash1', 'theme', 'menu', 'vhash', { requiredPlugins: [{ name: 'a', version: '1.0.0' }] }), false)
+    })
+  })
+
+  describe('invalidatePlugins()', () => {
+    it('removes only the entries which bundled a changed plugin', async () => {
+      await fs.writeFile(path.join(buildDir, 'index.html'), '<html></html>')
+      await cache.populate(buildDir, 'hash1', 'vanilla', 'menu', 'vhash', { plugins: [{ name: 'vanilla', version: '1.0.0' }, { name: 'a', version: '1.0.0' }] })
+      await cache.populate(buildDir, 'hash1', 'other', 'menu', 'vhash', { plugins: [{ name: 'other', version: '1.0.0' }, { name: 'a', version: '1.0.0' }] })
+
+      assert.deepEqual(await cache.invalidatePlugins(['vanilla']), ['hash1_vanilla_menu_vhash'])
+      assert.equal(await cache.has('hash1', 'vanilla', 'menu', 'vhash'), false)
+      assert.equal(await cache.getManifest(cache.getPath('hash1', 'vanilla', 'menu', 'vhash')), undefined)
+      assert.equal(await cache.has('hash1', 'other', 'menu', 'vhash'), true)
+    })
+
+    it('keeps every entry when a plugin no entry bundled changes', async () => {
+      await fs.writeFile(path.join(buildDir, 'index.html'), '<html></html>')
+      await cache.populate(buildDir, 'hash1', 'theme', 'menu', 'vhash', { plugins: [{ name: 'a', version: '1.0.0' }] })
+      assert.deepEqual(await cache.invalidatePlugins(['adapt-contrib-unused']), [])
+      assert.equal(await cache.has('hash1', 'theme', 'menu', 'vhash'), true)
+    })
+
+    it('removes entries without a manifest', async () => {
+      await createEntry('hash1', 10)
+      assert.deepEqual(await cache.invalidatePlugins(['a']), ['hash1_theme_menu_vhash'])
+    })
+  })
+
+  describe('getStats()', () => {
+    it('reports entry count and total size', async () => {
+      await createEntry('hash1', 10)
+      await createEntry('hash2', 20)
+      const stats = await cache.getStats()
+      assert.equal(stats.entries, 2)
+      assert.equal(stats.size, 30)
+      assert.equal(stats.hitRatio, 0)
+    })
+
+    it('ignores in-progress temp directories', async () => {
+      await fs.mkdir(`${cache.getPath('hash1', 'theme', 'menu', 'vhash')}_tmp_123`, { recursive: true })
+      assert.equal((await cache.getStats()).entries, 0)
+    })
+  })
+
+  describe('evict()', () => {
+    it('removes the least recently used entries until within maxSize', async () => {
+      const sized = new BuildCache(cacheRoot, { maxSize: 25 })
+      await createEntry('old', 10, 3000)
+      await createEntry('mid', 10, 2000)
+      await createEntry('new', 10, 1000)
+      assert.deepEqual(await sized.evict(), ['old_theme_menu_vhash'])
+      assert.equal((await sized.getEntries()).length, 2)
+    })
+
+    it('does nothing without a maxSize', async () => {
+      await createEntry('old', 10)
+      assert.deepEqual(await cache.evict(), [])
+    })
+
+    it('never evicts the kept entry', async () => {
+      const sized = new BuildCache(cacheRoot, { maxSize: 5 })
+      const kept = await createEntry('old', 10, 3000)
+      await createEntry('new', 10, 1000)
+      assert.deepEqual(await sized.evict({ keep: kept }), ['new_theme_menu_vhash'])
+    })
+
+    it('treats restored entries as recently used', async () => {
+      const sized = new BuildCache(cacheRoot, { maxSize: 15 })
+      await createEntry('old', 10, 3000)
+      await createEntry('new', 10, 1000)
+      await sized.restore('old', 'theme', 'menu', 'vhash', path.join(tmpDir, 'restored'))
+      assert.deepEqual(await sized.evict(), ['new_theme_menu_vhash'])
+    })
+
+    it('runs after populate()', async () => {
+      const sized = new BuildCache(cacheRoot, { maxSize: 15 })
+      await createEntry('old', 10, 3000)
+      await fs.writeFile(path.join(buildDir, 'index.html'), '0123456789')
+      await sized.populate(buildDir, 'new', 'theme', 'menu', 'vhash')
+      assert.deepEqual((await sized.getEntries()).map(e => e.name), ['new_theme_menu_vhash'])
+    })
+  })
+
   describe('invalidate()', () => {
     it('removes the cache directory', async () => {
       await fs.mkdir(cacheRoot, { recursive: true })
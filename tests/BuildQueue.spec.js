@@ -0,0 +1,192 @@
+import { describe, it, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+let docs
+let nextId
+const mockMongodb = {
+  insert: mock.fn(async (collectionName, data) => {
+    const doc = { _id: `job${nextId++}`, ...data }
+    docs.push(doc)
+    return doc
+  }),
+  find: mock.fn(async (collectionName, query) => {
+    if (query._id) return docs.filter(d => d._id === query._id)
+    if (query.buildToken) return docs.filter(d => d.buildToken === query.buildToken && d.createdBy === query.createdBy && d.status === query.status)
+    return docs.filter(d => query.status.$in.includes(d.status))
+  }),
+  update: mock.fn(async (collectionName, { _id }, { $set }) => {
+    const doc = docs.find(d => d._id === _id)
+    if (doc) Object.assign(doc, $set)
+    return doc
+  }),
+  updateMany: mock.fn(async (collectionName, query, { $set }) => {
+    docs.filter(d => d.status === query.status).forEach(d => Object.assign(d, $set))
+  }),
+  setIndex: mock.fn(async () => {})
+}
+const mockJsonschema = {
+  getSchema: async () => ({ validate: data => data })
+}
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        waitForModule: async (...names) => {
+          const modules = names.map(n => n === 'mongodb' ? mockMongodb : mockJsonschema)
+          return modules.length > 1 ? modules : modules[0]
+        }
+      }
+    }
+  }
+})
+
+mock.module('../lib/utils/log.js', {
+  namedExports: {
+    log: () => {}
+  }
+})
+
+const { default: BuildQueue } = await import('../lib/BuildQueue.js')
+
+/** Returns a runJob function whose builds only resolve when release() is called */
+function createControlledRunner () {
+  const releases = []
+  const runJob = mock.fn(job => new Promise(resolve => {
+    releases.push(() => resolve({ buildData: { _id: `build_${job._id}` } }))
+  }))
+  return { runJob, releaseNext: () => releases.shift()() }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve))
+
+describe('BuildQueue', () => {
+  beforeEach(() => {
+    docs = []
+    nextId = 1
+  })
+
+  describe('constructor', () => {
+    it('should default concurrency to 1', () => {
+      assert.equal(new BuildQueue({}).concurrency, 1)
+    })
+
+    it('should not allow concurrency below 1', () => {
+      assert.equal(new BuildQueue({ concurrency: 0 }).concurrency, 1)
+    })
+  })
+
+  describe('#add()', () => {
+    it('should persist a pending job', async () => {
+      const queue = new BuildQueue({ concurrency: 1, runJob: async () => new Promise(() => {}) })
+      await queue.add({ action: 'publish', courseId: 'c1', userId: 'u1' })
+      assert.equal(docs.length, 1)
+      assert.equal(docs[0].action, 'publish')
+      assert.equal(docs[0].createdBy, 'u1')
+    })
+
+    it('should never run more jobs than the concurrency limit', async () => {
+      const { runJob } = createControlledRunner()
+      const queue = new BuildQueue({ concurrency: 2, runJob })
+      for (let i = 0; i < 5; i++) await queue.add({ action: 'preview', courseId: `c${i}`, userId: 'u1' })
+      await tick()
+      assert.equal(runJob.mock.calls.length, 2)
+      assert.equal(queue.running.size, 2)
+      assert.equal(queue.pending.length, 3)
+    })
+
+    it('should return the queue position of waiting jobs', async () => {
+      const { runJob } = createControlledRunner()
+      const queue = new BuildQueue({ concurrency: 1, runJob })
+      await queue.add({ action: 'preview', courseId: 'c1', userId: 'u1' })
+      const second = await queue.add({ action: 'preview', courseId: 'c2', userId: 'u1' })
+      const third = await queue.add({ action: 'preview', courseId: 'c3', userId: 'u1' })
+      assert.equal(second.position, 1)
+      assert.equal(third.position, 2)
+    })
+  })
+
+  describe('#runOne()', () => {
+    it('should start the next job once a running job completes', async () => {
+      const { runJob, releaseNext } = createControlledRunner()
+      const queue = new BuildQueue({ concurrency: 1, runJob })
+      await queue.add({ action: 'preview', courseId: 'c1', userId: 'u1' })
+      await queue.add({ action: 'preview', courseId: 'c2', userId: 'u1' })
+      await tick()
+      releaseNext()
+      await tick()
+      await tick()
+      assert.equal(docs[0].status, 'completed')
+      assert.equal(docs[0].buildId, 'build_job1')
+      assert.equal(docs[1].status, 'running')
+      assert.equal(runJob.mock.calls.length, 2)
+    })
+
+    it('should record failed jobs and continue', async () => {
+      const e = Object.assign(new Error('boom'), { code: 'FW_CLI_BUILD_FAILED', statusCode: 500 })
+      const queue = new BuildQueue({ concurrency: 1, runJob: async () => { throw e } })
+      await queue.add({ action: 'publish', courseId: 'c1', userId: 'u1' })
+      await tick()
+      await tick()
+      assert.equal(docs[0].status, 'failed')
+      assert.deepEqual(docs[0].error, { code: 'FW_CLI_BUILD_FAILED', statusCode: 500, message: 'boom' })
+      assert.equal(queue.running.size, 0)
+    })
+  })
+
+  describe('#cancel()', () => {
+    it('should remove a pending job from the queue', async () => {
+      const { runJob } = createControlledRunner()
+      const queue = new BuildQueue({ concurrency: 1, runJob })
+      await queue.add({ action: 'preview', courseId: 'c1', userId: 'u1', buildToken: 't1' })
+      await queue.add({ action: 'preview', courseId: 'c2', userId: 'u1', buildToken: 't2' })
+      assert.equal(await queue.cancel('t2', 'u1'), true)
+      assert.deepEqual(queue.pending, [])
+      assert.equal(docs[1].status, 'cancelled')
+    })
+
+    it('should not cancel jobs queued by another user', async () => {
+      const { runJob } = createControlledRunner()
+      const queue = new BuildQueue({ concurrency: 1, runJob })
+      await queue.add({ action: 'preview', courseId: 'c1', userId: 'u1', buildToken: 't1' })
+      await queue.add({ action: 'preview', courseId: 'c2', userId: 'u1', buildToken: 't2' })
+      assert.equal(await queue.cancel('t2', 'u2'), false)
+      assert.equal(queue.pending.length, 1)
+    })
+
+    it('should mark jobs which fail with FW_BUILD_CANCELLED as cancelled', async () => {
+      const e = Object.assign(new Error('cancelled'), { code: 'FW_BUILD_CANCELLED' })
+      const queue = new BuildQueue({ concurrency: 1, runJob: async () => { throw e } })
+      await queue.add({ action: 'preview', courseId: 'c1', userId: 'u1', buildToken: 't1' })
+      await tick()
+      await tick()
+      assert.equal(docs[0].status, 'cancelled')
+      assert.equal(docs[0].error, undefined)
+    })
+  })
+
+  describe('#restore()', () => {
+    it('should re-queue pending and interrupted jobs', async () => {
+      docs.push(
+        { _id: 'a', status: 'running', action: 'preview', courseId: 'c1', createdBy: 'u1' },
+        { _id: 'b', status: 'pending', action: 'preview', courseId: 'c2', createdBy: 'u1' },
+        { _id: 'c', status: 'completed', action: 'preview', courseId: 'c3', createdBy: 'u1' }
+      )
+      const { runJob } = createControlledRunner()
+      const queue = new BuildQueue({ concurrency: 1, runJob })
+      await queue.restore()
+      await tick()
+      assert.equal(runJob.mock.calls.length, 1)
+      assert.equal(runJob.mock.calls[0].arguments[0]._id, 'a')
+      assert.deepEqual(queue.pending, ['b'])
+      assert.equal(docs[2].status, 'completed')
+    })
+
+    it('should do nothing when there are no unfinished jobs', async () => {
+      const runJob = mock.fn()
+      const queue = new BuildQueue({ concurrency: 1, runJob })
+      await queue.restore()
+      assert.equal(runJob.mock.calls.length, 0)
+    })
+  })
+})
@@ -0,0 +1,193 @@
+import { describe, it, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import os from 'node:os'
+
+let docs
+let nextId
+const mockMongodb = {
+  insert: mock.fn(async (collectionName, data) => {
+    const doc = { _id: `journal${nextId++}`, ...data }
+    docs.push(doc)
+    return doc
+  }),
+  find: mock.fn(async (collectionName, { hostname, startedAt }) => docs.filter(d => {
+    return hostname.$in.includes(d.hostname ?? null) && new Date(d.startedAt) < startedAt.$lt
+  })),
+  update: mock.fn(async (collectionName, { _id }, { $push = {}, $pull = {} }) => {
+    const doc = docs.find(d => d._id === _id)
+    Object.entries($push).forEach(([key, { $each }]) => doc.created[key.split('.')[1]].push(...$each))
+    Object.entries($pull).forEach(([key, { $in }]) => {
+      const type = key.split('.')[1]
+      doc.created[type] = doc.created[type].filter(id => !$in.includes(id))
+    })
+    return doc
+  }),
+  deleteMany: mock.fn(async (collectionName, { _id }) => {
+    docs = docs.filter(d => d._id !== _id)
+  })
+}
+const mockContent = { deleteMany: mock.fn(async () => {}) }
+const mockAssets = { delete: mock.fn(async () => {}) }
+const mockTags = { delete: mock.fn(async () => {}) }
+const mockContentplugin = {
+  delete: mock.fn(async () => {}),
+  restorePluginFromBackup: mock.fn(async () => {})
+}
+const modules = {
+  mongodb: mockMongodb,
+  jsonschema: { getSchema: async () => ({ validate: data => data }) },
+  content: mockContent,
+  assets: mockAssets,
+  tags: mockTags,
+  contentplugin: mockContentplugin
+}
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]]
+      }
+    }
+  }
+})
+
+mock.module('adapt-authoring-mongodb', {
+  namedExports: {
+    parseObjectId: id => `oid:${id}`
+  }
+})
+
+mock.module('../lib/utils/log.js', {
+  namedExports: {
+    log: () => {}
+  }
+})
+
+const { default: ImportJournal } = await import('../lib/ImportJournal.js')
+
+describe('ImportJournal', () => {
+  beforeEach(() => {
+    docs = []
+    nextId = 1
+    Object.values(modules).forEach(m => Object.values(m).forEach(fn => fn.mock?.resetCalls()))
+  })
+
+  describe('create()', () => {
+    it('should persist an empty journal', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1', importToken: 'tok', updateCourseId: 'course1' })
+      assert.equal(journal._id, 'journal1')
+      assert.equal(docs.length, 1)
+      assert.equal(docs[0].userId, 'user1')
+      assert.equal(docs[0].importToken, 'tok')
+      assert.equal(docs[0].updateCourseId, 'course1')
+      assert.equal(docs[0].hostname, os.hostname())
+      assert.ok(docs[0].startedAt)
+      assert.deepEqual(docs[0].created, { courses: [], content: [], tags: [], assets: [], plugins: [], updatedPlugins: [] })
+    })
+  })
+
+  describe('record()', () => {
+    it('should append ids as strings', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1' })
+      await journal.record('assets', ['a1'])
+      await journal.record('assets', [{ toString: () => 'a2' }])
+      assert.deepEqual(docs[0].created.assets, ['a1', 'a2'])
+    })
+
+    it('should do nothing when there are no ids', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1' })
+      await journal.record('plugins', [])
+      assert.equal(mockMongodb.update.mock.callCount(), 0)
+    })
+  })
+
+  describe('discard()', () => {
+    it('should remove recorded ids', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1' })
+      await journal.record('plugins', ['p1', 'p2', 'p3'])
+      await journal.discard('plugins', ['p1', { toString: () => 'p3' }])
+      assert.deepEqual(docs[0].created.plugins, ['p2'])
+    })
+
+    it('should do nothing when there are no ids', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1' })
+      await journal.discard('plugins', [])
+      assert.equal(mockMongodb.update.mock.callCount(), 0)
+    })
+  })
+
+  describe('remove()', () => {
+    it('should delete the journal', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1' })
+      await journal.remove()
+      assert.equal(docs.length, 0)
+    })
+
+    it('should not throw if the journal can\'t be deleted', async () => {
+      const journal = await ImportJournal.create({ userId: 'user1' })
+      mockMongodb.deleteMany.mock.mockImplementationOnce(async () => { throw new Error('db down') })
+      await journal.remove()
+    })
+  })
+
+  describe('rollback()', () => {
+    it('should delete everything recorded and restore updated plugins', async () => {
+      const journal = new ImportJournal({
+        _id: 'journal1',
+        userId: 'user1',
+        created: { courses: ['c1'], content: ['i1'], tags: ['t1'], assets: ['a1', 'a2'], plugins: ['p1'], updatedPlugins: ['adapt-contrib-text'] }
+      })
+      await journal.rollback()
+      assert.deepEqual(mockContent.deleteMany.mock.calls.map(c => c.arguments[0]), [
+        { _courseId: 'oid:c1' },
+        { _id: { $in: ['oid:i1'] } }
+      ])
+      assert.deepEqual(mockAssets.delete.mock.calls.map(c => c.arguments[0]), [{ _id: 'a1' }, { _id: 'a2' }])
+      assert.deepEqual(mockTags.delete.mock.calls[0].arguments[0], { _id: 't1' })
+      assert.deepEqual(mockContentplugin.delete.mock.calls[0].arguments[0], { _id: 'p1' })
+      assert.equal(mockContentplugin.restorePluginFromBackup.mock.calls[0].arguments[0], 'adapt-contrib-text')
+    })
+
+    it('should continue when a delete fails', async () => {
+      mockAssets.delete.mock.mockImplementationOnce(async () => { throw new Error('fail') })
+      const journal = new ImportJournal({ _id: 'journal1', userId: 'user1', created: { assets: ['a1'], tags: ['t1'] } })
+      await journal.rollback()
+      assert.equal(mockTags.delete.mock.callCount(), 1)
+    })
+  })
+
+  describe('recover()', () => {
+    it('should roll back and remove every journal left behind', async () => {
+      const first = await ImportJournal.create({ userId: 'user1' })
+      await first.record('courses', ['c1'])
+      const second = await ImportJournal.create({ userId: 'user2' })
+      await second.record('tags', ['t1'])
+      assert.equal(await ImportJournal.recover({ startedBefore: new Date(Date.now() + 1000) }), 2)
+      assert.deepEqual(mockContent.deleteMany.mock.calls[0].arguments[0], { _courseId: 'oid:c1' })
+      assert.deepEqual(mockTags.delete.mock.calls[0].arguments[0], { _id: 't1' })
+      assert.equal(docs.length, 0)
+    })
+
+    it('should roll back the newest journal first', async () => {
+      await ImportJournal.recover({ startedBefore: new Date() })
+      assert.deepEqual(mockMongodb.find.mock.calls[0].arguments[2], { sort: { startedAt: -1 } })
+    })
+
+    it('should leave imports started since boot, or by another server', async () => {
+      const bootTime = new Date()
+      docs.push(
+        { _id: 'other', userId: 'user1', hostname: 'other-host', startedAt: new Date(bootTime - 1000).toISOString(), created: {} },
+        { _id: 'running', userId: 'user1', hostname: os.hostname(), startedAt: new Date(bootTime.getTime() + 1000).toISOString(), created: {} },
+        { _id: 'legacy', userId: 'user1', startedAt: new Date(bootTime - 1000).toISOString(), created: {} }
+      )
+      assert.equal(await ImportJournal.recover({ startedBefore: bootTime }), 1)
+      assert.deepEqual(docs.map(d => d._id), ['other', 'running'])
+    })
+
+    it('should do nothing when there are no journals', async () => {
+      assert.equal(await ImportJournal.recover({ startedBefore: new Date() }), 0)
+      assert.equal(mockContent.deleteMany.mock.callCount(), 0)
+    })
+  })
+})
@@ -0,0 +1,141 @@
+import { describe, it, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+/** Creates an error like those in App.instance.errors */
+const errorFactory = code => ({ setData: data => Object.assign(new Error(code), { code, data }) })
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        errors: new Proxy({}, { get: (target, code) => errorFactory(code) })
+      }
+    }
+  }
+})
+
+const { default: ImportMigrationRegistry } = await import('../lib/ImportMigrationRegistry.js')
+
+const BUILT_INS = ['ComponentTransform', 'ConfigTransform', 'GraphicSrcTransform', 'NavOrderTransform', 'ParentIdTransform', 'RemoveUndefTransform', 'StartPageTransform', 'ThemeUndefTransform', 'VanillaBackgroundStylesTransform']
+
+/** Creates a registry with only the built-ins listed enabled */
+const createRegistry = (enabled = []) => new ImportMigrationRegistry({ disabled: BUILT_INS.filter(n => !enabled.includes(n)) })
+
+const importer = {
+  pkg: { version: '5.20.0' },
+  usedContentPlugins: { graphic: { name: 'adapt-contrib-graphic', version: '7.1.0' } },
+  idMap: { p1: 'mapped1' }
+}
+
+describe('ImportMigrationRegistry', () => {
+  describe('#register()', () => {
+    it('should register the built-in migrations in order', () => {
+      assert.deepEqual(new ImportMigrationRegistry().order.map(m => m.name), BUILT_INS)
+    })
+
+    it('should run a plain function after the built-in migrations', () => {
+      const registry = new ImportMigrationRegistry()
+      registry.register(function CustomTransform () {})
+      assert.equal(registry.order.at(-1).name, 'CustomTransform')
+    })
+
+    it('should give an anonymous function a generated name', () => {
+      const registry = new ImportMigrationRegistry()
+      assert.equal(registry.register(() => {}), 'anonymous-1')
+      assert.equal(registry.register(() => {}), 'anonymous-2')
+      assert.deepEqual(registry.order.slice(-2).map(m => m.name), ['anonymous-1', 'anonymous-2'])
+    })
+
+    it('should give a function whose name is taken a generated name', () => {
+      const registry = new ImportMigrationRegistry()
+      const first = function CustomTransform () {}
+      const second = function CustomTransform () {}
+      registry.register(first)
+      assert.equal(registry.register(second), 'CustomTransform-1')
+      assert.equal(registry.register(function ConfigTransform () {}), 'ConfigTransform-1')
+      assert.equal(registry.migrations.get('CustomTransform').run, first)
+      assert.equal(registry.migrations.get('CustomTransform-1').run, second)
+    })
+
+    it('should order migrations by their dependencies', () => {
+      const registry = createRegistry()
+      registry.register({ name: 'a', after: ['c'], run: () => {} })
+      registry.register({ name: 'b', run: () => {} })
+      registry.register({ name: 'c', before: ['ParentIdTransform'], run: () => {} })
+      assert.deepEqual(registry.order.map(m => m.name).filter(n => ['a', 'b', 'c', 'ParentIdTransform'].includes(n)), ['c', 'ParentIdTransform', 'a', 'b'])
+    })
+
+    it('should ignore dependencies on migrations which aren\'t registered', () => {
+      const registry = createRegistry()
+      registry.register({ name: 'a', after: ['missing'], run: () => {} })
+      assert.equal(registry.order.at(-1).name, 'a')
+    })
+
+    it('should reject circular dependencies', () => {
+      const registry = createRegistry()
+      registry.register({ name: 'a', after: ['b'], run: () => {} })
+      assert.throws(() => registry.register({ name: 'b', after: ['a'], run: () => {} }), e => {
+        assert.equal(e.code, 'FW_IMPORT_MIGRATION_INVALID')
+        assert.match(e.data.reason, /circular dependency between a, b/)
+        return true
+      })
+      assert.equal(registry.migrations.has('b'), false)
+    })
+
+    it('should reject invalid migrations', () => {
+      const registry = createRegistry()
+      const rejects = (migration, reason) => assert.throws(() => registry.register(migration), e => e.code === 'FW_IMPORT_MIGRATION_INVALID' && reason.test(e.data.reason))
+      rejects({ name: 'a' }, /run must be a function/)
+      rejects({ run: () => {} }, /must have a name/)
+      rejects({ name: 'ConfigTransform', run: () => {} }, /already registered/)
+      rejects({ name: 'a', frameworkVersion: 'latest', run: () => {} }, /invalid version range 'latest'/)
+      rejects({ name: 'a', pluginVersions: { 'adapt-contrib-text': 'x.y' }, run: () => {} }, /invalid version range 'x.y'/)
+    })
+  })
+
+  describe('#run()', () => {
+    it('should run the enabled built-in migrations', async () => {
+      const data = await createRegistry(['ParentIdTransform']).run({ _type: 'page', _parentId: 'p1', title: null }, importer)
+      assert.deepEqual(data, { _type: 'page', _parentId: 'mapped1', title: null })
+    })
+
+    it('should not run disabled migrations', async () => {
+      const registry = new ImportMigrationRegistry({ disabled: ['GraphicSrcTransform'] })
+      const data = { _type: 'component', _component: 'adapt-contrib-graphic', _graphic: { src: 'a.png' } }
+      await registry.run(data, { ...importer, componentNameMap: { 'adapt-contrib-graphic': 'adapt-contrib-graphic' } })
+      assert.deepEqual(data._graphic, { src: 'a.png' })
+    })
+
+    it('should only run migrations for the content types and components they apply to', async () => {
+      const registry = createRegistry()
+      const run = mock.fn()
+      registry.register({ name: 'a', types: ['component'], components: ['adapt-contrib-text'], run })
+      await registry.run({ _type: 'component', _component: 'adapt-contrib-text' }, importer)
+      await registry.run({ _type: 'component', _component: 'adapt-contrib-mcq' }, importer)
+      await registry.run({ _type: 'block' }, importer)
+      assert.equal(run.mock.calls.length, 1)
+    })
+
+    it('should only run migrations for the framework and plugin versions they apply to', async () => {
+      const registry = createRegistry()
+      const runs = []
+      const register = (name, options) => registry.register({ name, run: () => runs.push(name), ...options })
+      register('framework', { frameworkVersion: '>=5.10' })
+      register('oldFramework', { frameworkVersion: '<5' })
+      register('plugin', { pluginVersions: { 'adapt-contrib-graphic': '7.x' } })
+      register('oldPlugin', { pluginVersions: { 'adapt-contrib-graphic': '<7' } })
+      register('unusedPlugin', { pluginVersions: { 'adapt-contrib-text': '*' } })
+      await registry.run({ _type: 'course' }, importer)
+      assert.deepEqual(runs, ['framework', 'plugin'])
+    })
+
+    it('should check each migration against the changes made by earlier migrations', async () => {
+      const registry = createRegistry()
+      const run = mock.fn()
+      registry.register({ name: 'rename', run: data => { data._component = 'adapt-contrib-text' } })
+      registry.register({ name: 'a', components: ['adapt-contrib-text'], run })
+      await registry.run({ _type: 'component', _component: 'text' }, importer)
+      assert.equal(run.mock.calls.length, 1)
+    })
+  })
+})
@@ -0,0 +1,196 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+
+let docs
+let nextId
+const mockMongodb = {
+  insert: mock.fn(async (collectionName, data) => {
+    const doc = { _id: `upload${nextId++}`, ...data }
+    docs.push(doc)
+    return doc
+  }),
+  find: mock.fn(async (collectionName, query) => docs.filter(d => {
+    if (query._id) return d._id === query._id
+    if (query.expiresAt) return new Date(d.expiresAt) < query.expiresAt.$lt
+    return true
+  })),
+  update: mock.fn(async (collectionName, { _id }, { $set }) => Object.assign(docs.find(d => d._id === _id), $set)),
+  deleteMany: mock.fn(async (collectionName, { _id }) => {
+    docs = docs.filter(d => d._id !== _id)
+  })
+}
+const modules = {
+  mongodb: mockMongodb,
+  jsonschema: { getSchema: async () => ({ validate: data => data }) }
+}
+
+/** Creates an error like those in App.instance.errors */
+const errorFactory = code => ({ setData: data => Object.assign(new Error(code), { code, data }) })
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]],
+        errors: new Proxy({}, { get: (target, code) => errorFactory(code) })
+      }
+    }
+  }
+})
+
+mock.module('adapt-authoring-mongodb', {
+  namedExports: {
+    isValidObjectId: id => id.startsWith('upload')
+  }
+})
+
+mock.module('../lib/utils/log.js', {
+  namedExports: {
+    log: () => {}
+  }
+})
+
+const { default: ImportUpload } = await import('../lib/ImportUpload.js')
+
+describe('ImportUpload', () => {
+  let dir
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fw-test-'))
+  })
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true })
+  })
+
+  beforeEach(() => {
+    docs = []
+    nextId = 1
+  })
+
+  const create = (options = {}) => ImportUpload.create({ userId: 'user1', size: 10, filename: 'course.zip', dir, lifespan: 60000, ...options })
+
+  describe('create()', () => {
+    it('should persist the upload and create an empty file for its data', async () => {
+      const upload = await create()
+      assert.equal(upload._id, 'upload1')
+      assert.equal(docs[0].size, 10)
+      assert.equal(docs[0].filename, 'course.zip')
+      assert.equal(path.dirname(docs[0].filePath), dir)
+      assert.equal(await upload.getOffset(), 0)
+      assert.ok(new Date(docs[0].expiresAt) > new Date())
+    })
+  })
+
+  describe('get()', () => {
+    it('should return the user\'s upload', async () => {
+      await create()
+      assert.equal((await ImportUpload.get('upload1', 'user1'))._id, 'upload1')
+    })
+
+    it('should not return another user\'s upload', async () => {
+      await create()
+      await assert.rejects(ImportUpload.get('upload1', 'user2'), { code: 'FW_IMPORT_UPLOAD_NOT_FOUND' })
+    })
+
+    it('should not return an expired upload', async () => {
+      await create({ lifespan: -1 })
+      await assert.rejects(ImportUpload.get('upload1', 'user1'), { code: 'FW_IMPORT_UPLOAD_NOT_FOUND' })
+    })
+
+    it('should not return an upload for an invalid id', async () => {
+      await assert.rejects(ImportUpload.get('invalid', 'user1'), { code: 'FW_IMPORT_UPLOAD_NOT_FOUND' })
+    })
+  })
+
+  describe('#write()', () => {
+    it('should append chunks at the current offset', async () => {
+      const upload = await create()
+      assert.equal((await upload.write(Readable.from(['hello']), 0)).offset, 5)
+      const status = await upload.write(Readable.from(['world']), 5)
+      assert.equal(status.offset, 10)
+      assert.equal(status.complete, true)
+      assert.equal(await fs.readFile(docs[0].filePath, 'utf8'), 'helloworld')
+    })
+
+    it('should reject a chunk which doesn\'t start at the current offset', async () => {
+      const upload = await create()
+      await upload.write(Readable.from(['hello']), 0)
+      await assert.rejects(upload.write(Readable.from(['world']), 3), e => {
+        assert.equal(e.code, 'FW_IMPORT_UPLOAD_OFFSET_MISMATCH')
+        assert.deepEqual(e.data, { uploadId: 'upload1', offset: 3, expected: 5 })
+        return true
+      })
+    })
+
+    it('should reject the whole of a chunk which goes past the upload size', async () => {
+      const upload = await create()
+      await upload.write(Readable.from(['hello']), 0)
+      await assert.rejects(upload.write(Readable.from(['world', '!']), 5), { code: 'FW_IMPORT_UPLOAD_TOO_LARGE' })
+      assert.equal(await upload.getOffset(), 5)
+    })
+
+    it('should keep the data received before a stream error', async () => {
+      const upload = await create()
+      let reads = 0
+      const stream = new Readable({
+        read () {
+          if (reads++ === 0) return this.push('hel')
+          setImmediate(() => this.destroy(new Error('aborted')))
+        }
+      })
+      await assert.rejects(upload.write(stream, 0), { message: 'aborted' })
+      assert.equal(await upload.getOffset(), 3)
+      assert.equal((await upload.write(Readable.from(['lo']), 3)).offset, 5)
+    })
+
+    it('should reject a chunk while another is being written', async () => {
+      const upload = await create()
+      const stream = new Readable({ read () {} })
+      const writing = upload.write(stream, 0)
+      await assert.rejects(upload.write(Readable.from(['world']), 0), { code: 'FW_IMPORT_UPLOAD_LOCKED' })
+      stream.push(null)
+      await writing
+    })
+
+    it('should extend the expiry of the upload', async () => {
+      const upload = await create()
+      const { expiresAt } = docs[0]
+      await new Promise(resolve => setTimeout(resolve, 5))
+      await upload.write(Readable.from(['hello']), 0)
+      assert.ok(new Date(docs[0].expiresAt) > new Date(expiresAt))
+    })
+  })
+
+  describe('#complete()', () => {
+    it('should remove the upload record and return the path to its data', async () => {
+      const upload = await create({ size: 5 })
+      await upload.write(Readable.from(['hello']), 0)
+      const filePath = await upload.complete()
+      assert.equal(await fs.readFile(filePath, 'utf8'), 'hello')
+      assert.equal(docs.length, 0)
+    })
+
+    it('should reject an upload which is missing data', async () => {
+      const upload = await create()
+      await upload.write(Readable.from(['hello']), 0)
+      await assert.rejects(upload.complete(), { code: 'FW_IMPORT_UPLOAD_INCOMPLETE' })
+      assert.equal(docs.length, 1)
+    })
+  })
+
+  describe('purgeExpired()', () => {
+    it('should remove expired uploads and their data', async () => {
+      await create({ lifespan: -1 })
+      await create()
+      const expiredPath = docs[0].filePath
+      assert.equal(await ImportUpload.purgeExpired(), 1)
+      assert.deepEqual(docs.map(d => d._id), ['upload2'])
+      await assert.rejects(fs.stat(expiredPath), { code: 'ENOENT' })
+    })
+  })
+})
@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+let docs
+let items
+let nextId
+const mockMongodb = {
+  insert: mock.fn(async (collectionName, data) => {
+    const doc = { _id: `migration${nextId++}`, ...data }
+    docs.push(doc)
+    return doc
+  }),
+  find: mock.fn(async (collectionName, query) => docs.filter(d => {
+    return Object.entries(query).every(([k, v]) => d[k] === v)
+  })),
+  update: mock.fn(async (collectionName, { _id }, { $set }) => Object.assign(docs.find(d => d._id === _id), $set)),
+  updateMany: mock.fn(async (collectionName, { runId }, { $set }) => {
+    docs.filter(d => d.runId === runId && !d.revertedAt).forEach(d => Object.assign(d, $set))
+  })
+}
+const mockContent = {
+  findOne: mock.fn(async ({ _id }) => items[_id]),
+  update: mock.fn(async ({ _id }, data) => {
+    items[_id] = { _id, ...data }
+  })
+}
+const modules = {
+  content: mockContent,
+  mongodb: mockMongodb,
+  jsonschema: { getSchema: async () => ({ validate: data => data }) }
+}
+
+/** Creates an error like those in App.instance.errors */
+const errorFactory = code => ({ setData: data => Object.assign(new Error(code), { code, data }) })
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]],
+        errors: new Proxy({}, { get: (target, code) => errorFactory(code) })
+      }
+    }
+  }
+})
+
+mock.module('adapt-authoring-mongodb', {
+  namedExports: {
+    isValidObjectId: id => id.startsWith('migration')
+  }
+})
+
+mock.module('../lib/utils/log.js', {
+  namedExports: {
+    log: () => {}
+  }
+})
+
+const { default: MigrationHistory } = await import('../lib/MigrationHistory.js')
+
+describe('MigrationHistory', () => {
+  const record = (options = {}) => MigrationHistory.record({
+    courseId: 'course1',
+    runId: 'run1',
+    fromPlugins: [{ name: 'adapt-contrib-core', version: '1.0.0' }],
+    toPlugins: [{ name: 'adapt-contrib-core', version: '2.0.0' }],
+    scripts: ['src/core/migrations/v2.js'],
+    changes: [{
+      _id: 'item1',
+      _type: 'component',
+      _component: 'adapt-contrib-text',
+      patch: [{ op: 'add', path: '/_isOptional', value: false }],
+      revertPatch: [{ op: 'remove', path: '/_isOptional' }]
+    }],
+    ...options
+  })
+
+  beforeEach(() => {
+    docs = []
+    nextId = 1
+    items = { item1: { _id: 'item1', _type: 'component', title: 'Text', _isOptional: false } }
+  })
+
+  describe('record()', () => {
+    it('should persist the migration', async () => {
+      const doc = await record()
+      assert.equal(doc._id, 'migration1')
+      assert.equal(docs[0].courseId, 'course1')
+      assert.equal(docs[0].changes.length, 1)
+      assert.ok(docs[0].createdAt)
+    })
+  })
+
+  describe('find()', () => {
+    it('should return only the migrations of the course', async () => {
+      await record()
+      await record({ courseId: 'course2' })
+      assert.deepEqual((await MigrationHistory.find('course1')).map(d => d._id), ['migration1'])
+    })
+  })
+
+  describe('get()', () => {
+    it('should not return another course\'s migration', async () => {
+      await record()
+      await assert.rejects(MigrationHistory.get('course2', 'migration1'), { code: 'FW_MIGRATION_NOT_FOUND' })
+    })
+
+    it('should not return a migration for an invalid id', async () => {
+      await assert.rejects(MigrationHistory.get('course1', 'invalid'), { code: 'FW_MIGRATION_NOT_FOUND' })
+    })
+  })
+
+  describe('revert()', () => {
+    it('should apply the reverse patch of each changed item', async () => {
+      await record()
+      assert.deepEqual(await MigrationHistory.revert('course1', 'migration1'), { reverted: 1, skipped: [] })
+      assert.deepEqual(items.item1, { _id: 'item1', _type: 'component', title: 'Text' })
+      assert.ok(docs[0].revertedAt)
+    })
+
+    it('should skip items which no longer exist', async () => {
+      await record()
+      delete items.item1
+      const { reverted, skipped } = await MigrationHistory.revert('course1', 'migration1')
+      assert.equal(reverted, 0)
+      assert.deepEqual(skipped, [{ _id: 'item1', reason: 'item no longer exists' }])
+    })
+
+    it('should skip items whose migrated fields have been removed since', async () => {
+      mockContent.update.mock.resetCalls()
+      await record()
+      delete items.item1._isOptional
+      const { skipped } = await MigrationHistory.revert('course1', 'migration1')
+      assert.deepEqual(skipped, [{ _id: 'item1', reason: 'changed since the migration (/_isOptional)' }])
+      assert.equal(mockContent.update.mock.calls.length, 0)
+    })
+
+    it('should skip items whose migrated fields have been edited since', async () => {
+      mockContent.update.mock.resetCalls()
+      await record({
+        changes: [{
+          _id: 'item1',
+          _type: 'component',
+          _component: 'adapt-contrib-text',
+          patch: [{ op: 'replace', path: '/title', value: 'Text' }, { op: 'add', path: '/_isOptional', value: false }],
+          revertPatch: [{ op: 'replace', path: '/title', value: 'Old text' }, { op: 'remove', path: '/_isOptional' }]
+        }]
+      })
+      items.item1.title = 'Edited text'
+      const { reverted, skipped } = await MigrationHistory.revert('course1', 'migration1')
+      assert.equal(reverted, 0)
+      assert.deepEqual(skipped, [{ _id: 'item1', reason: 'changed since the migration (/title)' }])
+      assert.equal(mockContent.update.mock.calls.length, 0)
+      assert.equal(items.item1.title, 'Edited text')
+    })
+
+    it('should skip items whose removed fields have been added back since', async () => {
+      await record({
+        changes: [{
+          _id: 'item1',
+          _type: 'component',
+          _component: 'adapt-contrib-text',
+          patch: [{ op: 'remove', path: '/_legacy' }],
+          revertPatch: [{ op: 'add', path: '/_legacy', value: 'old' }]
+        }]
+      })
+      items.item1._legacy = 'new'
+      const { skipped } = await MigrationHistory.revert('course1', 'migration1')
+      assert.deepEqual(skipped, [{ _id: 'item1', reason: 'changed since the migration (/_legacy)' }])
+      assert.equal(items.item1._legacy, 'new')
+    })
+
+    it('should not mark the migration as reverted if every item was skipped', async () => {
+      await record()
+      delete items.item1
+      await MigrationHistory.revert('course1', 'migration1')
+      assert.equal(docs[0].revertedAt, undefined)
+    })
+
+    it('should reject a migration which has already been reverted', async () => {
+      await record()
+      await MigrationHistory.revert('course1', 'migration1')
+      await assert.rejects(MigrationHistory.revert('course1', 'migration1'), { code: 'FW_MIGRATION_ALREADY_REVERTED' })
+    })
+  })
+
+  describe('markRunReverted()', () => {
+    it('should mark every record of the run as reverted', async () => {
+      await record()
+      await record({ runId: 'run2' })
+      await MigrationHistory.markRunReverted('run1')
+      assert.ok(docs[0].revertedAt)
+      assert.equal(docs[1].revertedAt, undefined)
+    })
+  })
+})
@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+
+let docs
+let nextId
+const mockMongodb = {
+  insert: mock.fn(async (collectionName, data) => {
+    const doc = { _id: `job${nextId++}`, ...data }
+    docs.push(structuredClone(doc))
+    return doc
+  }),
+  find: mock.fn(async (collectionName, query) => structuredClone(docs.filter(d => !query.status || d.status === query.status))),
+  update: mock.fn(async (collectionName, { _id }, { $set, $push }) => {
+    const doc = docs.find(d => d._id === _id)
+    Object.assign(doc, structuredClone($set))
+    Object.entries($push ?? {}).forEach(([k, v]) => { doc[k] = [...doc[k], v] })
+    return doc
+  }),
+  deleteMany: mock.fn(async (collectionName, { _id }) => {
+    docs = docs.filter(d => d._id !== _id)
+  })
+}
+const modules = {
+  content: { find: async () => [{ _id: 'course1' }, { _id: 'course2' }, { _id: 'course3' }] },
+  mongodb: mockMongodb,
+  jsonschema: { getSchema: async () => ({ validate: data => data }) }
+}
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]]
+      }
+    }
+  }
+})
+
+/** Reports each course as done, failing those listed in failedCourses */
+let failedCourses
+const mockMigrateExistingCourses = mock.fn(async ({ courseIds, onCourseComplete }) => {
+  for (const courseId of courseIds) {
+    await onCourseComplete({ courseId, error: failedCourses.includes(courseId) ? 'boom' : undefined })
+  }
+})
+mock.module('../lib/utils/migrateExistingCourses.js', {
+  namedExports: {
+    migrateExistingCourses: mockMigrateExistingCourses
+  }
+})
+
+mock.module('../lib/utils/log.js', {
+  namedExports: {
+    log: () => {}
+  }
+})
+
+const { default: MigrationJob } = await import('../lib/MigrationJob.js')
+
+describe('MigrationJob', () => {
+  const create = () => MigrationJob.create({
+    runId: 'run1',
+    fromPlugins: [{ name: 'adapt-contrib-core', version: '1.0.0' }],
+    toPlugins: [{ name: 'adapt-contrib-core', version: '2.0.0' }],
+    frameworkDir: '/fw'
+  })
+
+  beforeEach(() => {
+    docs = []
+    nextId = 1
+    failedCourses = []
+    mockMigrateExistingCourses.mock.resetCalls()
+  })
+
+  describe('create()', () => {
+    it('should persist a pending job for every course', async () => {
+      const job = await create()
+      assert.equal(job._id, 'job1')
+      assert.deepEqual(docs[0].courseIds, ['course1', 'course2', 'course3'])
+      assert.equal(docs[0].status, 'pending')
+      assert.equal(job.getStatus().total, 3)
+    })
+  })
+
+  describe('findUnfinished()', () => {
+    it('should only return running jobs', async () => {
+      await (await create()).start()
+      await (await create()).start()
+      await create()
+      docs[0].status = 'completed'
+      assert.deepEqual((await MigrationJob.findUnfinished()).map(j => j._id), ['job2'])
+    })
+  })
+
+  describe('#start()', () => {
+    it('should mark the job as running', async () => {
+      const job = await create()
+      await job.start()
+      assert.equal(docs[0].status, 'running')
+      assert.equal(job.getStatus().status, 'running')
+    })
+  })
+
+  describe('#run()', () => {
+    it('should migrate every course and checkpoint each one', async () => {
+      const job = await create()
+      const status = await job.run({ concurrency: 2, cacheDir: '/cache' })
+      const options = mockMigrateExistingCourses.mock.calls[0].arguments[0]
+      assert.deepEqual(options.courseIds, ['course1', 'course2', 'course3'])
+      assert.equal(options.runId, 'run1')
+      assert.equal(options.frameworkDir, '/fw')
+      assert.equal(options.concurrency, 2)
+      assert.equal(options.cacheDir, '/cache')
+      assert.deepEqual(docs[0].completed, ['course1', 'course2', 'course3'])
+      assert.equal(docs[0].status, 'completed')
+      assert.ok(docs[0].finishedAt)
+      assert.equal(status.migrated, 3)
+    })
+
+    it('should record the courses which fail and mark the job as failed', async () => {
+      failedCourses = ['course2']
+      const job = await create()
+      const status = await job.run()
+      assert.deepEqual(docs[0].completed, ['course1', 'course3'])
+      assert.deepEqual(docs[0].errors, [{ courseId: 'course2', error: 'boom' }])
+      assert.equal(status.status, 'failed')
+      assert.equal(status.failed, 1)
+    })
+
+    it('should only migrate the courses not yet checkpointed when resumed', async () => {
+      await (await create()).start()
+      Object.assign(docs[0], { completed: ['course1'], errors: [{ courseId: 'course2', error: 'boom' }] })
+      const [job] = await MigrationJob.findUnfinished()
+      const status = await job.run()
+      assert.deepEqual(mockMigrateExistingCourses.mock.calls[0].arguments[0].courseIds, ['course3'])
+      assert.deepEqual(docs[0].completed, ['course1', 'course3'])
+      assert.equal(status.status, 'failed')
+    })
+
+    it('should report progress after each course and when finished', async () => {
+      const job = await create()
+      await job.start()
+      const progress = []
+      await job.run({ onProgress: ({ status, migrated }) => progress.push([status, migrated]) })
+      assert.deepEqual(progress, [['running', 1], ['running', 2], ['running', 3], ['completed', 3]])
+    })
+  })
+
+  describe('#remove()', () => {
+    it('should remove the job', async () => {
+      const job = await create()
+      await job.remove()
+      assert.equal(docs.length, 0)
+    })
+  })
+})
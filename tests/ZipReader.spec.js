@@ -0,0 +1,211 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import zlib from 'node:zlib'
+
+import ZipReader from '../lib/ZipReader.js'
+
+/**
+ * Builds a zip archive in memory. CRCs are left as 0, as they aren't checked by the reader.
+ * @param {Object} files Map of entry names to contents (null for a directory)
+ * @param {Object} options
+ * @param {Boolean} options.deflate Whether to deflate the file entries
+ * @param {Boolean} options.zip64 Whether to write Zip64 records
+ * @param {String} options.comment Archive comment
+ * @return {Buffer}
+ */
+function createZip (files, { deflate = false, zip64 = false, comment = '' } = {}) {
+  const locals = []
+  const centrals = []
+  let offset = 0
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuf = Buffer.from(name)
+    const data = Buffer.from(contents ?? '')
+    const method = deflate && contents !== null ? 8 : 0
+    const compressed = method === 8 ? zlib.deflateRawSync(data) : data
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(method, 8)
+    local.writeUInt32LE(compressed.length, 18)
+    local.writeUInt32LE(data.length, 22)
+    local.writeUInt16LE(nameBuf.length, 26)
+    locals.push(local, nameBuf, compressed)
+
+    let extra = Buffer.alloc(0)
+    if (zip64) {
+      extra = Buffer.alloc(28)
+      extra.writeUInt16LE(0x0001, 0)
+      extra.writeUInt16LE(24, 2)
+      extra.writeBigUInt64LE(BigInt(data.length), 4)
+      extra.writeBigUInt64LE(BigInt(compressed.length), 12)
+      extra.writeBigUInt64LE(BigInt(offset), 20)
+    }
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(method, 10)
+    central.writeUInt32LE(zip64 ? 0xffffffff : compressed.length, 20)
+    central.writeUInt32LE(zip64 ? 0xffffffff : data.length, 24)
+    central.writeUInt16LE(nameBuf.length, 28)
+    central.writeUInt16LE(extra.length, 30)
+    central.writeUInt32LE(zip64 ? 0xffffffff : offset, 42)
+    centrals.push(central, nameBuf, extra)
+    offset += 30 + nameBuf.length + compressed.length
+  }
+  const count = Object.keys(files).length
+  const cdSize = centrals.reduce((s, b) => s + b.length, 0)
+  const records = []
+  if (zip64) {
+    const record = Buffer.alloc(56)
+    record.writeUInt32LE(0x06064b50, 0)
+    record.writeBigUInt64LE(44n, 4)
+    record.writeBigUInt64LE(BigInt(count), 24)
+    record.writeBigUInt64LE(BigInt(count), 32)
+    record.writeBigUInt64LE(BigInt(cdSize), 40)
+    record.writeBigUInt64LE(BigInt(offset), 48)
+    const locator = Buffer.alloc(20)
+    locator.writeUInt32LE(0x07064b50, 0)
+    locator.writeBigUInt64LE(BigInt(offset + cdSize), 8)
+    locator.writeUInt32LE(1, 16)
+    records.push(record, locator)
+  }
+  const commentBuf = Buffer.from(comment)
+  const eocd = Buffer.alloc(22)
+  eocd.writeUInt32LE(0x06054b50, 0)
+  eocd.writeUInt16LE(zip64 ? 0xffff : count, 8)
+  eocd.writeUInt16LE(zip64 ? 0xffff : count, 10)
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : cdSize, 12)
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : offset, 16)
+  eocd.writeUInt16LE(commentBuf.length, 20)
+  return Buffer.concat([...locals, ...centrals, ...records, eocd, commentBuf])
+}
+
+async function readStream (stream) {
+  const chunks = []
+  for await (const chunk of stream) chunks.push(chunk)
+  return Buffer.concat(chunks).toString()
+}
+
+describe('ZipReader', () => {
+  let tmpDir
+  let zipPath
+
+  const files = {
+    'src/': null,
+    'src/course/en/course.json': '{"_type":"course","title":"Test"}',
+    'src/course/en/assets/empty.txt': '',
+    'package.json': JSON.stringify({ version: '5.0.0', description: 'x'.repeat(1000) })
+  }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fw-test-'))
+    zipPath = path.join(tmpDir, 'course.zip')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true })
+  })
+
+  describe('.isZip()', () => {
+    it('should return true for a zip file', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      assert.equal(await ZipReader.isZip(zipPath), true)
+    })
+
+    it('should return false for other files', async () => {
+      await fs.writeFile(zipPath, 'not a zip')
+      assert.equal(await ZipReader.isZip(zipPath), false)
+    })
+
+    it('should return false for a directory or missing path', async () => {
+      assert.equal(await ZipReader.isZip(tmpDir), false)
+      assert.equal(await ZipReader.isZip(path.join(tmpDir, 'missing.zip')), false)
+    })
+  })
+
+  describe('.open()', () => {
+    it('should read the entries from the central directory', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      const zip = await ZipReader.open(zipPath)
+      assert.deepEqual(zip.entries.map(e => e.name), Object.keys(files))
+      assert.equal(zip.entries[0].isDirectory, true)
+      assert.equal(zip.getEntry('src/course/en/course.json').size, files['src/course/en/course.json'].length)
+    })
+
+    it('should read an archive with a comment', async () => {
+      await fs.writeFile(zipPath, createZip(files, { comment: 'a comment' }))
+      const zip = await ZipReader.open(zipPath)
+      assert.equal(zip.entries.length, 4)
+    })
+
+    it('should read the sizes and offsets of a Zip64 archive', async () => {
+      await fs.writeFile(zipPath, createZip(files, { zip64: true }))
+      const zip = await ZipReader.open(zipPath)
+      assert.equal(zip.entries.length, 4)
+      const entry = zip.getEntry('package.json')
+      assert.equal(entry.size, files['package.json'].length)
+      assert.ok(entry.offset > 0)
+      assert.equal(await readStream(await zip.createReadStream(entry)), files['package.json'])
+    })
+
+    it('should reject files which are not zips', async () => {
+      await fs.writeFile(zipPath, 'not a zip')
+      await assert.rejects(ZipReader.open(zipPath), /not a zip file/)
+    })
+  })
+
+  describe('#createReadStream()', () => {
+    it('should stream a stored entry', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      const zip = await ZipReader.open(zipPath)
+      const stream = await zip.createReadStream(zip.getEntry('src/course/en/course.json'))
+      assert.equal(await readStream(stream), files['src/course/en/course.json'])
+    })
+
+    it('should stream a deflated entry', async () => {
+      await fs.writeFile(zipPath, createZip(files, { deflate: true }))
+      const zip = await ZipReader.open(zipPath)
+      const entry = zip.getEntry('package.json')
+      assert.equal(entry.method, 8)
+      assert.ok(entry.compressedSize < entry.size)
+      assert.equal(await readStream(await zip.createReadStream(entry)), files['package.json'])
+    })
+
+    it('should stream an empty entry', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      const zip = await ZipReader.open(zipPath)
+      assert.equal(await readStream(await zip.createReadStream(zip.getEntry('src/course/en/assets/empty.txt'))), '')
+    })
+
+    it('should reject encrypted entries', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      const zip = await ZipReader.open(zipPath)
+      await assert.rejects(zip.createReadStream({ ...zip.getEntry('package.json'), isEncrypted: true }), /encrypted/)
+    })
+
+    it('should reject unsupported compression methods', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      const zip = await ZipReader.open(zipPath)
+      await assert.rejects(zip.createReadStream({ ...zip.getEntry('package.json'), method: 12 }), /unsupported compression method 12/)
+    })
+  })
+
+  describe('#extract()', () => {
+    it('should extract an entry, creating any missing directories', async () => {
+      await fs.writeFile(zipPath, createZip(files, { deflate: true }))
+      const zip = await ZipReader.open(zipPath)
+      const dest = path.join(tmpDir, 'out', 'course.json')
+      await zip.extract(zip.getEntry('src/course/en/course.json'), dest)
+      assert.equal(await fs.readFile(dest, 'utf8'), files['src/course/en/course.json'])
+    })
+
+    it('should create a directory for a directory entry', async () => {
+      await fs.writeFile(zipPath, createZip(files))
+      const zip = await ZipReader.open(zipPath)
+      const dest = path.join(tmpDir, 'out', 'src')
+      await zip.extract(zip.getEntry('src/'), dest)
+      assert.equal((await fs.stat(dest)).isDirectory(), true)
+    })
+  })
+})
@@ -0,0 +1,140 @@
+import { describe, it, beforeEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import * as core from 'adapt-authoring-core'
+
+/** Modules returned by App.instance.waitForModule */
+const modules = {}
+
+/** Creates an error like those in App.instance.errors */
+const errorFactory = code => ({ setData: data => Object.assign(new Error(code), { code, data, statusCode: 400 }) })
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    ...core,
+    App: {
+      instance: {
+        waitForModule: async (...names) => names.length > 1 ? names.map(n => modules[n]) : modules[names[0]],
+        errors: new Proxy({}, { get: (target, code) => errorFactory(code) })
+      }
+    }
+  }
+})
+
+const { bulkImportHandler, importHandler } = await import('../lib/handlers.js')
+
+describe('handlers', () => {
+  describe('#importHandler()', () => {
+    beforeEach(() => {
+      modules.adaptframework = {
+        getConfig: () => 1048576,
+        checkContentAccess: mock.fn(async (req, { _courseId }) => _courseId === 'course1'),
+        completeImportUpload: mock.fn(async _id => `/tmp/framework-uploads/${_id}.zip`),
+        prepareImportSource: mock.fn(async () => '/tmp/framework-imports/copy_unzip'),
+        importCourse: mock.fn(async options => ({ summary: { importPath: options.importPath, updateCourseId: options.updateCourseId } }))
+      }
+    })
+
+    /** Runs the handler, resolving with the response data or the error passed to next */
+    const runHandler = (body, contentType = 'application/json') => new Promise((resolve, reject) => {
+      const req = { body, auth: { user: { _id: 'user1' } }, get: () => contentType }
+      const res = { json: data => resolve({ data }) }
+      importHandler(req, res, error => resolve({ error })).catch(reject)
+    })
+
+    it('should check access to the updated course before completing an upload', async () => {
+      const { error } = await runHandler({ uploadId: 'u1', updateCourseId: 'course2' })
+      assert.equal(error.code, 'NOT_FOUND')
+      assert.equal(modules.adaptframework.completeImportUpload.mock.callCount(), 0)
+      assert.equal(modules.adaptframework.importCourse.mock.callCount(), 0)
+    })
+
+    it('should check access to the updated course before preparing a server-side source', async () => {
+      const { error } = await runHandler({ importPath: '/srv/courses/intro', updateCourseId: 'course2' })
+      assert.equal(error.code, 'NOT_FOUND')
+      assert.equal(modules.adaptframework.prepareImportSource.mock.callCount(), 0)
+    })
+
+    it('should remove an uploaded file if access to the updated course is refused', async () => {
+      const filepath = path.join(os.tmpdir(), `handlers-spec-${Date.now()}.zip`)
+      await fs.writeFile(filepath, 'zip')
+      modules.middleware = {
+        zipTypes: [],
+        fileUploadParser: () => (req, res, next) => {
+          req.body.updateCourseId = 'course2'
+          req.fileUpload = { files: { course: [{ filepath }] } }
+          next()
+        }
+      }
+      const { error } = await runHandler({}, 'multipart/form-data; boundary=x')
+      assert.equal(error.code, 'NOT_FOUND')
+      await assert.rejects(fs.access(filepath))
+    })
+
+    it('should import as an update once access is granted', async () => {
+      const { data } = await runHandler({ uploadId: 'u1', updateCourseId: 'course1' })
+      assert.deepEqual(data, { importPath: '/tmp/framework-uploads/u1.zip', updateCourseId: 'course1' })
+    })
+  })
+
+  describe('#bulkImportHandler()', () => {
+    /** Resumable uploads by _id */
+    let uploads
+
+    beforeEach(() => {
+      uploads = {
+        u1: { userId: 'user1', offset: 10, size: 10 },
+        u2: { userId: 'user1', offset: 20, size: 20 },
+        u3: { userId: 'user1', offset: 5, size: 20 },
+        u4: { userId: 'user2', offset: 10, size: 10 }
+      }
+      modules.adaptframework = {
+        getImportUpload: mock.fn(async (_id, userId) => {
+          const upload = uploads[_id]
+          if (upload?.userId !== userId) throw errorFactory('FW_IMPORT_UPLOAD_NOT_FOUND').setData({ uploadId: _id })
+          return { getStatus: async () => ({ _id, offset: upload.offset, size: upload.size, complete: upload.offset === upload.size }) }
+        }),
+        completeImportUpload: mock.fn(async _id => `/tmp/framework-uploads/${_id}.zip`),
+        bulkImportCourses: mock.fn(async options => ({ report: { total: options.importPaths.length } }))
+      }
+    })
+
+    /** Runs the handler, resolving with the response data or the error passed to next */
+    const runHandler = body => new Promise((resolve, reject) => {
+      const req = { body, auth: { user: { _id: 'user1' } } }
+      const res = { json: data => resolve({ data }) }
+      bulkImportHandler(req, res, error => resolve({ error })).catch(reject)
+    })
+
+    it('should import completed resumable uploads', async () => {
+      const { data, error } = await runHandler({ uploadIds: ['u1', 'u2'] })
+      assert.equal(error, undefined)
+      assert.deepEqual(data, { total: 2 })
+      const [{ arguments: [options] }] = modules.adaptframework.bulkImportCourses.mock.calls
+      assert.deepEqual(options.importPaths, ['/tmp/framework-uploads/u1.zip', '/tmp/framework-uploads/u2.zip'])
+      assert.equal(options.userId, 'user1')
+      assert.deepEqual(modules.adaptframework.completeImportUpload.mock.calls.map(c => c.arguments), [['u1', 'user1'], ['u2', 'user1']])
+    })
+
+    it('should leave every upload in place if one is incomplete', async () => {
+      const { error } = await runHandler({ uploadIds: ['u1', 'u3'] })
+      assert.equal(error.code, 'FW_IMPORT_UPLOAD_INCOMPLETE')
+      assert.deepEqual(error.data, { uploadId: 'u3', offset: 5, size: 20 })
+      assert.equal(modules.adaptframework.completeImportUpload.mock.callCount(), 0)
+      assert.equal(modules.adaptframework.bulkImportCourses.mock.callCount(), 0)
+    })
+
+    it('should reject uploads belonging to another user', async () => {
+      const { error } = await runHandler({ uploadIds: ['u1', 'u4'] })
+      assert.equal(error.code, 'FW_IMPORT_UPLOAD_NOT_FOUND')
+      assert.equal(modules.adaptframework.completeImportUpload.mock.callCount(), 0)
+    })
+
+    it('should reject uploadIds which aren\'t a list', async () => {
+      const { error } = await runHandler({ uploadIds: 'u1' })
+      assert.equal(error.code, 'INVALID_PARAMS')
+    })
+  })
+})
@@ -398,6 +398,24 @@ describe('Migrations', () => {
       assert.equal(logFn.mock.calls.length, 1)
       assert.equal(logFn.mock.calls[0].arguments[0], 'warn')
     })
+
+    it('should skip generated _friendlyIds already in use when renumbering friendly ids', async () => {
+      const data = { _type: 'course', _start: { _startIds: [{ _id: 'page1' }] } }
+      const importer = {
+        settings: { renumberFriendlyIds: true },
+        contentJson: {
+          contentObjects: {
+            page1: { _id: 'page1' },
+            page2: { _id: 'page2', _friendlyId: 'start_page_1' }
+          }
+        },
+        existingContent: { items: [{ _friendlyId: 'start_page_2' }] },
+        framework: { log: mock.fn() }
+      }
+      await StartPage(data, importer)
+      assert.equal(importer.contentJson.contentObjects.page1._friendlyId, 'start_page_3')
+      assert.equal(data._start._startIds[0]._id, 'start_page_3')
+    })
   })
 
   describe('ThemeUndef', () => {
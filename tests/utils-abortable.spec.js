@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { abortable } from '../lib/utils/abortable.js'
+
+describe('abortable()', () => {
+  it('should return the original promise when no signal is passed', () => {
+    const p = Promise.resolve(1)
+    assert.equal(abortable(p), p)
+  })
+
+  it('should resolve with the promise value when not aborted', async () => {
+    const controller = new AbortController()
+    assert.equal(await abortable(Promise.resolve('done'), controller.signal), 'done')
+  })
+
+  it('should reject with the promise error when not aborted', async () => {
+    const controller = new AbortController()
+    await assert.rejects(abortable(Promise.reject(new Error('failed')), controller.signal), { message: 'failed' })
+  })
+
+  it('should reject immediately if the signal is already aborted', async () => {
+    const controller = new AbortController()
+    controller.abort(new Error('cancelled'))
+    await assert.rejects(abortable(new Promise(() => {}), controller.signal), { message: 'cancelled' })
+  })
+
+  it('should reject as soon as the signal is aborted', async () => {
+    const controller = new AbortController()
+    const p = abortable(new Promise(() => {}), controller.signal)
+    controller.abort(new Error('cancelled'))
+    await assert.rejects(p, { message: 'cancelled' })
+  })
+
+  it('should not surface a later rejection of the original promise', async () => {
+    const controller = new AbortController()
+    let rejectOriginal
+    const original = new Promise((resolve, reject) => { rejectOriginal = reject })
+    const p = abortable(original, controller.signal)
+    controller.abort(new Error('cancelled'))
+    await assert.rejects(p, { message: 'cancelled' })
+    rejectOriginal(new Error('late failure'))
+    await new Promise(resolve => setImmediate(resolve))
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { applyJsonPatch } from '../lib/utils/applyJsonPatch.js'
+import { createJsonPatch } from '../lib/utils/createJsonPatch.js'
+
+describe('applyJsonPatch()', () => {
+  it('should apply add, remove and replace operations', () => {
+    const patch = [
+      { op: 'remove', path: '/b' },
+      { op: 'replace', path: '/c/d', value: 4 },
+      { op: 'add', path: '/a~1b', value: 5 }
+    ]
+    assert.deepEqual(applyJsonPatch({ b: 2, c: { d: 3 } }, patch), { c: { d: 4 }, 'a/b': 5 })
+  })
+
+  it('should not modify the original value', () => {
+    const value = { a: { b: 1 } }
+    applyJsonPatch(value, [{ op: 'replace', path: '/a/b', value: 2 }])
+    assert.deepEqual(value, { a: { b: 1 } })
+  })
+
+  it('should reverse a patch created from the new value to the original', () => {
+    const original = { title: 'a', _items: [{ x: 1 }, { x: 2 }], _graphic: { src: 'a.png' } }
+    const migrated = { title: 'a', _items: [{ x: 1 }, { x: 3 }], _graphic: { large: 'a.png' }, _isNew: true }
+    assert.deepEqual(applyJsonPatch(migrated, createJsonPatch(migrated, original)), original)
+  })
+
+  it('should throw for a path which doesn\'t exist', () => {
+    assert.throws(() => applyJsonPatch({}, [{ op: 'replace', path: '/a', value: 1 }]), /path '\/a' doesn't exist/)
+    assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: '/a/b', value: 1 }]), /path '\/a\/b' doesn't exist/)
+  })
+
+  it('should apply a patch whose test operations pass', () => {
+    const patch = [
+      { op: 'test', path: '/a', value: { b: [1] } },
+      { op: 'replace', path: '/c', value: 2 }
+    ]
+    assert.deepEqual(applyJsonPatch({ a: { b: [1] }, c: 1 }, patch), { a: { b: [1] }, c: 2 })
+  })
+
+  it('should throw if a test operation fails', () => {
+    assert.throws(() => applyJsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]), /path '\/a' doesn't hold the tested value/)
+    assert.throws(() => applyJsonPatch({}, [{ op: 'test', path: '/a', value: 1 }]), /path '\/a' doesn't exist/)
+  })
+
+  it('should throw for unsupported operations', () => {
+    assert.throws(() => applyJsonPatch({}, [{ op: 'move', from: '/a', path: '/b' }]), /unsupported patch operation 'move'/)
+  })
+})
@@ -0,0 +1,109 @@
+import { describe, it, after, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+import { execFileSync } from 'node:child_process'
+
+const createError = code => ({
+  setData (data) { return Object.assign(new Error(code), { code, data }) }
+})
+
+mock.module('adapt-authoring-core', {
+  namedExports: {
+    App: {
+      instance: {
+        errors: {
+          FW_IMPORT_INVALID_REPOSITORY: createError('FW_IMPORT_INVALID_REPOSITORY'),
+          FW_IMPORT_REPOSITORY_NOT_ALLOWED: createError('FW_IMPORT_REPOSITORY_NOT_ALLOWED'),
+          FW_IMPORT_CHECKOUT_FAILED: createError('FW_IMPORT_CHECKOUT_FAILED')
+        }
+      }
+    }
+  }
+})
+
+const { checkoutRepository } = await import('../lib/utils/checkoutRepository.js')
+
+describe('checkoutRepository()', () => {
+  const tmpDir = path.join(os.tmpdir(), `fw-test-checkout-${Date.now()}`)
+  const dir = path.join(tmpDir, 'repo')
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  for (const url of ['/srv/courses/repo', 'file:///srv/courses/repo', 'ext::sh -c touch% /tmp/x', '--upload-pack=touch /tmp/x', undefined]) {
+    it(`should reject the non-remote URL '${url}'`, async () => {
+      await assert.rejects(checkoutRepository({ url, dir }), { code: 'FW_IMPORT_INVALID_REPOSITORY' })
+    })
+  }
+
+  for (const ref of ['--upload-pack=x', 'main..other', 'main branch']) {
+    it(`should reject the invalid ref '${ref}'`, async () => {
+      await assert.rejects(checkoutRepository({ url: 'https://example.com/course.git', ref, dir, allowList: ['example.com'] }), { code: 'FW_IMPORT_INVALID_REPOSITORY' })
+    })
+  }
+
+  const notAllowed = [
+    ['https://example.com/course.git', []],
+    ['https://internal.example.com/course.git', ['example.com']],
+    ['http://example.com/course.git', ['example.com']],
+    ['git://example.com/course.git', ['example.com']],
+    ['ssh://git@example.com/course.git', ['example.com']],
+    ['git@example.com:course.git', ['example.com']],
+    ['https://example.com/course.git', ['ssh://example.com']]
+  ]
+  for (const [url, allowList] of notAllowed) {
+    it(`should reject '${url}' with the allow list ${JSON.stringify(allowList)}`, async () => {
+      await assert.rejects(checkoutRepository({ url, dir, allowList }), { code: 'FW_IMPORT_REPOSITORY_NOT_ALLOWED' })
+    })
+  }
+
+  const allowed = [
+    ['https://Example.com/course.git', ['example.com']],
+    ['ssh://git@example.com/course.git', ['ssh://example.com']],
+    ['git@example.com:course.git', ['ssh://example.com']]
+  ]
+  for (const [url, allowList] of allowed) {
+    it(`should allow '${url}' with the allow list ${JSON.stringify(allowList)}`, async () => {
+      // an invalid ref is only rejected once the URL has been allowed
+      await assert.rejects(checkoutRepository({ url, ref: 'main..other', dir, allowList }), { code: 'FW_IMPORT_INVALID_REPOSITORY' })
+    })
+  }
+
+  it('should check out symlinks as plain files', async () => {
+    const secret = path.join(tmpDir, 'secret.txt')
+    const source = path.join(tmpDir, 'source')
+    await fs.mkdir(path.join(source, 'course', 'en', 'assets'), { recursive: true })
+    await fs.writeFile(secret, 'password')
+    await fs.symlink(secret, path.join(source, 'course', 'en', 'course.json'))
+    await fs.symlink(secret, path.join(source, 'course', 'en', 'assets', 'image.png'))
+    const git = (...args) => execFileSync('git', ['-C', source, ...args])
+    git('init', '--quiet')
+    git('add', '.')
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '-m', 'symlinks')
+    // points the allowed URL at the local repository
+    const env = { GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: `url.${source}.insteadOf`, GIT_CONFIG_VALUE_0: 'https://example.com/course.git' }
+    Object.assign(process.env, env)
+    try {
+      await checkoutRepository({ url: 'https://example.com/course.git', dir, allowList: ['example.com'] })
+    } finally {
+      Object.keys(env).forEach(k => delete process.env[k])
+    }
+    for (const file of ['course.json', 'assets/image.png']) {
+      const checkedOut = path.join(dir, 'course', 'en', file)
+      assert.equal((await fs.lstat(checkedOut)).isSymbolicLink(), false)
+      assert.equal(await fs.readFile(checkedOut, 'utf8'), secret)
+    }
+  })
+
+  it('should throw FW_IMPORT_CHECKOUT_FAILED when git fails', async () => {
+    await assert.rejects(checkoutRepository({ url: 'https://127.0.0.1:1/course.git', ref: 'v1.0.0', dir, allowList: ['127.0.0.1'], timeout: 10000 }), err => {
+      assert.equal(err.code, 'FW_IMPORT_CHECKOUT_FAILED')
+      assert.equal(err.data.ref, 'v1.0.0')
+      assert.ok(err.data.error)
+      return true
+    })
+  })
+})
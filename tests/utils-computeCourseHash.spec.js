@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { computeCourseHash } from '../lib/utils/computeCourseHash.js'
+
+describe('computeCourseHash()', () => {
+  const config = { _id: 'cfg1', _defaultLanguage: 'en', _spoor: { _isEnabled: true } }
+  const course = { _id: 'c1', title: 'Intro', description: 'An introduction' }
+
+  it('returns a 12-character hex string', () => {
+    assert.match(computeCourseHash({ config, courses: [course] }), /^[0-9a-f]{12}$/)
+  })
+
+  it('is deterministic regardless of key order', () => {
+    const reordered = { description: 'An introduction', title: 'Intro', _id: 'c1' }
+    assert.equal(computeCourseHash({ config, courses: [course] }), computeCourseHash({ config, courses: [reordered] }))
+  })
+
+  it('differs between courses', () => {
+    assert.notEqual(computeCourseHash({ config, courses: [course] }), computeCourseHash({ config, courses: [{ ...course, _id: 'c2' }] }))
+  })
+
+  it('changes when the course or config changes', () => {
+    const hash = computeCourseHash({ config, courses: [course] })
+    assert.notEqual(computeCourseHash({ config, courses: [{ ...course, title: 'Introduction' }] }), hash)
+    assert.notEqual(computeCourseHash({ config: { ...config, _defaultLanguage: 'fr' }, courses: [course] }), hash)
+  })
+
+  it('changes when a language is added', () => {
+    assert.notEqual(computeCourseHash({ config, courses: [course] }), computeCourseHash({ config, courses: [course, { _id: 'c1-fr', title: 'Intro' }] }))
+  })
+})
@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { computeEnabledPluginHash } from '../lib/utils/computeEnabledPluginHash.js'
+
+describe('computeEnabledPluginHash()', () => {
+  const plugins = [{ name: 'adapt-contrib-text', version: '7.2.0' }, { name: 'adapt-contrib-vanilla', version: '9.1.0' }]
+  const options = { frameworkVersion: '5.43.1', plugins, sourceMaps: false }
+
+  it('should return a 16-char hex string', () => {
+    assert.match(computeEnabledPluginHash(options), /^[0-9a-f]{16}$/)
+  })
+
+  it('should be deterministic', () => {
+    assert.equal(computeEnabledPluginHash(options), computeEnabledPluginHash(options))
+  })
+
+  it('should ignore plugin order', () => {
+    assert.equal(computeEnabledPluginHash(options), computeEnabledPluginHash({ ...options, plugins: [...plugins].reverse() }))
+  })
+
+  it('should change when a plugin version changes', () => {
+    const updated = [plugins[0], { ...plugins[1], version: '9.2.0' }]
+    assert.notEqual(computeEnabledPluginHash(options), computeEnabledPluginHash({ ...options, plugins: updated }))
+  })
+
+  it('should change when a plugin is added', () => {
+    const added = [...plugins, { name: 'adapt-contrib-spoor', version: '5.0.0' }]
+    assert.notEqual(computeEnabledPluginHash(options), computeEnabledPluginHash({ ...options, plugins: added }))
+  })
+
+  it('should change when the framework version changes', () => {
+    assert.notEqual(computeEnabledPluginHash(options), computeEnabledPluginHash({ ...options, frameworkVersion: '5.44.0' }))
+  })
+
+  it('should change with the source maps setting', () => {
+    assert.notEqual(computeEnabledPluginHash(options), computeEnabledPluginHash({ ...options, sourceMaps: true }))
+  })
+
+  it('should ignore extra plugin properties', () => {
+    const withExtras = plugins.map(p => ({ ...p, _id: 'x', isLocalInstall: true }))
+    assert.equal(computeEnabledPluginHash(options), computeEnabledPluginHash({ ...options, plugins: withExtras }))
+  })
+})
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createContentManifest } from '../lib/utils/createContentManifest.js'
+
+function createCourseData (blockTitle = 'Block') {
+  return {
+    course: { data: { _id: 'course', _type: 'course', title: 'Course' } },
+    config: { data: { _id: 'config', _type: 'config' } },
+    contentObject: { data: [{ _id: 'co-05', _type: 'page', title: 'Page' }] },
+    article: { data: [{ _id: 'a-05', _type: 'article', title: 'Article' }] },
+    block: { data: [{ _id: 'b-05', _type: 'block', title: blockTitle }] },
+    component: { data: [{ _id: 'c-05', _type: 'component', title: 'Text', _component: 'text' }] }
+  }
+}
+
+describe('createContentManifest()', () => {
+  it('should summarise every content item by _id', () => {
+    const { content } = createContentManifest({ courseData: createCourseData() })
+    assert.deepEqual(Object.keys(content), ['co-05', 'a-05', 'b-05', 'c-05'])
+    assert.equal(content['b-05']._type, 'block')
+    assert.equal(content['b-05'].title, 'Block')
+    assert.match(content['b-05'].hash, /^[0-9a-f]{16}$/)
+  })
+
+  it('should not include the course or config', () => {
+    const { content } = createContentManifest({ courseData: createCourseData() })
+    assert.equal(content.course, undefined)
+    assert.equal(content.config, undefined)
+  })
+
+  it('should only change the hash of modified items', () => {
+    const a = createContentManifest({ courseData: createCourseData() }).content
+    const b = createContentManifest({ courseData: createCourseData('New title') }).content
+    assert.notEqual(a['b-05'].hash, b['b-05'].hash)
+    assert.equal(a['c-05'].hash, b['c-05'].hash)
+  })
+
+  it('should list asset paths relative to the course directory', () => {
+    const assetData = {
+      data: [{ _id: 'asset1' }, { _id: 'asset2' }],
+      idMap: { asset1: '/builds/123/build/course/en/assets/image.png', asset2: 'https://example.com/video.mp4' }
+    }
+    const { assets } = createContentManifest({ courseData: createCourseData(), assetData, courseDir: '/builds/123/build/course' })
+    assert.deepEqual(assets, { asset1: 'course/en/assets/image.png', asset2: 'https://example.com/video.mp4' })
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createJsonPatch } from '../lib/utils/createJsonPatch.js'
+
+describe('createJsonPatch()', () => {
+  it('should return an empty patch for equal values', () => {
+    assert.deepEqual(createJsonPatch({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), [])
+  })
+
+  it('should add, remove and replace object properties', () => {
+    assert.deepEqual(createJsonPatch({ a: 1, b: 2, c: { d: 3 } }, { a: 1, c: { d: 4 }, e: 5 }), [
+      { op: 'remove', path: '/b' },
+      { op: 'replace', path: '/c/d', value: 4 },
+      { op: 'add', path: '/e', value: 5 }
+    ])
+  })
+
+  it('should compare arrays of the same length item by item', () => {
+    assert.deepEqual(createJsonPatch({ _items: [{ a: 1 }, { a: 2 }] }, { _items: [{ a: 1 }, { a: 3 }] }), [
+      { op: 'replace', path: '/_items/1/a', value: 3 }
+    ])
+  })
+
+  it('should replace arrays which have changed length', () => {
+    assert.deepEqual(createJsonPatch({ _items: [1] }, { _items: [1, 2] }), [
+      { op: 'replace', path: '/_items', value: [1, 2] }
+    ])
+  })
+
+  it('should replace values which have changed type', () => {
+    assert.deepEqual(createJsonPatch({ a: { b: 1 } }, { a: 'b' }), [{ op: 'replace', path: '/a', value: 'b' }])
+  })
+
+  it('should escape property names as JSON pointer tokens', () => {
+    assert.deepEqual(createJsonPatch({}, { 'a/b~c': 1 }), [{ op: 'add', path: '/a~1b~0c', value: 1 }])
+  })
+})
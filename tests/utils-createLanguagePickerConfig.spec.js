@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { createLanguagePickerConfig } from '../lib/utils/createLanguagePickerConfig.js'
+
+describe('createLanguagePickerConfig()', () => {
+  const languages = [{ _language: 'en', _direction: 'ltr' }, { _language: 'ar', _direction: 'rtl' }]
+
+  it('should enable the language picker', () => {
+    assert.equal(createLanguagePickerConfig(undefined, languages)._isEnabled, true)
+  })
+
+  it('should add an entry for each language in order', () => {
+    assert.deepEqual(createLanguagePickerConfig(undefined, languages)._languages, [
+      { _language: 'en', _direction: 'ltr', displayName: 'en' },
+      { _language: 'ar', _direction: 'rtl', displayName: 'ar' }
+    ])
+  })
+
+  it('should default the direction to ltr', () => {
+    assert.equal(createLanguagePickerConfig(undefined, [{ _language: 'fr' }])._languages[0]._direction, 'ltr')
+  })
+
+  it('should keep authored settings for existing languages', () => {
+    const existing = { _languages: [{ _language: 'ar', _direction: 'rtl', displayName: 'العربية', warningTitle: 'Warning' }] }
+    const [, ar] = createLanguagePickerConfig(existing, languages)._languages
+    assert.equal(ar.displayName, 'العربية')
+    assert.equal(ar.warningTitle, 'Warning')
+  })
+
+  it('should remove entries for languages which aren\'t built', () => {
+    const existing = { _languages: [{ _language: 'de', displayName: 'Deutsch' }] }
+    assert.deepEqual(createLanguagePickerConfig(existing, languages)._languages.map(l => l._language), ['en', 'ar'])
+  })
+
+  it('should keep other picker settings', () => {
+    const existing = { _isEnabled: false, _showOnCourseLoad: true }
+    const result = createLanguagePickerConfig(existing, languages)
+    assert.equal(result._showOnCourseLoad, true)
+    assert.equal(result._isEnabled, true)
+  })
+})
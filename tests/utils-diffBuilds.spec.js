@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffBuilds } from '../lib/utils/diffBuilds.js'
+
+const fromBuild = {
+  _id: 'build1',
+  versions: { adapt_framework: '5.40.0', 'adapt-contrib-text': '7.0.1', 'adapt-contrib-media': '6.0.0' },
+  contentManifest: {
+    content: {
+      'b-05': { _type: 'block', title: 'Block', hash: 'aaa' },
+      'c-05': { _type: 'component', title: 'Text', hash: 'bbb' },
+      'c-10': { _type: 'component', title: 'Media', hash: 'ccc' }
+    },
+    assets: { asset1: 'course/en/assets/a.png' }
+  }
+}
+const toBuild = {
+  _id: 'build2',
+  versions: { adapt_framework: '5.41.0', 'adapt-contrib-text': '7.0.2', 'adapt-contrib-graphic': '7.0.0' },
+  contentManifest: {
+    content: {
+      'b-05': { _type: 'block', title: 'Block', hash: 'aaa' },
+      'c-05': { _type: 'component', title: 'Text', hash: 'ddd' },
+      'c-15': { _type: 'component', title: 'Graphic', hash: 'eee' }
+    },
+    assets: { asset2: 'course/en/assets/b.png' }
+  }
+}
+
+describe('diffBuilds()', () => {
+  it('should report framework version changes', () => {
+    const diff = diffBuilds(fromBuild, toBuild)
+    assert.equal(diff.from, 'build1')
+    assert.equal(diff.to, 'build2')
+    assert.deepEqual(diff.framework, { from: '5.40.0', to: '5.41.0' })
+  })
+
+  it('should report plugin version changes', () => {
+    assert.deepEqual(diffBuilds(fromBuild, toBuild).plugins, {
+      added: [{ name: 'adapt-contrib-graphic', version: '7.0.0' }],
+      removed: [{ name: 'adapt-contrib-media', version: '6.0.0' }],
+      changed: [{ name: 'adapt-contrib-text', from: '7.0.1', to: '7.0.2' }]
+    })
+  })
+
+  it('should report added, removed and modified content', () => {
+    assert.deepEqual(diffBuilds(fromBuild, toBuild).content, {
+      added: [{ _id: 'c-15', _type: 'component', title: 'Graphic' }],
+      removed: [{ _id: 'c-10', _type: 'component', title: 'Media' }],
+      modified: [{ _id: 'c-05', _type: 'component', title: 'Text' }]
+    })
+  })
+
+  it('should report added and removed assets', () => {
+    assert.deepEqual(diffBuilds(fromBuild, toBuild).assets, {
+      added: [{ _id: 'asset2', path: 'course/en/assets/b.png' }],
+      removed: [{ _id: 'asset1', path: 'course/en/assets/a.png' }]
+    })
+  })
+
+  it('should report no changes between identical builds', () => {
+    const diff = diffBuilds(fromBuild, { ...fromBuild, _id: 'build3' })
+    assert.equal(diff.framework, null)
+    assert.deepEqual(diff.plugins, { added: [], removed: [], changed: [] })
+    assert.deepEqual(diff.content, { added: [], removed: [], modified: [] })
+    assert.deepEqual(diff.assets, { added: [], removed: [] })
+  })
+})
@@ -0,0 +1,29 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { diffPluginVersions } from '../lib/utils/diffPluginVersions.js'
+
+describe('diffPluginVersions()', () => {
+  const fromPlugins = [
+    { name: 'adapt-contrib-core', version: '6.0.0' },
+    { name: 'adapt-contrib-text', version: '7.0.0' },
+    { name: 'adapt-contrib-slider', version: '4.0.0' }
+  ]
+
+  it('should list added, removed and changed plugins', () => {
+    const toPlugins = [
+      { name: 'adapt-contrib-core', version: '6.1.0' },
+      { name: 'adapt-contrib-text', version: '7.0.0' },
+      { name: 'adapt-contrib-media', version: '8.0.0' }
+    ]
+    assert.deepEqual(diffPluginVersions(fromPlugins, toPlugins), {
+      added: [{ name: 'adapt-contrib-media', version: '8.0.0' }],
+      removed: [{ name: 'adapt-contrib-slider', version: '4.0.0' }],
+      changed: [{ name: 'adapt-contrib-core', from: '6.0.0', to: '6.1.0' }]
+    })
+  })
+
+  it('should return empty lists when nothing has changed', () => {
+    assert.deepEqual(diffPluginVersions(fromPlugins, [...fromPlugins].reverse()), { added: [], removed: [], changed: [] })
+  })
+})
@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { escapeXml } from '../lib/utils/escapeXml.js'
+
+describe('escapeXml()', () => {
+  it('should escape all XML special characters', () => {
+    assert.equal(escapeXml('<a href="x">Tom & Jerry\'s</a>'), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;')
+  })
+
+  it('should leave plain text unchanged', () => {
+    assert.equal(escapeXml('Plain text'), 'Plain text')
+  })
+
+  it('should stringify non-string values', () => {
+    assert.equal(escapeXml(42), '42')
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { findOrphanedTempDirs } from '../lib/utils/findOrphanedTempDirs.js'
+
+const DAY = 86400000
+
+describe('findOrphanedTempDirs()', () => {
+  let tmpDir
+
+  async function createDir (name, age = 2 * DAY) {
+    const dir = path.join(tmpDir, name)
+    await fs.mkdir(dir, { recursive: true })
+    const time = new Date(Date.now() - age)
+    await fs.utimes(dir, time, time)
+    return dir
+  }
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fw-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true })
+  })
+
+  it('should find old unzip, update preview and eager cache directories', async () => {
+    const expected = [
+      await createDir('_eager_cache_123_theme_menu'),
+      await createDir('uploads/course.zip_unzip'),
+      await createDir('uploads/course.zip_unzip_2'),
+      await createDir('framework-updates/1700000000000_0001_fwupdate')
+    ]
+    await createDir('1700000000000_0001')
+    const result = await findOrphanedTempDirs([tmpDir], { minAge: DAY })
+    assert.deepEqual(result.sort(), expected.sort())
+  })
+
+  it('should ignore directories newer than minAge', async () => {
+    await createDir('course.zip_unzip', 0)
+    assert.deepEqual(await findOrphanedTempDirs([tmpDir], { minAge: DAY }), [])
+  })
+
+  it('should ignore eager cache directories when includeEagerCache is false', async () => {
+    await createDir('_eager_cache_123_theme_menu')
+    assert.deepEqual(await findOrphanedTempDirs([tmpDir], { minAge: DAY, includeEagerCache: false }), [])
+  })
+
+  it('should ignore files matching the patterns', async () => {
+    await fs.writeFile(path.join(tmpDir, 'file_unzip'), '')
+    assert.deepEqual(await findOrphanedTempDirs([tmpDir], { minAge: 0 }), [])
+  })
+
+  it('should ignore undefined search directories', async () => {
+    await createDir('course.zip_unzip')
+    assert.equal((await findOrphanedTempDirs([tmpDir, undefined], { minAge: DAY })).length, 1)
+  })
+})
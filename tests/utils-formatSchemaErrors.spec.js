@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { formatSchemaErrors } from '../lib/utils/formatSchemaErrors.js'
+
+describe('formatSchemaErrors()', () => {
+  it('should use the instance path of the error', () => {
+    assert.deepEqual(formatSchemaErrors([{ instancePath: '/_items/0/title', keyword: 'type', message: 'must be string', params: { type: 'string' } }]), [
+      { path: '/_items/0/title', keyword: 'type', message: 'must be string' }
+    ])
+  })
+
+  it('should point to a missing required property', () => {
+    assert.deepEqual(formatSchemaErrors([{ instancePath: '/_graphic', keyword: 'required', message: 'must have required property \'src\'', params: { missingProperty: 'src' } }]), [
+      { path: '/_graphic/src', keyword: 'required', message: 'must have required property \'src\'' }
+    ])
+  })
+
+  it('should point to an unexpected additional property', () => {
+    assert.deepEqual(formatSchemaErrors([{ instancePath: '', keyword: 'additionalProperties', message: 'must NOT have additional properties', params: { additionalProperty: 'extra' } }])[0].path, '/extra')
+  })
+
+  it('should escape property names as JSON pointer tokens', () => {
+    assert.equal(formatSchemaErrors([{ instancePath: '', keyword: 'required', params: { missingProperty: 'a/b~c' } }])[0].path, '/a~1b~0c')
+  })
+
+  it('should return an empty list when Ajv reports no errors', () => {
+    assert.deepEqual(formatSchemaErrors(null), [])
+  })
+})
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { generateCmi5Manifest } from '../lib/utils/generateCmi5Manifest.js'
+
+describe('generateCmi5Manifest()', () => {
+  const options = {
+    id: 'https://example.com/activities/course-1',
+    title: 'My course',
+    description: 'About the course',
+    aus: [{ id: 'https://example.com/activities/course-1/au', title: 'My course', url: 'index.html' }]
+  }
+
+  it('should generate a course structure with the course id and title', () => {
+    const xml = generateCmi5Manifest(options)
+    assert.match(xml, /<courseStructure xmlns="https:\/\/w3id\.org\/xapi\/profiles\/cmi5\/v1\/CourseStructure\.xsd">/)
+    assert.match(xml, /<course id="https:\/\/example\.com\/activities\/course-1">/)
+    assert.match(xml, /<title><langstring lang="en">My course<\/langstring><\/title>/)
+  })
+
+  it('should include an au entry for each AU', () => {
+    const xml = generateCmi5Manifest({ ...options, aus: [...options.aus, { id: 'https://example.com/au2', title: 'Two', url: 'two.html' }] })
+    assert.equal(xml.match(/<au /g).length, 2)
+    assert.match(xml, /<url>two\.html<\/url>/)
+  })
+
+  it('should set the AU mastery score when provided', () => {
+    const xml = generateCmi5Manifest({ ...options, aus: [{ ...options.aus[0], masteryScore: 0.8 }] })
+    assert.match(xml, /masteryScore="0\.8"/)
+  })
+
+  it('should omit the AU mastery score when not provided', () => {
+    assert.doesNotMatch(generateCmi5Manifest(options), /masteryScore/)
+  })
+
+  it('should use the provided language', () => {
+    assert.match(generateCmi5Manifest({ ...options, lang: 'fr' }), /<langstring lang="fr">My course<\/langstring>/)
+  })
+
+  it('should escape XML special characters', () => {
+    assert.match(generateCmi5Manifest({ ...options, title: 'Q&A' }), /Q&amp;A/)
+  })
+})
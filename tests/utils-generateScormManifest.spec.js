@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { generateScormManifest } from '../lib/utils/generateScormManifest.js'
+
+describe('generateScormManifest()', () => {
+  const options = { identifier: 'course_abc', title: 'My course' }
+
+  it('should generate a SCORM 1.2 manifest', () => {
+    const xml = generateScormManifest({ ...options, target: 'scorm12' })
+    assert.match(xml, /<schemaversion>1\.2<\/schemaversion>/)
+    assert.match(xml, /xmlns="http:\/\/www\.imsproject\.org\/xsd\/imscp_rootv1p1p2"/)
+    assert.match(xml, /adlcp:scormtype="sco" href="index\.html"/)
+  })
+
+  it('should generate SCORM 2004 manifests for each edition', () => {
+    assert.match(generateScormManifest({ ...options, target: 'scorm2004-3rd' }), /<schemaversion>2004 3rd Edition<\/schemaversion>/)
+    assert.match(generateScormManifest({ ...options, target: 'scorm2004-4th' }), /<schemaversion>2004 4th Edition<\/schemaversion>/)
+  })
+
+  it('should include the identifier and title', () => {
+    const xml = generateScormManifest({ ...options, target: 'scorm12' })
+    assert.match(xml, /<manifest identifier="course_abc"/)
+    assert.match(xml, /<title>My course<\/title>/)
+  })
+
+  it('should escape XML special characters in the title', () => {
+    const xml = generateScormManifest({ ...options, title: 'Q&A <intro>', target: 'scorm12' })
+    assert.match(xml, /<title>Q&amp;A &lt;intro&gt;<\/title>/)
+  })
+
+  it('should set the SCORM 1.2 mastery score', () => {
+    const xml = generateScormManifest({ ...options, target: 'scorm12', masteryScore: 80 })
+    assert.match(xml, /<adlcp:masteryscore>80<\/adlcp:masteryscore>/)
+  })
+
+  it('should set the SCORM 2004 mastery score as a normalised measure', () => {
+    const xml = generateScormManifest({ ...options, target: 'scorm2004-4th', masteryScore: 75 })
+    assert.match(xml, /<imsss:minNormalizedMeasure>0\.75<\/imsss:minNormalizedMeasure>/)
+  })
+
+  it('should omit the mastery score when not set', () => {
+    assert.doesNotMatch(generateScormManifest({ ...options, target: 'scorm12' }), /masteryscore/)
+    assert.doesNotMatch(generateScormManifest({ ...options, target: 'scorm2004-3rd' }), /imsss:sequencing/)
+  })
+
+  it('should throw for non-SCORM targets', () => {
+    assert.throws(() => generateScormManifest({ ...options, target: 'web' }))
+  })
+})
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { generateTincanManifest } from '../lib/utils/generateTincanManifest.js'
+
+describe('generateTincanManifest()', () => {
+  const course = {
+    id: 'https://example.com/activities/course-1',
+    type: 'http://adlnet.gov/expapi/activities/course',
+    name: 'My course',
+    description: 'About the course',
+    launch: 'index.html'
+  }
+
+  it('should generate a tincan manifest containing each activity', () => {
+    const page = { id: `${course.id}/page-1`, type: 'http://adlnet.gov/expapi/activities/module', name: 'Page 1' }
+    const xml = generateTincanManifest({ activities: [course, page] })
+    assert.match(xml, /<tincan xmlns="http:\/\/projecttincan\.com\/tincan\.xsd">/)
+    assert.equal(xml.match(/<activity /g).length, 2)
+    assert.match(xml, /<activity id="https:\/\/example\.com\/activities\/course-1\/page-1" type="http:\/\/adlnet\.gov\/expapi\/activities\/module">/)
+  })
+
+  it('should include the launch URL and description when set', () => {
+    const xml = generateTincanManifest({ activities: [course] })
+    assert.match(xml, /<launch lang="en">index\.html<\/launch>/)
+    assert.match(xml, /<description lang="en">About the course<\/description>/)
+  })
+
+  it('should omit the launch URL and description when not set', () => {
+    const xml = generateTincanManifest({ activities: [{ ...course, launch: undefined, description: undefined }] })
+    assert.doesNotMatch(xml, /<launch/)
+    assert.doesNotMatch(xml, /<description/)
+  })
+
+  it('should escape XML special characters', () => {
+    assert.match(generateTincanManifest({ activities: [{ ...course, name: '<Intro>' }] }), /&lt;Intro&gt;/)
+  })
+})
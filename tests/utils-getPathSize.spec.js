@@ -0,0 +1,40 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { getPathSize } from '../lib/utils/getPathSize.js'
+
+describe('getPathSize()', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fw-test-'))
+    await fs.mkdir(path.join(tmpDir, 'nested'))
+    await fs.writeFile(path.join(tmpDir, 'a.txt'), '12345')
+    await fs.writeFile(path.join(tmpDir, 'nested', 'b.txt'), '1234567890')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true })
+  })
+
+  it('should return the size of a file', async () => {
+    assert.equal(await getPathSize(path.join(tmpDir, 'a.txt')), 5)
+  })
+
+  it('should return the total size of all files in a directory', async () => {
+    assert.equal(await getPathSize(tmpDir), 15)
+  })
+
+  it('should return 0 for a missing path', async () => {
+    assert.equal(await getPathSize(path.join(tmpDir, 'missing')), 0)
+  })
+
+  it('should not follow symlinks', async () => {
+    await fs.symlink(path.join(tmpDir, 'nested'), path.join(tmpDir, 'link'))
+    const linkSize = (await fs.lstat(path.join(tmpDir, 'link'))).size
+    assert.equal(await getPathSize(tmpDir), 15 + linkSize)
+  })
+})
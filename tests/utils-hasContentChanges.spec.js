@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { hasContentChanges } from '../lib/utils/hasContentChanges.js'
+
+describe('hasContentChanges()', () => {
+  const existing = { _id: 'a1', title: 'Title', body: '<p>Text</p>', _parentId: { toJSON: () => 'p1' }, _items: [{ title: 'One' }] }
+
+  it('should return false when all values match', () => {
+    assert.equal(hasContentChanges(existing, { title: 'Title', body: '<p>Text</p>', _items: [{ title: 'One' }] }), false)
+  })
+
+  it('should return true when a value differs', () => {
+    assert.equal(hasContentChanges(existing, { title: 'New title' }), true)
+  })
+
+  it('should return true when a nested value differs', () => {
+    assert.equal(hasContentChanges(existing, { _items: [{ title: 'Two' }] }), true)
+  })
+
+  it('should return true when a new value is added', () => {
+    assert.equal(hasContentChanges(existing, { displayTitle: 'Title' }), true)
+  })
+
+  it('should compare values by their JSON representation', () => {
+    assert.equal(hasContentChanges(existing, { _parentId: 'p1' }), false)
+  })
+
+  it('should ignore undefined values', () => {
+    assert.equal(hasContentChanges(existing, { _id: undefined, title: 'Title' }), false)
+  })
+})
@@ -41,6 +41,13 @@ mock.module('../lib/utils/runContentMigration.js', {
   }
 })
 
+const mockRecordHistory = mock.fn(async () => {})
+mock.module('../lib/MigrationHistory.js', {
+  defaultExport: {
+    record: mockRecordHistory
+  }
+})
+
 mock.module('../lib/utils/log.js', {
   namedExports: {
     log: () => {}
@@ -121,6 +128,90 @@ describe('migrateExistingCourses()', () => {
     assert.equal(mockContentModule.update.mock.calls.length, 0)
   })
 
+  it('should pass the original of each changed item to onUpdate before writing it', async () => {
+    mockContentModule.update.mock.resetCalls()
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => {
+      return content.map(item => item._type === 'config' ? { ...item, _theme: 'adapt-contrib-vanilla' } : item)
+    })
+    const originals = []
+    await migrateExistingCourses({
+      fromPlugins: [],
+      toPlugins: [],
+      frameworkDir: '/fw',
+      onUpdate: item => originals.push({ item, updates: mockContentModule.update.mock.calls.length })
+    })
+    assert.deepEqual(originals, [{ item: { _id: 'cfg1', _type: 'config', _courseId: 'course1' }, updates: 0 }])
+    assert.equal(mockContentModule.update.mock.calls.length, 1)
+  })
+
+  it('should record the changes to each course in its migration history', async () => {
+    mockRecordHistory.mock.resetCalls()
+    mockCollectMigrationScripts.mock.mockImplementationOnce(async () => ['/fw/src/core/migrations/v2.js'])
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => {
+      return content.map(item => item._type === 'config' ? { ...item, _theme: 'adapt-contrib-vanilla' } : item)
+    })
+    const fromPlugins = [{ name: 'core', version: '1.0.0' }]
+    const toPlugins = [{ name: 'core', version: '2.0.0' }]
+    const result = await migrateExistingCourses({ fromPlugins, toPlugins, frameworkDir: '/fw', runId: 'run1' })
+    assert.equal(result.runId, 'run1')
+    assert.equal(mockRecordHistory.mock.calls.length, 1)
+    assert.deepEqual(mockRecordHistory.mock.calls[0].arguments[0], {
+      courseId: 'course1',
+      runId: 'run1',
+      fromPlugins,
+      toPlugins,
+      scripts: ['src/core/migrations/v2.js'],
+      changes: [{
+        _id: 'cfg1',
+        _type: 'config',
+        _component: undefined,
+        patch: [{ op: 'add', path: '/_theme', value: 'adapt-contrib-vanilla' }],
+        revertPatch: [{ op: 'remove', path: '/_theme' }]
+      }]
+    })
+  })
+
+  it('should not fail the migration if its history can\'t be recorded', async () => {
+    mockRecordHistory.mock.mockImplementationOnce(async () => { throw new Error('db down') })
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => {
+      return content.map(item => item._type === 'config' ? { ...item, _theme: 'adapt-contrib-vanilla' } : item)
+    })
+    const result = await migrateExistingCourses({ fromPlugins: [], toPlugins: [], frameworkDir: '/fw' })
+    assert.equal(result.migrated, 1)
+    assert.equal(result.failed, 0)
+  })
+
+  it('should report the changed items without writing them on a dry run', async () => {
+    mockContentModule.update.mock.resetCalls()
+    mockRecordHistory.mock.resetCalls()
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => {
+      return content.map(item => item._type === 'config' ? { ...item, _theme: 'adapt-contrib-vanilla' } : item)
+    })
+    const result = await migrateExistingCourses({
+      fromPlugins: [],
+      toPlugins: [],
+      frameworkDir: '/fw',
+      dryRun: true
+    })
+    assert.equal(mockContentModule.update.mock.calls.length, 0)
+    assert.equal(mockRecordHistory.mock.calls.length, 0)
+    assert.equal(result.migrated, 1)
+    assert.deepEqual(result.changes, [
+      { courseId: 'course1', title: 'Course 1', items: [{ _id: 'cfg1', _type: 'config', _component: undefined }] }
+    ])
+  })
+
+  it('should only report courses with changes on a dry run', async () => {
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => content)
+    const result = await migrateExistingCourses({
+      fromPlugins: [],
+      toPlugins: [],
+      frameworkDir: '/fw',
+      dryRun: true
+    })
+    assert.deepEqual(result.changes, [])
+  })
+
   it('should return early with zero counts when no scripts found', async () => {
     mockCollectMigrationScripts.mock.mockImplementation(async () => [])
     const result = await migrateExistingCourses({
@@ -160,4 +251,49 @@ describe('migrateExistingCourses()', () => {
     assert.equal(result.errors.length, 1)
     assert.equal(result.errors[0].courseId, 'course2')
   })
+
+  it('should migrate no more courses at once than the concurrency allows', async () => {
+    mockContentModule.find.mock.mockImplementation(async (query) => {
+      if (query._type === 'course') return ['course1', 'course2', 'course3'].map(_id => ({ _id, _type: 'course' }))
+      return []
+    })
+    let active = 0
+    let maxActive = 0
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => {
+      maxActive = Math.max(maxActive, ++active)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      active--
+      return content
+    })
+    const result = await migrateExistingCourses({ fromPlugins: [], toPlugins: [], frameworkDir: '/fw', concurrency: 2 })
+    assert.equal(result.migrated, 3)
+    assert.equal(maxActive, 2)
+  })
+
+  it('should give each course its own cache path within cacheDir', async () => {
+    mockRunContentMigration.mock.resetCalls()
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => content)
+    await migrateExistingCourses({ fromPlugins: [], toPlugins: [], frameworkDir: '/fw', concurrency: 3, cacheDir: '/cache/run1' })
+    const cachePaths = mockRunContentMigration.mock.calls.map(c => c.arguments[0].cachePath).sort()
+    assert.deepEqual(cachePaths, ['/cache/run1/course1', '/cache/run1/course2', '/cache/run1/course3'])
+  })
+
+  it('should call onCourseComplete once each course is done', async () => {
+    mockRunContentMigration.mock.mockImplementation(async ({ content }) => {
+      if (content[0]._id === 'course2') throw new Error('migration error')
+      return content
+    })
+    const completed = []
+    await migrateExistingCourses({
+      fromPlugins: [],
+      toPlugins: [],
+      frameworkDir: '/fw',
+      onCourseComplete: result => completed.push(result)
+    })
+    assert.deepEqual(completed, [
+      { courseId: 'course1', error: undefined },
+      { courseId: 'course2', error: 'migration error' },
+      { courseId: 'course3', error: undefined }
+    ])
+  })
 })
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { Readable } from 'node:stream'
+
+import { parseJsonStream } from '../lib/utils/parseJsonStream.js'
+
+/** Splits a string into chunks of the given size, to test values split across chunks */
+const toStream = (str, size = 3) => {
+  const chunks = []
+  for (let i = 0; i < str.length; i += size) chunks.push(str.slice(i, i + size))
+  return Readable.from(chunks, { objectMode: false })
+}
+
+describe('parseJsonStream()', () => {
+  it('should parse an array of objects', async () => {
+    const data = [{ _id: 'a', _type: 'page', body: 'a, "quoted" [string] {with} brackets \\ and escapes' }, { _id: 'b', _items: [{ x: [1, 2] }] }]
+    assert.deepEqual(await parseJsonStream(toStream(JSON.stringify(data, null, 2))), data)
+  })
+
+  it('should parse arrays of primitives', async () => {
+    assert.deepEqual(await parseJsonStream(toStream('[1, "two", true, null]')), [1, 'two', true, null])
+  })
+
+  it('should parse an empty array', async () => {
+    assert.deepEqual(await parseJsonStream(toStream(' [ ] ')), [])
+  })
+
+  it('should parse a document which is not an array', async () => {
+    const data = { _type: 'course', title: 'Test' }
+    assert.deepEqual(await parseJsonStream(toStream(JSON.stringify(data))), data)
+  })
+
+  it('should ignore a byte order mark', async () => {
+    assert.deepEqual(await parseJsonStream(toStream('\uFEFF[1]')), [1])
+  })
+
+  it('should reject an invalid array item', async () => {
+    await assert.rejects(parseJsonStream(toStream('[{"a": 1}, {b}]')), SyntaxError)
+  })
+
+  it('should reject an empty array item', async () => {
+    await assert.rejects(parseJsonStream(toStream('[1,,2]')), SyntaxError)
+  })
+
+  it('should reject an unterminated array', async () => {
+    await assert.rejects(parseJsonStream(toStream('[1, 2')), SyntaxError)
+  })
+
+  it('should reject content after the array', async () => {
+    await assert.rejects(parseJsonStream(toStream('[1] 2')), SyntaxError)
+  })
+
+  it('should reject an empty document', async () => {
+    await assert.rejects(parseJsonStream(toStream('')), SyntaxError)
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import os from 'node:os'
+
+import { resolveAllowedPath } from '../lib/utils/resolveAllowedPath.js'
+
+describe('resolveAllowedPath()', () => {
+  let tmpDir
+  let allowedDir
+
+  before(async () => {
+    tmpDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'fw-test-')))
+    allowedDir = path.join(tmpDir, 'allowed')
+    await fs.mkdir(path.join(allowedDir, 'course'), { recursive: true })
+    await fs.mkdir(path.join(tmpDir, 'secret'))
+    await fs.mkdir(path.join(tmpDir, 'allowed-sibling'))
+    await fs.symlink(path.join(tmpDir, 'secret'), path.join(allowedDir, 'link'))
+  })
+
+  after(async () => {
+    await fs.rm(tmpDir, { recursive: true })
+  })
+
+  it('should resolve a path inside an allowed directory', async () => {
+    assert.equal(await resolveAllowedPath(path.join(allowedDir, 'course'), [allowedDir]), path.join(allowedDir, 'course'))
+  })
+
+  it('should allow the allowed directory itself', async () => {
+    assert.equal(await resolveAllowedPath(allowedDir, [allowedDir]), allowedDir)
+  })
+
+  it('should reject paths outside the allowed directories', async () => {
+    assert.equal(await resolveAllowedPath(path.join(tmpDir, 'secret'), [allowedDir]), undefined)
+  })
+
+  it('should reject relative segments which escape an allowed directory', async () => {
+    assert.equal(await resolveAllowedPath(path.join(allowedDir, '..', 'secret'), [allowedDir]), undefined)
+  })
+
+  it('should reject directories which only share a name prefix', async () => {
+    assert.equal(await resolveAllowedPath(path.join(tmpDir, 'allowed-sibling'), [allowedDir]), undefined)
+  })
+
+  it('should reject symlinks pointing outside an allowed directory', async () => {
+    assert.equal(await resolveAllowedPath(path.join(allowedDir, 'link'), [allowedDir]), undefined)
+  })
+
+  it('should reject paths which don\'t exist', async () => {
+    assert.equal(await resolveAllowedPath(path.join(allowedDir, 'missing'), [allowedDir]), undefined)
+  })
+
+  it('should reject everything when no directories are allowed', async () => {
+    assert.equal(await resolveAllowedPath(allowedDir, []), undefined)
+    assert.equal(await resolveAllowedPath(allowedDir), undefined)
+  })
+
+  it('should reject missing paths', async () => {
+    assert.equal(await resolveAllowedPath(undefined, [allowedDir]), undefined)
+  })
+})